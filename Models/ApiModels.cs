@@ -0,0 +1,54 @@
+using System;
+
+namespace WebApp.Models
+{
+    // ---------------------------------------------------------------------
+    // Assets
+    // ---------------------------------------------------------------------
+    public record Asset(
+        string Id,                 // tag id printed on the label, e.g. "AST-00123"
+        string Name,
+        string? Model = null,
+        string? Manufacturer = null,
+        string? SerialNumber = null,
+        string? Department = null,
+        string? Location = null,
+        string? Status = null,     // In service | Out of service | Retired
+        DateTimeOffset? NextPmDue = null
+    );
+
+    // ---------------------------------------------------------------------
+    // Work orders
+    // ---------------------------------------------------------------------
+    public record WorkOrder(
+        string Id,
+        string Title,
+        string? AssetId = null,
+        string? AssetName = null,
+        string? Status = null,     // Open | In progress | On hold | Completed
+        string? Priority = null,   // Low | Medium | High | Critical
+        string? AssignedTo = null,
+        DateTimeOffset? DueAt = null,
+        DateTimeOffset? CreatedAt = null
+    );
+
+    // ---------------------------------------------------------------------
+    // Dashboard (GET api/dashboard/counts, live: "dashboard.counts" events)
+    // ---------------------------------------------------------------------
+    public record DashboardCounts(
+        int OpenWorkOrders,
+        int OverdueWorkOrders,
+        int PmDueThisWeek,
+        int AssetsOutOfService
+    );
+
+    // ---------------------------------------------------------------------
+    // Barcode / QR scan (wwwroot/js/scanner.js)
+    // ---------------------------------------------------------------------
+    public record ScanResult(
+        string AssetId,
+        string Text,
+        string? Format,            // qr_code | code_128 | data_matrix
+        string? Source             // camera | image
+    );
+}
@@ -244,4 +244,46 @@ namespace WebApp.Models
         Solutions? Solutions = null,
         FinalCta? FinalCta = null
     );
+
+    // =====================================================================
+    // Printing: labels.json (asset tag templates + work-order sheet)
+    // =====================================================================
+
+    // One label stock; sizes in Unit ("in" | "mm")
+    public record LabelTemplate(
+        string Id,
+        string Name,
+        string Page,               // letter | a4 | custom (PageWidth x PageHeight)
+        string Unit,
+        int Columns,
+        int Rows,
+        double LabelWidth,
+        double LabelHeight,
+        double MarginTop,
+        double MarginLeft,
+        double GapX,
+        double GapY,
+        double QrSize,
+        double? PageWidth = null,
+        double? PageHeight = null,
+        List<string>? Fields = null  // name | department | location | serial
+    );
+
+    public record WorkOrderSheet(
+        string? Page,              // letter | a4
+        string? Title,
+        string? QrUrlTemplate,     // "{id}" = work order id
+        List<string>? Checklist,
+        int NotesLines,
+        int PartsRows,
+        List<string>? Signatures,
+        string? Footer
+    );
+
+    public record LabelsContent(
+        string? DefaultTemplate,
+        string? AssetUrlTemplate,  // "{id}" = asset id; scanned back by wwwroot/js/scanner.js
+        List<LabelTemplate> Templates,
+        WorkOrderSheet? WorkOrderSheet
+    );
 }
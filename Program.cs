@@ -1,3 +1,4 @@
+using System.Net;
 using System.Net.Http;
 using System.Net.Http.Headers;
 using System.Text.Json;
@@ -47,11 +48,26 @@ builder.Services.AddHttpClient<ApiClient>(client =>
 
 // ---- App services
 builder.Services.AddAuthorizationCore();
+builder.Services.AddSingleton(CaptchaOptions.FromConfiguration(builder.Configuration)); // turnstile | hcaptcha | stub
+builder.Services.AddScoped<I18nService>();      // UI language / RTL (wwwroot/js/i18n.js); ContentService reads content/{locale}/
 builder.Services.AddScoped<ContentService>();   // uses default HttpClient => "static"
 builder.Services.AddScoped<TelemetryService>();
-builder.Services.AddSingleton<FeatureFlags>();
+builder.Services.AddScoped<ConsentService>();   // banner / preferences state (wwwroot/js/consent.js)
+builder.Services.AddScoped<OutboxService>();    // offline queue for POST/PUT (wwwroot/js/outbox.js)
+builder.Services.AddScoped<PasskeyService>();   // WebAuthn sign-in / enrollment (wwwroot/js/passkey.js)
+builder.Services.AddScoped<PrintService>();     // asset labels / work-order sheets (wwwroot/js/labels.js)
+builder.Services.AddScoped<ExportService>();    // CSV / XLSX export in the browser (wwwroot/js/export.js)
+builder.Services.AddScoped<PushService>();      // Web Push subscription / notification clicks (wwwroot/js/push.js)
+builder.Services.AddScoped<RealtimeService>();  // SSE / WebSocket event stream (wwwroot/js/realtime.js)
+builder.Services.AddScoped<ShortcutService>();  // command palette / keyboard shortcuts (wwwroot/js/keys.js)
+builder.Services.AddSingleton<FeatureFlags>();     // runtime flags / rollout / ?ff= overrides (wwwroot/js/flags.js)
 
-await builder.Build().RunAsync();
+var host = builder.Build();
+
+// Flags are evaluated before the first render so gated UI never flickers
+await host.Services.GetRequiredService<FeatureFlags>().InitAsync();
+
+await host.RunAsync();
 
 // ===== Auth handler for the API client =====
 public sealed class AuthMessageHandler : DelegatingHandler
@@ -66,6 +82,12 @@ public sealed class AuthMessageHandler : DelegatingHandler
         if (!string.IsNullOrWhiteSpace(token))
             request.Headers.Authorization = new AuthenticationHeaderValue("Bearer", token);
 
-        return await base.SendAsync(request, ct);
+        var response = await base.SendAsync(request, ct);
+
+        // Rejected token: sign out in every tab
+        if (response.StatusCode == HttpStatusCode.Unauthorized && !string.IsNullOrWhiteSpace(token))
+            await _auth.HandleUnauthorizedAsync(response.Headers.Contains("Token-Expired"));
+
+        return response;
     }
 }
@@ -145,10 +145,11 @@ namespace WebApp.Services
         public async Task<TRes?> PostAsync<TReq, TRes>(
             string endpoint,
             TReq body,
-            CancellationToken ct = default)
+            CancellationToken ct = default,
+            IReadOnlyDictionary<string, string>? headers = null)
         {
-            using var content = Serialize(body);
-            using var resp = await _http.PostAsync(endpoint, content, ct);
+            using var request = JsonRequest(HttpMethod.Post, endpoint, body, headers);
+            using var resp = await _http.SendAsync(request, ct);
             await HandleAuthAsync(resp);
 
             if (!resp.IsSuccessStatusCode)
@@ -160,10 +161,11 @@ namespace WebApp.Services
         public async Task<TRes?> PutAsync<TReq, TRes>(
             string endpoint,
             TReq body,
-            CancellationToken ct = default)
+            CancellationToken ct = default,
+            IReadOnlyDictionary<string, string>? headers = null)
         {
-            using var content = Serialize(body);
-            using var resp = await _http.PutAsync(endpoint, content, ct);
+            using var request = JsonRequest(HttpMethod.Put, endpoint, body, headers);
+            using var resp = await _http.SendAsync(request, ct);
             await HandleAuthAsync(resp);
 
             if (!resp.IsSuccessStatusCode)
@@ -228,6 +230,21 @@ namespace WebApp.Services
             return new StringContent(json, Encoding.UTF8, "application/json");
         }
 
+        private HttpRequestMessage JsonRequest<T>(
+            HttpMethod method,
+            string endpoint,
+            T body,
+            IReadOnlyDictionary<string, string>? headers)
+        {
+            var request = new HttpRequestMessage(method, endpoint) { Content = Serialize(body) };
+            if (headers is not null)
+            {
+                foreach (var (name, value) in headers)
+                    request.Headers.TryAddWithoutValidation(name, value);
+            }
+            return request;
+        }
+
         private async Task<T?> DeserializeAsync<T>(HttpResponseMessage resp, CancellationToken ct)
         {
             if (resp.Content == null)
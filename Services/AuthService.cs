@@ -1,21 +1,187 @@
 // Services/AuthService.cs
+using System.Text.Json;
+using Microsoft.JSInterop;
+
 namespace WebApp.Services;
 
-public sealed class AuthService
+/// <summary>
+/// Access token holder backed by the browser session manager (window.BioSession,
+/// wwwroot/js/session.js): the token survives reloads, and sign-in, refresh, idle
+/// timeout and sign-out are shared by every open tab.
+/// </summary>
+public sealed class AuthService : IAsyncDisposable
 {
-    private string? _token; // later: persist securely
+    private readonly IJSRuntime _js;
+    private readonly SessionOptions _options;
+
+    private DotNetObjectReference<AuthService>? _selfRef; // for JS -> .NET callbacks
+    private Task? _init;
+    private string? _token;
+
+    /// <summary>Raised when another tab (or the idle timer) changes the session. Arg: reason.</summary>
+    public event Action<string>? OnChanged;
+
+    public bool IsSignedIn => !string.IsNullOrEmpty(_token);
+
+    /// <summary>Who is signed in (id / org / role), for targeting such as feature flags.</summary>
+    public SessionUser? User { get; private set; }
+
+    public AuthService(IJSRuntime js, IConfiguration config)
+    {
+        _js = js;
+        _options = SessionOptions.FromConfiguration(config);
+    }
+
+    public Task InitAsync() => _init ??= InitCoreAsync();
 
-    public ValueTask<string?> GetAccessTokenAsync() => ValueTask.FromResult(_token);
+    private async Task InitCoreAsync()
+    {
+        try
+        {
+            _selfRef ??= DotNetObjectReference.Create(this);
+            var session = await _js.InvokeAsync<SessionInfo?>("BioSession.init", _selfRef, _options.ToJs());
+            Apply(session);
+        }
+        catch
+        {
+            _init = null; // JS not ready yet (prerender / early call): try again next time
+        }
+    }
 
-    public Task SetAccessTokenAsync(string token)
+    public async ValueTask<string?> GetAccessTokenAsync()
+    {
+        await InitAsync();
+        return _token;
+    }
+
+    public async Task SetAccessTokenAsync(string token, DateTimeOffset? expiresAt = null)
     {
         _token = token;
-        return Task.CompletedTask;
+        User = SessionUser.FromToken(token);
+        await InitAsync();
+        try
+        {
+            await _js.InvokeAsync<bool>("BioSession.set", new SessionInfo(token, expiresAt?.ToString("o"), User));
+        }
+        catch { }
     }
 
-    public Task SignOutAsync()
+    public async Task SignOutAsync(string reason = "user")
     {
         _token = null;
+        User = null;
+        try { await _js.InvokeVoidAsync("BioSession.signOut", reason); }
+        catch { }
+    }
+
+    /// <summary>
+    /// Post-login redirect target: only local paths ("/app/…"), never "//host" or "/\host",
+    /// so a crafted returnUrl can't send a fresh session off-site.
+    /// </summary>
+    public static string SafeReturnUrl(string? returnUrl, string fallback = "/app/dashboard")
+    {
+        if (string.IsNullOrEmpty(returnUrl) || returnUrl[0] != '/') return fallback;
+        if (returnUrl.Length > 1 && (returnUrl[1] == '/' || returnUrl[1] == '\\')) return fallback;
+        // Browsers drop tabs/newlines in URLs, which would turn "/\t/host" into "//host"
+        return returnUrl.Any(char.IsControl) ? fallback : returnUrl;
+    }
+
+    // 401 from the API: an expired token ends the session everywhere
+    public Task HandleUnauthorizedAsync(bool tokenExpired)
+        => IsSignedIn ? SignOutAsync(tokenExpired ? "expired" : "unauthorized") : Task.CompletedTask;
+
+    [JSInvokable] // JS notifies us: signed-in / refreshed / restored / signout / user / idle / expired / unauthorized
+    public Task OnSessionChanged(SessionInfo? session, string reason)
+    {
+        Apply(session);
+        OnChanged?.Invoke(reason);
         return Task.CompletedTask;
     }
+
+    // Sessions stored before the user was recorded fall back to the token's claims
+    private void Apply(SessionInfo? session)
+    {
+        _token = session?.Token;
+        User = session is null ? null : session.User ?? SessionUser.FromToken(session.Token);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        try { if (_selfRef is not null) await _js.InvokeVoidAsync("BioSession.removeDotNet", _selfRef); } catch { }
+        _selfRef?.Dispose();
+    }
+}
+
+public sealed record SessionInfo(string Token, string? ExpiresAt, SessionUser? User);
+
+public sealed record SessionUser(string? Id, string? Org, string? Role)
+{
+    private const string RoleClaimUri = "http://schemas.microsoft.com/ws/2008/06/identity/claims/role";
+
+    /// <summary>
+    /// Reads sub / org / role from a JWT access token's payload. The signature is not checked:
+    /// the API enforces access, this only feeds client-side targeting.
+    /// </summary>
+    public static SessionUser? FromToken(string? token)
+    {
+        var parts = token?.Split('.');
+        if (parts is not { Length: 3 }) return null;
+        try
+        {
+            var payload = parts[1].Replace('-', '+').Replace('_', '/');
+            payload = payload.PadRight(payload.Length + (4 - payload.Length % 4) % 4, '=');
+            using var doc = JsonDocument.Parse(Convert.FromBase64String(payload));
+            var root = doc.RootElement;
+            if (root.ValueKind != JsonValueKind.Object) return null;
+            var user = new SessionUser(
+                Claim(root, "sub", "uid"),
+                Claim(root, "org", "org_id", "orgId"),
+                Claim(root, "role", "roles", RoleClaimUri));
+            return user.Id is null && user.Org is null && user.Role is null ? null : user;
+        }
+        catch (Exception ex) when (ex is FormatException or JsonException)
+        {
+            return null; // opaque (non-JWT) token
+        }
+    }
+
+    // First of the named claims that is set; arrays give their first entry
+    private static string? Claim(JsonElement root, params string[] names)
+    {
+        foreach (var name in names)
+        {
+            if (!root.TryGetProperty(name, out var v)) continue;
+            if (v.ValueKind == JsonValueKind.Array) v = v.EnumerateArray().FirstOrDefault();
+            var value = v.ValueKind switch
+            {
+                JsonValueKind.String => v.GetString(),
+                JsonValueKind.Number => v.GetRawText(),
+                _ => null
+            };
+            if (!string.IsNullOrEmpty(value)) return value;
+        }
+        return null;
+    }
+}
+
+/// <summary>appsettings.json "Session" section.</summary>
+public sealed class SessionOptions
+{
+    public string Storage { get; set; } = "session"; // session | indexeddb
+    public int IdleTimeoutMinutes { get; set; } = 15;  // 0 = no idle sign-out
+    public int WarningSeconds { get; set; } = 60;
+
+    public static SessionOptions FromConfiguration(IConfiguration config)
+    {
+        var o = new SessionOptions();
+        config.GetSection("Session").Bind(o);
+        return o;
+    }
+
+    public object ToJs() => new
+    {
+        storage = Storage.ToLowerInvariant(),
+        idleMinutes = IdleTimeoutMinutes,
+        warnSeconds = WarningSeconds
+    };
 }
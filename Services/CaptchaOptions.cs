@@ -0,0 +1,51 @@
+// Services/CaptchaOptions.cs
+namespace WebApp.Services;
+
+/// <summary>
+/// "Captcha" section of appsettings.json: which provider BioMaintLogin renders
+/// (turnstile | hcaptcha | stub) plus the local stub's simulation settings.
+/// Falls back to the legacy "Turnstile:SiteKey" when Captcha:SiteKey is empty.
+/// </summary>
+public sealed class CaptchaOptions
+{
+    public string Provider { get; set; } = "turnstile";
+    public string SiteKey { get; set; } = "";
+    public CaptchaStubOptions Stub { get; set; } = new();
+
+    public bool IsStub => Provider.Equals("stub", StringComparison.OrdinalIgnoreCase);
+
+    public static CaptchaOptions FromConfiguration(IConfiguration config)
+    {
+        var opts = new CaptchaOptions();
+        config.GetSection("Captcha").Bind(opts);
+
+        if (string.IsNullOrWhiteSpace(opts.SiteKey))
+            opts.SiteKey = config["Turnstile:SiteKey"] ?? "";
+
+        return opts;
+    }
+
+    /// <summary>
+    /// Options object for BioMaintLogin.init. The action lets the backend tell
+    /// a login challenge from a signup one.
+    /// </summary>
+    public object ToJs(string action, string? cData = null) => new
+    {
+        provider = Provider,
+        action,
+        cData,
+        stub = IsStub ? Stub : null
+    };
+}
+
+/// <summary>Local stub knobs (CI / air-gapped dev): slow solves, errors and expiry.</summary>
+public sealed class CaptchaStubOptions
+{
+    public string Token { get; set; } = "XXXX.DUMMY.TOKEN.XXXX";
+    public int SolveDelayMs { get; set; } = 600;
+    public bool AutoSolve { get; set; } = true;
+    public int FailFirst { get; set; }          // first N attempts raise an error
+    public double FailRate { get; set; }        // 0..1, seeded => repeatable
+    public int Seed { get; set; } = 1;
+    public int ExpireAfterMs { get; set; }      // > 0 => tokens expire
+}
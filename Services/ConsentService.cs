@@ -0,0 +1,70 @@
+// Services/ConsentService.cs
+using Microsoft.JSInterop;
+
+namespace WebApp.Services;
+
+/// <summary>
+/// Blazor side of the consent manager (window.BioConsent, wwwroot/js/consent.js).
+/// The browser owns the stored choice; this service reads it, updates it and raises
+/// <see cref="OnChanged"/> when it changes (banner, preferences dialog or another tab).
+/// </summary>
+public sealed class ConsentService : IAsyncDisposable
+{
+    public const string Functional = "functional";
+    public const string Analytics = "analytics";
+
+    private readonly IJSRuntime _js;
+    private DotNetObjectReference<ConsentService>? _selfRef; // for JS -> .NET callbacks
+    private bool _inited;
+
+    public event Action<ConsentState>? OnChanged;
+
+    public ConsentState Current { get; private set; } = ConsentState.Undecided;
+
+    public ConsentService(IJSRuntime js) => _js = js;
+
+    public async Task InitAsync()
+    {
+        if (_inited) return;
+        _selfRef ??= DotNetObjectReference.Create(this);
+        await _js.InvokeVoidAsync("BioConsent.setDotNet", _selfRef);
+        Current = await _js.InvokeAsync<ConsentState>("BioConsent.get");
+        _inited = true;
+        // Components that rendered before this ran catch up with the stored choice
+        OnChanged?.Invoke(Current);
+    }
+
+    public async Task<bool> HasAsync(string category)
+    {
+        try { return await _js.InvokeAsync<bool>("BioConsent.has", category); }
+        catch { return false; }
+    }
+
+    public async Task UpdateAsync(bool functional, bool analytics)
+        => Current = await _js.InvokeAsync<ConsentState>("BioConsent.update", new { functional, analytics });
+
+    public async Task AcceptAllAsync() => Current = await _js.InvokeAsync<ConsentState>("BioConsent.acceptAll");
+
+    public async Task RejectAllAsync() => Current = await _js.InvokeAsync<ConsentState>("BioConsent.rejectAll");
+
+    public Task OpenPreferencesAsync() => _js.InvokeVoidAsync("BioConsent.openPreferences").AsTask();
+
+    [JSInvokable] // JS notifies us: banner / dialog / another tab changed the choice
+    public Task OnConsentChanged(ConsentState state)
+    {
+        Current = state;
+        OnChanged?.Invoke(state);
+        return Task.CompletedTask;
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        try { await _js.InvokeVoidAsync("BioConsent.setDotNet", null); } catch { }
+        _selfRef?.Dispose();
+    }
+}
+
+public sealed record ConsentState(bool Decided, bool Necessary, bool Functional, bool Analytics, string? UpdatedAt)
+{
+    public static readonly ConsentState Undecided = new(false, true, false, false, null);
+}
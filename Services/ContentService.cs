@@ -9,6 +9,7 @@ namespace WebApp.Services;
 public sealed class ContentService
 {
     private readonly HttpClient _http;
+    private readonly I18nService _i18n;
 
     private static readonly JsonSerializerOptions JsonOpts = new(JsonSerializerDefaults.Web)
     {
@@ -29,27 +30,35 @@ public sealed class ContentService
         int.TryParse(Environment.GetEnvironmentVariable("CONTENT_TTL_SECONDS"), out var s) && s > 0 ? s : 30
     );
 
-    public ContentService(HttpClient http) => _http = http;
+    public ContentService(HttpClient http, I18nService i18n)
+    {
+        _http = http;
+        _i18n = i18n;
+    }
 
     // ------------------------------------------------------------
     // Unified fetch with in-flight coalescing + short-ttl memory cache
+    // Localized: content/{locale}/{name}.json first, English content/{name}.json as the fallback
     // ------------------------------------------------------------
     private async Task<byte[]?> FetchBytesAsync(string name, CancellationToken ct)
     {
+        await _i18n.InitAsync();
+        var locale = _i18n.Locale;
+        var cacheKey = $"{locale}/{name}";
+
         // 1) short-lived cache hit?
-        if (_cache.TryGetValue(name, out var entry) && entry.Exp > DateTimeOffset.UtcNow)
+        if (_cache.TryGetValue(cacheKey, out var entry) && entry.Exp > DateTimeOffset.UtcNow)
             return entry.Bytes;
 
         // 2) coalesce concurrent downloads
         var lazy = _inflight.GetOrAdd(
-            name,
+            cacheKey,
             key => new Lazy<Task<byte[]?>>(async () =>
             {
                 try
                 {
-                    var url = $"content/{key}.json";
-                    using var resp = await _http.GetAsync(url, HttpCompletionOption.ResponseHeadersRead, ct);
-                    if (!resp.IsSuccessStatusCode) return null;
+                    using var resp = await GetLocalizedAsync(name, locale, ct);
+                    if (resp is null) return null;
 
                     await using var stream = await resp.Content.ReadAsStreamAsync(ct);
                     // Buffer to memory so we can parse multiple times (create fresh JsonDocument per caller)
@@ -84,8 +93,23 @@ public sealed class ContentService
         finally
         {
             // Clean up in-flight slot so future fetches can re-start if needed
-            _inflight.TryRemove(name, out _);
+            _inflight.TryRemove(cacheKey, out _);
+        }
+    }
+
+    private async Task<HttpResponseMessage?> GetLocalizedAsync(string name, string locale, CancellationToken ct)
+    {
+        if (locale != "en")
+        {
+            var localized = await _http.GetAsync($"content/{locale}/{name}.json", HttpCompletionOption.ResponseHeadersRead, ct);
+            if (localized.IsSuccessStatusCode) return localized;
+            localized.Dispose();
         }
+
+        var english = await _http.GetAsync($"content/{name}.json", HttpCompletionOption.ResponseHeadersRead, ct);
+        if (english.IsSuccessStatusCode) return english;
+        english.Dispose();
+        return null;
     }
 
     /// <summary>
@@ -164,6 +188,9 @@ public sealed class ContentService
     public Task<T?> GetPricingFaqAsync<T>(CancellationToken ct = default)
         => GetAsync<T>("pricing-faq", ct);
 
+    public Task<T?> GetLabelsAsync<T>(CancellationToken ct = default)
+        => GetAsync<T>("labels", ct);
+
     // ------------------------------------------------------------
     // Case-insensitive JSON helpers
     // ------------------------------------------------------------
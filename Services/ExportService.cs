@@ -0,0 +1,141 @@
+// Services/ExportService.cs
+using Microsoft.JSInterop;
+
+namespace WebApp.Services;
+
+/// <summary>
+/// Client-side CSV/XLSX export. Pages are pulled from the API with <see cref="ApiClient.GetPagedAsync{T}"/>
+/// and handed to the browser (window.BioExport, wwwroot/js/export.js) in chunks, which streams them to disk
+/// or into a download — the server never builds the file.
+/// </summary>
+public sealed class ExportService
+{
+    public const string Csv = "csv";
+    public const string Xlsx = "xlsx";
+
+    private const int PageSize = 500;
+    private const int MaxPages = 1000; // 500k rows; beyond that the API is most likely ignoring "page"
+
+    private readonly IJSRuntime _js;
+    private readonly ApiClient _api;
+
+    public ExportService(IJSRuntime js, ApiClient api)
+    {
+        _js = js;
+        _api = api;
+    }
+
+    /// <summary>
+    /// Exports every page of <paramref name="endpoint"/>. Call straight from the click handler:
+    /// the save dialog needs the user gesture, so it opens before the first request.
+    /// </summary>
+    public async Task<ExportResult> ExportPagedAsync<T>(
+        string endpoint,
+        IReadOnlyList<ExportColumn<T>> columns,
+        string format,
+        string fileName,
+        Dictionary<string, string>? query = null,
+        IProgress<ExportProgress>? progress = null,
+        CancellationToken ct = default)
+    {
+        var begin = await BeginAsync(format, fileName, columns.Select(c => new { header = c.Header, type = c.Type }));
+        if (!begin.Ok || begin.Id is null)
+            return new ExportResult(false, begin.Cancelled, 0, 0, null, null, begin.Cancelled ? null : begin.Error);
+
+        var rows = 0;
+        string? error = null;
+        try
+        {
+            int? total = null;
+            string? previous = null;
+            for (var page = 1; ; page++)
+            {
+                if (page > MaxPages)
+                {
+                    error = $"Export stopped after {MaxPages:N0} pages ({rows:N0} rows).";
+                    break;
+                }
+
+                var q = new Dictionary<string, string>(query ?? new())
+                {
+                    ["page"] = page.ToString(),
+                    ["pageSize"] = PageSize.ToString()
+                };
+                var result = await _api.GetPagedAsync<T>(endpoint, q, ct);
+                if (result.Data.Count == 0) break;
+
+                var chunk = result.Data.Select(item => columns.Select(c => c.Value(item)).ToArray()).ToArray();
+
+                // An API that ignores paging answers every page alike: stop instead of looping forever
+                var fingerprint = string.Join('\u001f', chunk.SelectMany(r => r).Select(v => v?.ToString()));
+                if (fingerprint == previous)
+                {
+                    error = $"The server returned the same page twice; export stopped at {rows:N0} rows.";
+                    break;
+                }
+                previous = fingerprint;
+
+                rows = await _js.InvokeAsync<int>("BioExport.append", ct, begin.Id, chunk);
+
+                // The API may cap pageSize, so a short page isn't the end. GetPagedAsync falls back to
+                // the page's own length when no total is reported; only a larger one is a real total
+                if (result.TotalCount > result.Data.Count) total = Math.Max(total ?? 0, result.TotalCount);
+                progress?.Report(new ExportProgress(rows, total is null ? rows + 1 : Math.Max(total.Value, rows)));
+
+                if (total is not null && rows >= total) break;
+            }
+        }
+        catch (Exception ex)
+        {
+            await AbortAsync(begin.Id);
+            return ex is OperationCanceledException
+                ? new ExportResult(false, true, rows, 0, null, begin.Mode, null)
+                : new ExportResult(false, false, rows, 0, null, begin.Mode, "Couldn’t load the data to export.");
+        }
+
+        if (error is not null)
+        {
+            await AbortAsync(begin.Id);
+            return new ExportResult(false, false, rows, 0, null, begin.Mode, error);
+        }
+
+        try
+        {
+            return await _js.InvokeAsync<ExportResult>("BioExport.finish", begin.Id);
+        }
+        catch (JSException ex)
+        {
+            return new ExportResult(false, false, rows, 0, null, begin.Mode, ex.Message);
+        }
+    }
+
+    private async Task<BeginResult> BeginAsync(string format, string fileName, IEnumerable<object> columns)
+    {
+        try
+        {
+            return await _js.InvokeAsync<BeginResult>("BioExport.begin",
+                new { format = format == Xlsx ? Xlsx : Csv, fileName, columns, sheetName = fileName });
+        }
+        catch (JSException ex)
+        {
+            return new BeginResult(false, null, null, false, ex.Message);
+        }
+    }
+
+    private async Task AbortAsync(string id)
+    {
+        try { await _js.InvokeVoidAsync("BioExport.abort", id); }
+        catch (JSException) { }
+    }
+
+    private sealed record BeginResult(bool Ok, string? Id, string? Mode, bool Cancelled, string? Error);
+}
+
+/// <summary>One output column. <paramref name="Type"/> is string | number | date | bool.</summary>
+public sealed record ExportColumn<T>(string Header, Func<T, object?> Value, string Type = "string");
+
+public readonly record struct ExportProgress(int Rows, int Total);
+
+/// <summary>Mode is "stream" (written straight to disk) or "download" (Blob).</summary>
+public sealed record ExportResult(bool Ok, bool Cancelled, int Rows, long Bytes, string? FileName, string? Mode,
+    string? Error = null);
@@ -1,8 +1,92 @@
 // Services/FeatureFlags.cs
+using Microsoft.JSInterop;
+
 namespace WebApp.Services;
 
-public sealed class FeatureFlags
+/// <summary>
+/// Feature flags evaluated by window.BioFlags (wwwroot/js/flags.js): appsettings + remote JSON,
+/// targeting by org/role/locale, percentage rollout and ?ff= overrides. Program.cs awaits
+/// <see cref="InitAsync"/> before the first render; later changes arrive via <see cref="OnFlagsChanged"/>.
+/// App.razor hands over the restored session's user (<see cref="SetUserAsync"/>) for targeting.
+/// Without JS the plain defaults from "FeatureFlags:Flags" apply.
+/// </summary>
+public sealed class FeatureFlags : IAsyncDisposable
 {
-    public bool EnableBlog => true;
-    public bool EnableBetaBanner => false;
+    private readonly IJSRuntime _js;
+    private DotNetObjectReference<FeatureFlags>? _selfRef;
+    private Dictionary<string, bool> _values;
+    private Task? _init;
+
+    public event Action? OnChanged;
+
+    public bool EnableBlog => IsEnabled("blog");
+    public bool EnableBetaBanner => IsEnabled("betaBanner");
+
+    public FeatureFlags(IJSRuntime js, IConfiguration config)
+    {
+        _js = js;
+        _values = new(StringComparer.OrdinalIgnoreCase);
+        foreach (var flag in config.GetSection("FeatureFlags:Flags").GetChildren())
+        {
+            // "name": true  or  "name": { "default": true, "rules": [...] }
+            var raw = flag.Value ?? flag["default"];
+            _values[flag.Key] = bool.TryParse(raw, out var on) && on;
+        }
+    }
+
+    public bool IsEnabled(string name) => _values.TryGetValue(name, out var on) && on;
+
+    public IReadOnlyDictionary<string, bool> All => _values;
+
+    /// <summary>Waits for the browser's first evaluation; later calls return the same task.</summary>
+    public Task InitAsync() => _init ??= InitCoreAsync();
+
+    private async Task InitCoreAsync()
+    {
+        _selfRef ??= DotNetObjectReference.Create(this);
+        try { Apply(await _js.InvokeAsync<Dictionary<string, bool>>("BioFlags.init", _selfRef)); }
+        catch (JSException) { }
+    }
+
+    /// <summary>Sets the signed-in user's targeting fields (a null user clears them).</summary>
+    public Task SetUserAsync(SessionUser? user)
+        => ApplyContextAsync(new Dictionary<string, string?> { ["userId"] = user?.Id, ["org"] = user?.Org, ["role"] = user?.Role });
+
+    /// <summary>Overrides the targeting context (null leaves a field as the session reports it).</summary>
+    public Task SetContextAsync(string? org = null, string? role = null)
+    {
+        var ctx = new Dictionary<string, string?>();
+        if (org is not null) ctx["org"] = org;
+        if (role is not null) ctx["role"] = role;
+        return ctx.Count == 0 ? Task.CompletedTask : ApplyContextAsync(ctx);
+    }
+
+    private async Task ApplyContextAsync(Dictionary<string, string?> ctx)
+    {
+        try { Apply(await _js.InvokeAsync<Dictionary<string, bool>>("BioFlags.setContext", ctx)); }
+        catch (JSException) { }
+    }
+
+    [JSInvokable]
+    public Task OnFlagsChanged(Dictionary<string, bool> values)
+    {
+        Apply(values);
+        return Task.CompletedTask;
+    }
+
+    private void Apply(Dictionary<string, bool>? values)
+    {
+        if (values is null) return;
+        var next = new Dictionary<string, bool>(values, StringComparer.OrdinalIgnoreCase);
+        if (next.Count == _values.Count && next.All(kv => _values.TryGetValue(kv.Key, out var v) && v == kv.Value)) return;
+        _values = next;
+        OnChanged?.Invoke();
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        try { await _js.InvokeVoidAsync("BioFlags.setDotNet", null); }
+        catch { }
+        _selfRef?.Dispose();
+    }
 }
@@ -0,0 +1,96 @@
+// Services/I18nService.cs
+using System.Globalization;
+using Microsoft.JSInterop;
+
+namespace WebApp.Services;
+
+/// <summary>
+/// UI language (window.BioI18n, wwwroot/js/i18n.js). The browser negotiates it before Blazor
+/// starts (?lang=, saved choice, navigator.languages) and owns &lt;html lang dir&gt;; this mirrors
+/// it into CultureInfo and tells <see cref="ContentService"/> which content/{locale}/ to read.
+/// </summary>
+public sealed class I18nService : IAsyncDisposable
+{
+    public static readonly IReadOnlyList<LocaleInfo> Locales = new[]
+    {
+        new LocaleInfo("en", "English", "ltr", "en-US"),
+        new LocaleInfo("bn", "বাংলা", "ltr", "bn-BD"),
+        new LocaleInfo("ar", "العربية", "rtl", "ar")
+    };
+
+    private readonly IJSRuntime _js;
+    private DotNetObjectReference<I18nService>? _selfRef;
+    private Task? _init;
+
+    public event Action<string>? OnChanged;
+
+    public string Locale { get; private set; } = "en";
+
+    public LocaleInfo Current => Find(Locale) ?? Locales[0];
+
+    public I18nService(IJSRuntime js) => _js = js;
+
+    /// <summary>Reads the negotiated locale once; later calls return the same task.</summary>
+    public Task InitAsync() => _init ??= InitCoreAsync();
+
+    private async Task InitCoreAsync()
+    {
+        _selfRef ??= DotNetObjectReference.Create(this);
+        try
+        {
+            Locale = Find(await _js.InvokeAsync<string>("BioI18n.getLocale"))?.Id ?? "en";
+            await _js.InvokeVoidAsync("BioI18n.setDotNet", _selfRef);
+        }
+        catch (JSException) { }
+        ApplyCulture();
+    }
+
+    /// <summary>Switches language in place: the browser saves it and re-translates, then calls back.</summary>
+    public async Task SetLocaleAsync(string locale)
+    {
+        if (Find(locale) is not { } info) return;
+        await InitAsync();
+        try { await _js.InvokeAsync<string>("BioI18n.setLocale", info.Id); }
+        catch (JSException) { Update(info.Id); }
+    }
+
+    [JSInvokable]
+    public Task OnLocaleChanged(string locale)
+    {
+        Update(locale);
+        return Task.CompletedTask;
+    }
+
+    private void Update(string locale)
+    {
+        var id = Find(locale)?.Id ?? "en";
+        if (id == Locale) return;
+        Locale = id;
+        ApplyCulture();
+        OnChanged?.Invoke(id);
+    }
+
+    // Number/date formatting in components follows the UI language
+    private void ApplyCulture()
+    {
+        try
+        {
+            var culture = CultureInfo.GetCultureInfo(Current.Culture);
+            CultureInfo.DefaultThreadCurrentCulture = CultureInfo.DefaultThreadCurrentUICulture = culture;
+            CultureInfo.CurrentCulture = CultureInfo.CurrentUICulture = culture;
+        }
+        catch (CultureNotFoundException) { }
+    }
+
+    private static LocaleInfo? Find(string? id)
+        => Locales.FirstOrDefault(l => string.Equals(l.Id, id, StringComparison.OrdinalIgnoreCase));
+
+    public async ValueTask DisposeAsync()
+    {
+        try { await _js.InvokeVoidAsync("BioI18n.setDotNet", null); }
+        catch { }
+        _selfRef?.Dispose();
+    }
+}
+
+public sealed record LocaleInfo(string Id, string NativeName, string Dir, string Culture);
@@ -0,0 +1,161 @@
+// Services/OutboxService.cs
+using Microsoft.JSInterop;
+using Polly;
+
+namespace WebApp.Services;
+
+/// <summary>
+/// Offline-tolerant writes: tries the API directly and, when the network is down,
+/// hands the request to the browser outbox (window.BioOutbox) which replays it in order
+/// once connectivity returns. The direct try and every replay carry the same Idempotency-Key,
+/// so a write that reached the server before the connection dropped isn't applied twice.
+/// </summary>
+public sealed class OutboxService : IAsyncDisposable
+{
+    private readonly IJSRuntime _js;
+    private readonly ApiClient _api;
+    private readonly AuthService _auth;
+    private readonly Uri _apiBase;
+
+    private DotNetObjectReference<OutboxService>? _selfRef; // for JS -> .NET callbacks
+    private bool _inited;
+
+    public event Action<OutboxStatus>? OnChanged;
+
+    public int QueueLength { get; private set; }
+
+    public OutboxService(IJSRuntime js, ApiClient api, AuthService auth, IConfiguration config)
+    {
+        _js = js;
+        _api = api;
+        _auth = auth;
+        _apiBase = new Uri((config["ApiBaseUrl"] ?? "https://biomaint.com/").TrimEnd('/') + "/");
+    }
+
+    public async Task InitAsync()
+    {
+        if (_inited) return;
+        _selfRef ??= DotNetObjectReference.Create(this);
+        await _js.InvokeVoidAsync("BioOutbox.init", _selfRef);
+        _inited = true;
+    }
+
+    // ---------- Send-or-queue ----------
+    public Task<OutboxResult<TRes>> PostOrQueueAsync<TReq, TRes>(
+        string endpoint,
+        TReq body,
+        CancellationToken ct = default)
+        => SendOrQueueAsync("POST", endpoint, body, headers => _api.PostAsync<TReq, TRes>(endpoint, body, ct, headers), ct);
+
+    public Task<OutboxResult<TRes>> PutOrQueueAsync<TReq, TRes>(
+        string endpoint,
+        TReq body,
+        CancellationToken ct = default)
+        => SendOrQueueAsync("PUT", endpoint, body, headers => _api.PutAsync<TReq, TRes>(endpoint, body, ct, headers), ct);
+
+    public async Task<string> EnqueueAsync<TReq>(string method, string endpoint, TReq body, string? idempotencyKey = null)
+    {
+        await InitAsync();
+        var url = new Uri(_apiBase, endpoint).ToString();
+        return await _js.InvokeAsync<string>("BioOutbox.enqueue", new
+        {
+            method,
+            url,
+            body,
+            key = idempotencyKey
+        });
+    }
+
+    private async Task<OutboxResult<TRes>> SendOrQueueAsync<TReq, TRes>(
+        string method,
+        string endpoint,
+        TReq body,
+        Func<IReadOnlyDictionary<string, string>, Task<TRes?>> send,
+        CancellationToken ct)
+    {
+        // One key for the direct try and the queued replay
+        var key = Guid.NewGuid().ToString("N");
+
+        // Don't sit through the resilience handler's retries when the browser knows it's offline
+        if (await IsOnlineAsync())
+        {
+            try
+            {
+                return OutboxResult<TRes>.Sent(await send(new Dictionary<string, string> { ["Idempotency-Key"] = key }));
+            }
+            catch (Exception ex) when (IsNetworkFailure(ex, ct))
+            {
+                // network failure or timeout: fall through to the outbox
+            }
+        }
+
+        key = await EnqueueAsync(method, endpoint, body, key);
+        return OutboxResult<TRes>.Queued(key);
+    }
+
+    // Timeouts (HttpClient's or the resilience handler's) and an open circuit count as offline;
+    // the caller cancelling does not
+    private static bool IsNetworkFailure(Exception ex, CancellationToken ct) => ex switch
+    {
+        HttpRequestException => true,
+        ExecutionRejectedException => true,
+        OperationCanceledException => !ct.IsCancellationRequested,
+        _ => false
+    };
+
+    private async Task<bool> IsOnlineAsync()
+    {
+        try { return await _js.InvokeAsync<bool>("BioOutbox.isOnline"); }
+        catch { return true; }
+    }
+
+    // ---------- Review ----------
+    public async Task<IReadOnlyList<OutboxItem>> GetItemsAsync()
+        => await _js.InvokeAsync<List<OutboxItem>>("BioOutbox.getItems");
+
+    public async Task<IReadOnlyList<OutboxItem>> GetConflictsAsync()
+        => await _js.InvokeAsync<List<OutboxItem>>("BioOutbox.getConflicts");
+
+    public Task RetryAsync(long id) => _js.InvokeVoidAsync("BioOutbox.retry", id).AsTask();
+
+    public Task DiscardAsync(long id) => _js.InvokeVoidAsync("BioOutbox.discard", id).AsTask();
+
+    public Task ReplayAsync() => _js.InvokeVoidAsync("BioOutbox.replay").AsTask();
+
+    // ---------- JS callbacks ----------
+    [JSInvokable] // JS notifies us: init / queued / sending / sent / conflict / failed / discarded / replay-*
+    public Task OnOutboxStatus(OutboxStatus status)
+    {
+        QueueLength = status.Length;
+        OnChanged?.Invoke(status);
+        return Task.CompletedTask;
+    }
+
+    [JSInvokable] // replays ask for the current token instead of persisting it in IndexedDB
+    public async Task<string?> GetAccessToken() => await _auth.GetAccessTokenAsync();
+
+    public async ValueTask DisposeAsync()
+    {
+        try { await _js.InvokeVoidAsync("BioOutbox.setDotNet", null); } catch { }
+        _selfRef?.Dispose();
+    }
+}
+
+public sealed record OutboxItem(
+    long Id,
+    string? Key,
+    string? Method,
+    string? Url,
+    string? Status,
+    int Attempts,
+    long CreatedAt,
+    string? Error
+);
+
+public sealed record OutboxStatus(string Evt, int Length, OutboxItem? Item);
+
+public readonly record struct OutboxResult<T>(bool IsQueued, string? IdempotencyKey, T? Value)
+{
+    public static OutboxResult<T> Sent(T? value) => new(false, null, value);
+    public static OutboxResult<T> Queued(string key) => new(true, key, default);
+}
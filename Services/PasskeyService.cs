@@ -0,0 +1,166 @@
+// Services/PasskeyService.cs
+using System.Text.Json;
+using Microsoft.JSInterop;
+
+namespace WebApp.Services;
+
+/// <summary>
+/// Passkey (WebAuthn) flows: the API issues the challenge options, the browser
+/// (window.BioPasskey, wwwroot/js/passkey.js) runs the ceremony and the API verifies it.
+/// Failures come back as a <see cref="PasskeyResult"/> error code instead of exceptions.
+/// </summary>
+public sealed class PasskeyService
+{
+    private readonly IJSRuntime _js;
+    private readonly ApiClient _api;
+    private readonly AuthService _auth;
+    private readonly string _apiBase;
+
+    public PasskeyService(IJSRuntime js, ApiClient api, AuthService auth, IConfiguration config)
+    {
+        _js = js;
+        _api = api;
+        _auth = auth;
+        _apiBase = (config["ApiBaseUrl"] ?? "https://biomaint.com/").TrimEnd('/') + "/";
+    }
+
+    private string SignInOptionsUrl => $"{_apiBase}api/auth/passkey/options";
+    private string SignInVerifyUrl => $"{_apiBase}api/auth/passkey/verify";
+    private string CredentialsUrl => $"{_apiBase}api/account/passkeys";
+    private string RegisterOptionsUrl => $"{_apiBase}api/account/passkeys/options";
+
+    public async Task<bool> IsSupportedAsync()
+    {
+        try { return await _js.InvokeAsync<bool>("BioPasskey.isSupported"); }
+        catch { return false; }
+    }
+
+    public async Task<bool> IsAutofillAvailableAsync()
+    {
+        try { return await _js.InvokeAsync<bool>("BioPasskey.isConditionalAvailable"); }
+        catch { return false; }
+    }
+
+    /// <summary>
+    /// Signs in (purpose "signin") or completes the second factor (purpose "mfa") and stores the token.
+    /// With <paramref name="autofill"/> the browser offers the passkey from the email field and the
+    /// call stays pending until the user picks one or <see cref="CancelAsync"/> runs.
+    /// </summary>
+    public async Task<PasskeyResult> SignInAsync(string? email = null, string purpose = "signin",
+        bool autofill = false, CancellationToken ct = default)
+    {
+        JsonElement options;
+        try
+        {
+            options = await _api.PostJsonAsync(SignInOptionsUrl, new { email, purpose }, ct);
+        }
+        catch (Exception ex) when (ex is HttpRequestException or ApiHttpException)
+        {
+            return PasskeyResult.Fail(PasskeyResult.Server, "Couldn’t start passkey sign-in.");
+        }
+
+        var ceremony = await RunAsync("BioPasskey.get", options, new { mediation = autofill ? "conditional" : "optional" });
+        if (!ceremony.Ok) return ceremony.ToResult();
+
+        try
+        {
+            var session = await _api.PostAsync<object, PasskeySession>(SignInVerifyUrl,
+                new { email, purpose, credential = ceremony.Credential }, ct);
+            if (session is null || string.IsNullOrEmpty(session.AccessToken))
+                return PasskeyResult.Fail(PasskeyResult.Server, "Passkey sign-in failed.");
+
+            await _auth.SetAccessTokenAsync(session.AccessToken, session.ExpiresAt);
+            return PasskeyResult.Success;
+        }
+        catch (ApiHttpException)
+        {
+            return PasskeyResult.Fail(PasskeyResult.Rejected, "That passkey wasn’t accepted.");
+        }
+        catch (HttpRequestException)
+        {
+            return PasskeyResult.Fail(PasskeyResult.Server, "Cannot reach the API.");
+        }
+    }
+
+    /// <summary>Creates a passkey for the signed-in user and saves it under <paramref name="name"/>.</summary>
+    public async Task<PasskeyResult> RegisterAsync(string? name = null, CancellationToken ct = default)
+    {
+        JsonElement options;
+        try
+        {
+            options = await _api.PostJsonAsync(RegisterOptionsUrl, new { name }, ct);
+        }
+        catch (Exception ex) when (ex is HttpRequestException or ApiHttpException)
+        {
+            return PasskeyResult.Fail(PasskeyResult.Server, "Couldn’t start passkey setup.");
+        }
+
+        var ceremony = await RunAsync("BioPasskey.create", options);
+        if (!ceremony.Ok) return ceremony.ToResult();
+
+        try
+        {
+            await _api.PostAsync<object, PasskeyInfo>(CredentialsUrl, new { name, credential = ceremony.Credential }, ct);
+            return PasskeyResult.Success;
+        }
+        catch (ApiHttpException)
+        {
+            return PasskeyResult.Fail(PasskeyResult.Rejected, "The server didn’t accept this passkey.");
+        }
+        catch (HttpRequestException)
+        {
+            return PasskeyResult.Fail(PasskeyResult.Server, "Cannot reach the API.");
+        }
+    }
+
+    public async Task<IReadOnlyList<PasskeyInfo>> ListAsync(CancellationToken ct = default)
+        => await _api.GetAsync<List<PasskeyInfo>>(CredentialsUrl, ct: ct) ?? new List<PasskeyInfo>();
+
+    public Task RemoveAsync(string id, CancellationToken ct = default)
+        => _api.DeleteAsync($"{CredentialsUrl}/{Uri.EscapeDataString(id)}", ct: ct);
+
+    /// <summary>Aborts a pending ceremony (e.g. autofill before a manual sign-in).</summary>
+    public async Task CancelAsync()
+    {
+        try { await _js.InvokeVoidAsync("BioPasskey.abort"); }
+        catch { }
+    }
+
+    private async Task<Ceremony> RunAsync(string fn, params object[] args)
+    {
+        try { return await _js.InvokeAsync<Ceremony>(fn, args); }
+        catch (JSException ex) { return new Ceremony(false, null, PasskeyResult.Unknown, ex.Message); }
+    }
+
+    private sealed record Ceremony(bool Ok, JsonElement? Credential, string? Error, string? Message)
+    {
+        public PasskeyResult ToResult() => PasskeyResult.Fail(Error ?? PasskeyResult.Unknown, Message);
+    }
+
+    private sealed record PasskeySession(string AccessToken, DateTimeOffset? ExpiresAt);
+}
+
+/// <summary>Outcome of a passkey flow; <see cref="Error"/> is one of the code constants.</summary>
+public sealed record PasskeyResult(bool Ok, string? Error, string? Message)
+{
+    // From the browser (passkey.js)
+    public const string Cancelled = "cancelled";
+    public const string NotAllowed = "not-allowed";
+    public const string Unsupported = "unsupported";
+    public const string AlreadyRegistered = "already-registered";
+    public const string Security = "security";
+    public const string Timeout = "timeout";
+    public const string Unknown = "unknown";
+    // From the API
+    public const string Rejected = "rejected";
+    public const string Server = "server";
+
+    public static readonly PasskeyResult Success = new(true, null, null);
+
+    public static PasskeyResult Fail(string error, string? message) => new(false, error, message);
+
+    /// <summary>The user backed out: usually nothing to report.</summary>
+    public bool IsCancelled => Error is Cancelled or NotAllowed;
+}
+
+public sealed record PasskeyInfo(string Id, string? Name, DateTimeOffset CreatedAt, DateTimeOffset? LastUsedAt, string? Device);
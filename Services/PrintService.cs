@@ -0,0 +1,76 @@
+// Services/PrintService.cs
+using Microsoft.JSInterop;
+using WebApp.Models;
+
+namespace WebApp.Services;
+
+/// <summary>
+/// Asset tag labels and paper work-order sheets. Templates come from content/labels.json
+/// (via <see cref="ContentService"/>); the browser (window.BioLabels, wwwroot/js/labels.js)
+/// renders the QR codes and opens the print view.
+/// </summary>
+public sealed class PrintService
+{
+    private readonly IJSRuntime _js;
+    private readonly ContentService _content;
+
+    public PrintService(IJSRuntime js, ContentService content)
+    {
+        _js = js;
+        _content = content;
+    }
+
+    public async Task<LabelsContent> GetLabelsAsync(CancellationToken ct = default)
+    {
+        var labels = await _content.GetLabelsAsync<LabelsContent>(ct);
+        return labels is { Templates.Count: > 0 } ? labels : Fallback;
+    }
+
+    public async Task<LabelTemplate> GetTemplateAsync(string? id = null, CancellationToken ct = default)
+    {
+        var labels = await GetLabelsAsync(ct);
+        return labels.Templates.FirstOrDefault(t => t.Id == id)
+            ?? labels.Templates.FirstOrDefault(t => t.Id == labels.DefaultTemplate)
+            ?? labels.Templates[0];
+    }
+
+    /// <summary>
+    /// Prints one label per asset (times <paramref name="copies"/>). <paramref name="skip"/> leaves that
+    /// many positions empty on the first sheet so part-used sheets can go back in the printer.
+    /// </summary>
+    public async Task<bool> PrintAssetLabelsAsync(IEnumerable<Asset> assets, string? templateId = null,
+        int skip = 0, int copies = 1)
+    {
+        var labels = await GetLabelsAsync();
+        var template = await GetTemplateAsync(templateId);
+        try
+        {
+            return await _js.InvokeAsync<bool>("BioLabels.printLabels", assets.ToList(), template,
+                new { skip, copies, urlTemplate = labels.AssetUrlTemplate, title = $"Asset labels – {template.Name}" });
+        }
+        catch (JSException) { return false; }
+    }
+
+    public async Task<bool> PrintWorkOrdersAsync(IEnumerable<WorkOrder> orders)
+    {
+        var labels = await GetLabelsAsync();
+        try
+        {
+            return await _js.InvokeAsync<bool>("BioLabels.printWorkOrders", orders.ToList(),
+                labels.WorkOrderSheet ?? Fallback.WorkOrderSheet, new { title = "Work order sheets" });
+        }
+        catch (JSException) { return false; }
+    }
+
+    // Used when labels.json is missing or empty
+    private static readonly LabelsContent Fallback = new(
+        DefaultTemplate: "avery-5160",
+        AssetUrlTemplate: null,
+        Templates: new List<LabelTemplate>
+        {
+            new("avery-5160", "Address labels 1\" × 2⅝\" (30 per sheet, Letter)", "letter", "in",
+                3, 10, 2.625, 1, 0.5, 0.1875, 0.125, 0, 0.8, Fields: new List<string> { "name", "location" })
+        },
+        WorkOrderSheet: new WorkOrderSheet("a4", "Work order", null, null, 8, 4,
+            new List<string> { "Technician", "Department contact" }, null));
+}
@@ -0,0 +1,220 @@
+// Services/PushService.cs
+using System.Net.Http.Json;
+using Microsoft.JSInterop;
+using WebApp.Models;
+
+namespace WebApp.Services;
+
+/// <summary>
+/// Web Push for work-order assignments and PM reminders. The browser (window.BioPush,
+/// wwwroot/js/push.js) owns permission and the VAPID subscription; this service registers the
+/// subscription with the API and turns notification clicks into in-app navigation.
+/// With Push:Provider "stub" nothing leaves the browser and <see cref="SendTestAsync"/> stands in
+/// for the push service.
+/// </summary>
+public sealed class PushService : IAsyncDisposable
+{
+    private readonly IJSRuntime _js;
+    private readonly ApiClient _api;
+    private readonly PushOptions _options;
+    private readonly string _apiBase;
+
+    private DotNetObjectReference<PushService>? _selfRef; // for JS -> .NET callbacks
+    private bool _inited;
+
+    /// <summary>Permission or subscription changed (here, in site settings or by the worker).</summary>
+    public event Action<PushState>? OnChanged;
+
+    /// <summary>A notification was clicked; the app route to show and the action ("open" | "accept").</summary>
+    public event Action<string, string>? OnNavigate;
+
+    public PushState State { get; private set; } = PushState.Unknown;
+
+    public bool IsStub => _options.Provider.Equals("stub", StringComparison.OrdinalIgnoreCase);
+
+    /// <summary>False while Push:VapidPublicKey is empty (the default): there's nothing to subscribe to.</summary>
+    public bool IsConfigured => IsStub || !string.IsNullOrWhiteSpace(_options.VapidPublicKey);
+
+    public PushService(IJSRuntime js, ApiClient api, IConfiguration config)
+    {
+        _js = js;
+        _api = api;
+        _options = new PushOptions();
+        config.GetSection("Push").Bind(_options);
+        _apiBase = (config["ApiBaseUrl"] ?? "https://biomaint.com/").TrimEnd('/') + "/";
+    }
+
+    private string SubscriptionsUrl => $"{_apiBase}api/push/subscriptions";
+
+    public async Task<PushState> InitAsync()
+    {
+        if (_inited) return State;
+        _selfRef ??= DotNetObjectReference.Create(this);
+        try
+        {
+            State = await _js.InvokeAsync<PushState>("BioPush.init", _selfRef);
+            _inited = true;
+        }
+        catch (JSException) { State = PushState.Unknown; }
+        return State;
+    }
+
+    public async Task<PushState> GetStateAsync()
+    {
+        try { State = await _js.InvokeAsync<PushState>("BioPush.getState"); }
+        catch (JSException) { }
+        return State;
+    }
+
+    /// <summary>
+    /// Asks for permission, subscribes and registers the subscription for <paramref name="topics"/>.
+    /// Call from a click: browsers ignore permission prompts without a user gesture.
+    /// </summary>
+    public async Task<PushResult> EnableAsync(IEnumerable<string>? topics = null)
+    {
+        if (!IsConfigured) return new PushResult(false, "no-key");
+        await InitAsync();
+        SubscribeResult result;
+        try
+        {
+            result = await _js.InvokeAsync<SubscribeResult>("BioPush.subscribe",
+                new { vapidPublicKey = _options.VapidPublicKey, stub = IsStub });
+        }
+        catch (JSException ex)
+        {
+            return new PushResult(false, ex.Message);
+        }
+        if (!result.Ok || result.Subscription is null) return new PushResult(false, result.Error);
+
+        if (!IsStub && !await RegisterAsync(result.Subscription, topics ?? _options.Topics))
+        {
+            // The API never heard of it, so don't leave a subscription nothing will push to
+            await DisableLocalAsync();
+            return new PushResult(false, "server");
+        }
+
+        await GetStateAsync();
+        return new PushResult(true);
+    }
+
+    public async Task DisableAsync()
+    {
+        var endpoint = await DisableLocalAsync();
+        if (!IsStub && !string.IsNullOrEmpty(endpoint))
+        {
+            try
+            {
+                await _api.DeleteAsync(SubscriptionsUrl, new Dictionary<string, string> { ["endpoint"] = endpoint });
+            }
+            catch (Exception ex) when (ex is HttpRequestException or ApiHttpException) { }
+        }
+        await GetStateAsync();
+    }
+
+    /// <summary>Shows a sample notification through the service worker without a push service.</summary>
+    public async Task<bool> SendTestAsync(string kind = "assignment")
+    {
+        var payload = kind == "pm-due"
+            ? new PushPayload("pm-due", "Preventive maintenance due", "Infusion pump AST-00123 is due for PM this week.",
+                AssetId: "AST-00123")
+            : new PushPayload("assignment", "New work order assigned", "WO-TEST · Replace battery on defibrillator (High)",
+                WorkOrderId: "WO-TEST", AssetId: "AST-00123", Priority: "High");
+        try { return await _js.InvokeAsync<bool>("BioPush.simulate", payload); }
+        catch (JSException) { return false; }
+    }
+
+    /// <summary>The work order an "Accept" action points at, shown for confirmation first (null if it can't be loaded).</summary>
+    public async Task<WorkOrder?> GetWorkOrderAsync(string workOrderId)
+    {
+        try { return await _api.GetAsync<WorkOrder>($"{_apiBase}api/work-orders/{Uri.EscapeDataString(workOrderId)}"); }
+        catch (Exception ex) when (ex is ApiHttpException or HttpRequestException) { return null; }
+    }
+
+    /// <summary>Accepts an assigned work order once the user confirms it on the notifications page.</summary>
+    public Task<bool> AcceptAsync(string workOrderId)
+        => PostAsync($"{_apiBase}api/work-orders/{Uri.EscapeDataString(workOrderId)}/accept", new { });
+
+    private Task<bool> RegisterAsync(PushSubscriptionInfo sub, IEnumerable<string> topics)
+        => PostAsync(SubscriptionsUrl, new { sub.Endpoint, sub.ExpirationTime, sub.Keys, topics = topics.ToArray() });
+
+    // These endpoints may answer 204, so only the status matters
+    private async Task<bool> PostAsync(string url, object body)
+    {
+        try
+        {
+            using var resp = await _api.PostRawAsync(url, JsonContent.Create(body));
+            return resp.IsSuccessStatusCode;
+        }
+        catch (HttpRequestException) { return false; }
+    }
+
+    private async Task<string?> DisableLocalAsync()
+    {
+        try { return (await _js.InvokeAsync<UnsubscribeResult>("BioPush.unsubscribe")).Endpoint; }
+        catch (JSException) { return null; }
+    }
+
+    // ---------- JS callbacks ----------
+    [JSInvokable]
+    public Task OnPushStateChanged(PushState state)
+    {
+        State = state;
+        OnChanged?.Invoke(state);
+        return Task.CompletedTask;
+    }
+
+    [JSInvokable]
+    public Task OnPushNavigate(string url, string action)
+    {
+        OnNavigate?.Invoke(url, action);
+        return Task.CompletedTask;
+    }
+
+    [JSInvokable] // the push service rotated the subscription: tell the API about the new one
+    public async Task OnPushSubscriptionChanged(PushSubscriptionInfo? subscription)
+    {
+        if (subscription is not null && !IsStub) await RegisterAsync(subscription, _options.Topics);
+        await GetStateAsync();
+        OnChanged?.Invoke(State);
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        try { await _js.InvokeVoidAsync("BioPush.setDotNet", null); } catch { }
+        _selfRef?.Dispose();
+    }
+
+    private sealed record SubscribeResult(bool Ok, PushSubscriptionInfo? Subscription, string? Error);
+    private sealed record UnsubscribeResult(bool Ok, string? Endpoint);
+}
+
+/// <summary>"Push" section of appsettings.json.</summary>
+public sealed class PushOptions
+{
+    public string Provider { get; set; } = "webpush";   // webpush | stub
+    public string VapidPublicKey { get; set; } = "";
+    public List<string> Topics { get; set; } = new() { "assignment", "pm-due" };
+}
+
+/// <summary>Permission is default | granted | denied | unsupported.</summary>
+public sealed record PushState(bool Supported, string Permission, bool Subscribed, string? Endpoint, bool NeedsInstall)
+{
+    public static readonly PushState Unknown = new(false, "unsupported", false, null, false);
+}
+
+public sealed record PushKeys(string P256dh, string Auth);
+
+public sealed record PushSubscriptionInfo(string Endpoint, double? ExpirationTime, PushKeys Keys);
+
+/// <summary>Same shape the API pushes; see service-worker-push.js.</summary>
+public sealed record PushPayload(
+    string Kind,
+    string Title,
+    string Body,
+    string? WorkOrderId = null,
+    string? AssetId = null,
+    string? Priority = null,
+    string? Url = null
+);
+
+public sealed record PushResult(bool Ok, string? Error = null);
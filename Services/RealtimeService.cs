@@ -0,0 +1,165 @@
+// Services/RealtimeService.cs
+using System.Text.Json;
+using Microsoft.JSInterop;
+
+namespace WebApp.Services;
+
+/// <summary>
+/// Live events from the API (window.BioRealtime, wwwroot/js/realtime.js). The browser keeps one
+/// SSE/WebSocket connection per tab and hands each event to the components that subscribed to
+/// its type; every <see cref="RealtimeSubscription"/> has its own DotNetObjectReference.
+/// </summary>
+public sealed class RealtimeService : IAsyncDisposable
+{
+    private readonly IJSRuntime _js;
+    private readonly AuthService _auth;
+    private readonly RealtimeOptions _options;
+
+    private DotNetObjectReference<RealtimeService>? _selfRef; // token + state callbacks
+    private bool _connected;
+
+    public event Action<RealtimeState>? OnStateChanged;
+
+    public RealtimeState State { get; private set; } = RealtimeState.Idle;
+
+    public RealtimeService(IJSRuntime js, AuthService auth, IConfiguration config)
+    {
+        _js = js;
+        _auth = auth;
+        _options = new RealtimeOptions();
+        config.GetSection("Realtime").Bind(_options);
+        if (string.IsNullOrWhiteSpace(_options.Url))
+            _options.Url = (config["ApiBaseUrl"] ?? "https://biomaint.com/").TrimEnd('/') + "/api/events";
+
+        _auth.OnChanged += OnSessionChanged;
+    }
+
+    /// <summary>Opens the stream for the signed-in user. Safe to call repeatedly.</summary>
+    public async Task ConnectAsync()
+    {
+        if (_connected || !_auth.IsSignedIn) return;
+        _selfRef ??= DotNetObjectReference.Create(this);
+        try
+        {
+            await _js.InvokeVoidAsync("BioRealtime.setStateListener", _selfRef);
+            _connected = await _js.InvokeAsync<bool>("BioRealtime.connect", new
+            {
+                url = _options.Url,
+                transport = _options.Transport,
+                tokenRef = _selfRef
+            });
+        }
+        catch (JSException) { _connected = false; }
+    }
+
+    public async Task DisconnectAsync()
+    {
+        _connected = false;
+        try { await _js.InvokeVoidAsync("BioRealtime.disconnect"); }
+        catch (JSException) { }
+    }
+
+    /// <summary>
+    /// Calls <paramref name="handler"/> for events whose type matches one of <paramref name="types"/>
+    /// ("workorder.assigned", "workorder.*" or "*"). Dispose the result when the component goes away.
+    /// </summary>
+    public async Task<RealtimeSubscription> SubscribeAsync(IEnumerable<string> types, Func<RealtimeEvent, Task> handler)
+    {
+        var sub = new RealtimeSubscription(_js, handler);
+        await sub.StartAsync(types.ToArray());
+        return sub;
+    }
+
+    /// <summary>Typed shortcut: the event's data deserialized as <typeparamref name="T"/>.</summary>
+    public Task<RealtimeSubscription> SubscribeAsync<T>(string type, Func<T, Task> handler)
+        => SubscribeAsync(new[] { type }, evt => evt.As<T>() is { } data ? handler(data) : Task.CompletedTask);
+
+    // ---------- JS callbacks ----------
+    [JSInvokable] // asked before every (re)connect so reconnects never use an expired token
+    public async Task<string?> GetAccessToken() => await _auth.GetAccessTokenAsync();
+
+    [JSInvokable]
+    public Task OnRealtimeState(RealtimeState state)
+    {
+        State = state;
+        OnStateChanged?.Invoke(state);
+        return Task.CompletedTask;
+    }
+
+    // Signed out (here, another tab or idle timeout): drop the stream; signed in: open it
+    private void OnSessionChanged(string reason)
+    {
+        _ = _auth.IsSignedIn ? ConnectAsync() : DisconnectAsync();
+    }
+
+    public async ValueTask DisposeAsync()
+    {
+        _auth.OnChanged -= OnSessionChanged;
+        try
+        {
+            await _js.InvokeVoidAsync("BioRealtime.setStateListener", null);
+            await _js.InvokeVoidAsync("BioRealtime.disconnect");
+        }
+        catch { }
+        _selfRef?.Dispose();
+    }
+}
+
+/// <summary>One component's interest in some event types; events arrive on its own DotNetObjectReference.</summary>
+public sealed class RealtimeSubscription : IAsyncDisposable
+{
+    private readonly IJSRuntime _js;
+    private readonly Func<RealtimeEvent, Task> _handler;
+    private DotNetObjectReference<RealtimeSubscription>? _selfRef;
+    private int? _id;
+
+    internal RealtimeSubscription(IJSRuntime js, Func<RealtimeEvent, Task> handler)
+    {
+        _js = js;
+        _handler = handler;
+    }
+
+    internal async Task StartAsync(string[] types)
+    {
+        _selfRef ??= DotNetObjectReference.Create(this);
+        try { _id = await _js.InvokeAsync<int>("BioRealtime.subscribe", _selfRef, types); }
+        catch (JSException) { _id = null; }
+    }
+
+    [JSInvokable]
+    public Task OnRealtimeEvent(RealtimeEvent evt) => _handler(evt);
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_id is { } id)
+        {
+            try { await _js.InvokeVoidAsync("BioRealtime.unsubscribe", id); }
+            catch { }
+        }
+        _selfRef?.Dispose();
+    }
+}
+
+/// <summary>"Realtime" section of appsettings.json. Url defaults to {ApiBaseUrl}api/events.</summary>
+public sealed class RealtimeOptions
+{
+    public string Url { get; set; } = "";
+    public string Transport { get; set; } = "auto";   // auto | sse | ws
+}
+
+public sealed record RealtimeEvent(string? Id, string Type, JsonElement Data, long At)
+{
+    private static readonly JsonSerializerOptions Json = new(JsonSerializerDefaults.Web);
+
+    public T? As<T>() => Data.ValueKind is JsonValueKind.Undefined or JsonValueKind.Null
+        ? default
+        : Data.Deserialize<T>(Json);
+}
+
+/// <summary>State is idle | connecting | open | waiting | paused | closed.</summary>
+public sealed record RealtimeState(string State, string? Transport, string? LastEventId, int Attempts, int RetryInMs)
+{
+    public static readonly RealtimeState Idle = new("idle", null, null, 0, 0);
+
+    public bool IsLive => State == "open";
+}
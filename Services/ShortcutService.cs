@@ -0,0 +1,70 @@
+// Services/ShortcutService.cs
+using Microsoft.JSInterop;
+
+namespace WebApp.Services;
+
+/// <summary>
+/// Page actions for the command palette and keyboard shortcuts (window.BioKeys, wwwroot/js/keys.js).
+/// Each <see cref="ShortcutRegistration"/> holds its own DotNetObjectReference, so a component's
+/// commands disappear with it; a command id that matches a built-in one replaces it while registered.
+/// </summary>
+public sealed class ShortcutService
+{
+    private readonly IJSRuntime _js;
+
+    public ShortcutService(IJSRuntime js) => _js = js;
+
+    public async Task<ShortcutRegistration> RegisterAsync(IEnumerable<ShortcutCommand> commands, Func<string, Task> onCommand)
+    {
+        var reg = new ShortcutRegistration(_js, onCommand);
+        await reg.StartAsync(commands.ToList());
+        return reg;
+    }
+
+    public async Task OpenPaletteAsync(string? query = null)
+    {
+        try { await _js.InvokeVoidAsync("BioKeys.open", query); }
+        catch (JSException) { }
+    }
+}
+
+/// <summary>Commands one component added to the palette; dispose to remove them.</summary>
+public sealed class ShortcutRegistration : IAsyncDisposable
+{
+    private readonly IJSRuntime _js;
+    private readonly Func<string, Task> _onCommand;
+    private DotNetObjectReference<ShortcutRegistration>? _selfRef;
+    private int? _handle;
+
+    internal ShortcutRegistration(IJSRuntime js, Func<string, Task> onCommand)
+    {
+        _js = js;
+        _onCommand = onCommand;
+    }
+
+    internal async Task StartAsync(List<ShortcutCommand> commands)
+    {
+        _selfRef ??= DotNetObjectReference.Create(this);
+        try { _handle = await _js.InvokeAsync<int>("BioKeys.register", _selfRef, commands); }
+        catch (JSException) { _handle = null; }
+    }
+
+    [JSInvokable]
+    public Task OnCommand(string id) => _onCommand(id);
+
+    public async ValueTask DisposeAsync()
+    {
+        if (_handle is { } handle)
+        {
+            try { await _js.InvokeVoidAsync("BioKeys.unregister", handle); }
+            catch { }
+        }
+        _selfRef?.Dispose();
+    }
+}
+
+/// <summary>
+/// <paramref name="Keys"/> is a shortcut such as "n", "g w" or "mod+s"; <paramref name="When"/> is
+/// all | app | public (where the command is offered).
+/// </summary>
+public sealed record ShortcutCommand(string Id, string Title, string? Group = null, string? Keys = null, string? When = null);
@@ -1,11 +1,53 @@
 // Services/TelemetryService.cs
+using Microsoft.JSInterop;
+
 namespace WebApp.Services;
 
+/// <summary>
+/// App events go into the browser telemetry pipeline (window.BioTelemetry), which
+/// batches them with Web Vitals and sends them on pagehide. Consent and Do-Not-Track
+/// are enforced on the JS side, so tracking is always safe to call.
+/// </summary>
 public sealed class TelemetryService
 {
-    public Task TrackAsync(string eventName, object? props = null)
+    private readonly IJSRuntime _js;
+    private readonly string _endpoint;
+    private bool _configured;
+
+    public TelemetryService(IJSRuntime js, IConfiguration config)
+    {
+        _js = js;
+        _endpoint = config["Telemetry:Endpoint"]
+            ?? (config["ApiBaseUrl"] ?? "https://biomaint.com/").TrimEnd('/') + "/api/telemetry";
+    }
+
+    public async Task InitAsync()
+    {
+        if (_configured) return;
+        try
+        {
+            await _js.InvokeVoidAsync("BioTelemetry.configure", new { endpoint = _endpoint });
+            _configured = true;
+        }
+        catch { /* telemetry is best-effort */ }
+    }
+
+    public async Task TrackAsync(string eventName, object? props = null)
+    {
+        await InitAsync();
+        try { await _js.InvokeAsync<bool>("BioTelemetry.track", eventName, props); }
+        catch { }
+    }
+
+    public async Task SetConsentAsync(bool granted)
+    {
+        try { await _js.InvokeVoidAsync("BioTelemetry.setConsent", granted); }
+        catch { }
+    }
+
+    public async Task<bool> IsEnabledAsync()
     {
-        // later: wire to your analytics endpoint or Consent-based logger
-        return Task.CompletedTask;
+        try { return await _js.InvokeAsync<bool>("BioTelemetry.isEnabled"); }
+        catch { return false; }
     }
 }
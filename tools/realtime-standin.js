@@ -0,0 +1,153 @@
+// Local stand-in for the real-time event endpoint (wwwroot/js/realtime.js). No dependencies.
+//   node tools/realtime-standin.js [--port 5299] [--every 5000]
+// Point the app at it with "Realtime": { "Url": "http://localhost:5299/api/events" }.
+// - GET  /api/events             SSE stream (?lastEventId= or Last-Event-ID header replays what was missed)
+// - GET  /api/events (Upgrade)   same stream over WebSocket
+// - POST /emit   { type, data }  broadcast an event (tests, curl)
+// - POST /drop                   close every connection (exercise reconnect/backoff)
+// - --every N                    emits a random dashboard/work-order event every N ms (0 = off)
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+
+const arg = (name, def) => {
+  const i = process.argv.indexOf(`--${name}`);
+  return i > 0 && process.argv[i + 1] ? Number(process.argv[i + 1]) : def;
+};
+const PORT = arg('port', 5299);
+const EVERY = arg('every', 5000);
+const KEEP = 500;           // events kept for resume
+const HEARTBEAT_MS = 15000; // keeps proxies from closing idle streams
+
+let seq = 0;
+const history = [];
+const clients = new Set();  // { send(evt), close() }
+
+function cors(res) {
+  res.setHeader('Access-Control-Allow-Origin', '*');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Last-Event-ID');
+}
+
+function emit(type, data) {
+  const evt = { id: String(++seq), type, data: data ?? null };
+  history.push(evt);
+  if (history.length > KEEP) history.shift();
+  clients.forEach((c) => c.send(evt));
+  return evt;
+}
+
+function missedSince(lastId) {
+  const n = Number(lastId);
+  return Number.isFinite(n) && n > 0 ? history.filter((e) => Number(e.id) > n) : [];
+}
+
+// ---------- SSE ----------
+function openSse(req, res, lastId) {
+  cors(res);
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  });
+  res.write('retry: 3000\n\n');
+
+  const client = {
+    send: (e) => res.write(`id: ${e.id}\ndata: ${JSON.stringify(e)}\n\n`),
+    close: () => res.end()
+  };
+  const beat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+  missedSince(lastId).forEach(client.send);
+  clients.add(client);
+  req.on('close', () => { clearInterval(beat); clients.delete(client); });
+}
+
+// ---------- WebSocket (text frames only; enough for the browser client) ----------
+function frame(text) {
+  const payload = Buffer.from(text);
+  const len = payload.length;
+  const head = len < 126 ? Buffer.from([0x81, len])
+    : len < 65536 ? Buffer.from([0x81, 126, len >> 8, len & 255])
+      : Buffer.concat([Buffer.from([0x81, 127, 0, 0, 0, 0]), Buffer.from([len >>> 24, (len >> 16) & 255, (len >> 8) & 255, len & 255])]);
+  return Buffer.concat([head, payload]);
+}
+
+function openWs(req, socket, lastId) {
+  const key = req.headers['sec-websocket-key'];
+  if (!key) return socket.destroy();
+  const accept = crypto.createHash('sha1').update(key + '258EAFA5-E914-47DA-95CA-C5AB0DC85B11').digest('base64');
+  socket.write('HTTP/1.1 101 Switching Protocols\r\nUpgrade: websocket\r\nConnection: Upgrade\r\n' +
+    `Sec-WebSocket-Accept: ${accept}\r\n\r\n`);
+
+  const client = {
+    send: (e) => socket.write(frame(JSON.stringify(e))),
+    close: () => { socket.write(Buffer.from([0x88, 0])); socket.end(); }
+  };
+  const beat = setInterval(() => socket.write(frame('{"type":"ping"}')), HEARTBEAT_MS);
+  missedSince(lastId).forEach(client.send);
+  clients.add(client);
+
+  // Only the close opcode matters; the client never sends data
+  socket.on('data', (buf) => { if ((buf[0] & 0x0f) === 0x8) client.close(); });
+  const done = () => { clearInterval(beat); clients.delete(client); };
+  socket.on('close', done);
+  socket.on('error', done);
+}
+
+// ---------- HTTP ----------
+function readJson(req) {
+  return new Promise((resolve) => {
+    let body = '';
+    req.on('data', (c) => { body += c; });
+    req.on('end', () => { try { resolve(JSON.parse(body || '{}')); } catch { resolve({}); } });
+  });
+}
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (req.method === 'OPTIONS') { cors(res); res.writeHead(204); return res.end(); }
+
+  if (req.method === 'GET' && url.pathname === '/api/events') {
+    return openSse(req, res, req.headers['last-event-id'] || url.searchParams.get('lastEventId'));
+  }
+  if (req.method === 'POST' && url.pathname === '/emit') {
+    const body = await readJson(req);
+    const evt = emit(body.type || 'message', body.data);
+    cors(res);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify(evt));
+  }
+  if (req.method === 'POST' && url.pathname === '/drop') {
+    const n = clients.size;
+    clients.forEach((c) => c.close());
+    clients.clear();
+    cors(res);
+    res.writeHead(200, { 'Content-Type': 'application/json' });
+    return res.end(JSON.stringify({ dropped: n }));
+  }
+  res.writeHead(404);
+  res.end();
+});
+
+server.on('upgrade', (req, socket) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  if (url.pathname !== '/api/events') return socket.destroy();
+  openWs(req, socket, url.searchParams.get('lastEventId'));
+});
+
+// Sample traffic so the dashboard visibly moves
+const SAMPLES = [
+  () => ['dashboard.counts', {
+    openWorkOrders: 20 + Math.floor(Math.random() * 15),
+    overdueWorkOrders: Math.floor(Math.random() * 6),
+    pmDueThisWeek: 5 + Math.floor(Math.random() * 10),
+    assetsOutOfService: Math.floor(Math.random() * 4)
+  }],
+  () => ['workorder.assigned', {
+    id: `WO-${1000 + seq}`, title: 'Replace battery on defibrillator', assetId: 'AST-00123', priority: 'High'
+  }],
+  () => ['notification', { title: 'PM due', body: 'Infusion pump AST-00456 is due for PM this week.' }]
+];
+if (EVERY > 0) setInterval(() => emit(...SAMPLES[Math.floor(Math.random() * SAMPLES.length)]()), EVERY);
+
+server.listen(PORT, () => console.log(`realtime stand-in on http://localhost:${PORT}/api/events`));
@@ -0,0 +1,218 @@
+// Captcha provider adapters used by BioMaintLogin (turnstile-login.js).
+// Every adapter implements the same surface:
+//   load(maxMs) -> Promise          ensure the vendor API is ready (lazy script inject)
+//   render(el, params) -> handle    params: sitekey, theme, action, cData, callback,
+//                                   'expired-callback', 'error-callback'
+//   reset(handle), remove(handle), getResponse(handle) -> string
+// Shipped: 'turnstile', 'hcaptcha', 'stub' (local, deterministic, no network).
+// The challenge guards sign-in, so its vendor script is strictly necessary: it loads without
+// waiting for consent (BioConsent lists it under 'necessary').
+// API: window.BioCaptchaProviders { get(name), register(name, adapter) }
+(function (w, d) {
+  'use strict';
+
+  const registry = new Map();
+
+  // Inject a vendor script once, then wait for its global to appear
+  function loadScript(src, isReady, maxMs = 8000) {
+    return new Promise((resolve, reject) => {
+      if (isReady()) return resolve();
+      if (!d.querySelector(`script[src="${src}"]`)) {
+        const s = d.createElement('script');
+        s.src = src;
+        s.async = true;
+        s.defer = true;
+        d.head.appendChild(s);
+      }
+      let elapsed = 0;
+      const iv = setInterval(() => {
+        if (isReady()) { clearInterval(iv); resolve(); }
+        elapsed += 50;
+        if (elapsed >= maxMs) { clearInterval(iv); reject(new Error(`Captcha API not loaded: ${src}`)); }
+      }, 50);
+    });
+  }
+
+  const effectiveTheme = () => d.documentElement.getAttribute('data-bs-theme') === 'dark' ? 'dark' : 'light';
+
+  // ---------- Cloudflare Turnstile ----------
+  const turnstileAdapter = {
+    name: 'turnstile',
+    load: (maxMs) => loadScript(
+      'https://challenges.cloudflare.com/turnstile/v0/api.js?render=explicit',
+      () => !!w.turnstile, maxMs),
+    render(el, params) {
+      const base = Object.assign({ appearance: 'always', retry: 'never' }, params);
+      try {
+        const id = w.turnstile.render(el, Object.assign({}, base, { size: 'flexible' }));
+        el.classList.add('cf-flex');
+        return id;
+      } catch {
+        const id = w.turnstile.render(el, Object.assign({}, base, { size: 'normal' }));
+        el.classList.remove('cf-flex');
+        return id;
+      }
+    },
+    reset: (id) => w.turnstile.reset(id),
+    remove: (id) => w.turnstile.remove(id),
+    getResponse: (id) => w.turnstile.getResponse(id) || ''
+  };
+
+  // ---------- hCaptcha ----------
+  const hcaptchaAdapter = {
+    name: 'hcaptcha',
+    load: (maxMs) => loadScript(
+      'https://js.hcaptcha.com/1/api.js?render=explicit&recaptchacompat=off',
+      () => !!(w.hcaptcha && w.hcaptcha.render), maxMs),
+    render(el, params) {
+      // hCaptcha has no 'auto' theme and no action/cData
+      return w.hcaptcha.render(el, {
+        sitekey: params.sitekey,
+        theme: params.theme === 'auto' ? effectiveTheme() : params.theme,
+        callback: params.callback,
+        'expired-callback': params['expired-callback'],
+        'error-callback': params['error-callback']
+      });
+    },
+    reset: (id) => w.hcaptcha.reset(id),
+    remove: (id) => w.hcaptcha.remove(id),
+    getResponse: (id) => w.hcaptcha.getResponse(id) || ''
+  };
+
+  // ---------- Local stub (CI / air-gapped dev) ----------
+  // params.stub: {
+  //   token       = 'XXXX.DUMMY.TOKEN.XXXX'   issued token (suffixed with the solve count)
+  //   solveDelayMs = 600                      simulate slow solves
+  //   autoSolve   = true                      false -> click the box to solve
+  //   failFirst   = 0                         first N attempts raise 'error-callback'
+  //   failRate    = 0                         0..1, seeded so runs are repeatable
+  //   seed        = 1
+  //   expireAfterMs = 0                       > 0 -> token expires ('expired-callback')
+  // }
+  // Tests can also drive a widget directly: BioCaptchaProviders.get('stub').trigger(handle, 'error'|'expire'|'solve')
+  const stubWidgets = new Map();
+  let stubSeq = 0;
+
+  function mulberry32(seed) {
+    let a = seed >>> 0;
+    return function () {
+      a = (a + 0x6D2B79F5) >>> 0;
+      let t = a;
+      t = Math.imul(t ^ (t >>> 15), t | 1);
+      t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+      return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+  }
+
+  function stubPaint(s, text) {
+    s.label.textContent = text;
+    s.box.setAttribute('aria-checked', s.token ? 'true' : 'false');
+  }
+
+  function stubClearTimers(s) {
+    clearTimeout(s.solveTimer);
+    clearTimeout(s.expireTimer);
+    s.solveTimer = s.expireTimer = null;
+  }
+
+  function stubSolve(s) {
+    stubClearTimers(s);
+    s.attempts++;
+    stubPaint(s, 'Verifying… (local stub)');
+
+    s.solveTimer = setTimeout(() => {
+      const cfg = s.cfg;
+      const fail = s.attempts <= (cfg.failFirst || 0) || s.rand() < (cfg.failRate || 0);
+      if (fail) return stubTrigger(s.id, 'error');
+      stubTrigger(s.id, 'solve');
+    }, Math.max(0, s.cfg.solveDelayMs ?? 600));
+  }
+
+  function stubTrigger(id, what) {
+    const s = stubWidgets.get(id);
+    if (!s) return;
+    stubClearTimers(s);
+
+    if (what === 'error') {
+      s.token = '';
+      stubPaint(s, 'Verification failed (local stub)');
+      s.params['error-callback']?.();
+    } else if (what === 'expire') {
+      s.token = '';
+      stubPaint(s, 'Token expired (local stub)');
+      s.params['expired-callback']?.();
+    } else if (what === 'solve') {
+      s.solved++;
+      s.token = `${s.cfg.token || 'XXXX.DUMMY.TOKEN.XXXX'}${s.solved > 1 ? `.${s.solved}` : ''}`;
+      stubPaint(s, 'Verified (local stub)');
+      s.params.callback?.(s.token);
+      if (s.cfg.expireAfterMs > 0) s.expireTimer = setTimeout(() => stubTrigger(id, 'expire'), s.cfg.expireAfterMs);
+    }
+  }
+
+  const stubAdapter = {
+    name: 'stub',
+    load: () => Promise.resolve(),
+    render(el, params) {
+      const id = `stub-${++stubSeq}`;
+      const cfg = Object.assign({}, params.stub || {});
+
+      const box = d.createElement('button');
+      box.type = 'button';
+      box.className = 'btn btn-outline-secondary d-flex align-items-center gap-2 w-100';
+      box.setAttribute('role', 'checkbox');
+      box.dataset.captchaStub = id;
+      const icon = d.createElement('i');
+      icon.className = 'bi bi-shield-check';
+      icon.setAttribute('aria-hidden', 'true');
+      const label = d.createElement('span');
+      box.append(icon, label);
+      el.appendChild(box);
+
+      const s = {
+        id, el, box, label, params, cfg,
+        rand: mulberry32(cfg.seed ?? 1),
+        attempts: 0, solved: 0, token: '',
+        solveTimer: null, expireTimer: null
+      };
+      stubWidgets.set(id, s);
+
+      box.addEventListener('click', () => { if (!s.token) stubSolve(s); });
+      if (cfg.autoSolve === false) stubPaint(s, 'Click to verify (local stub)');
+      else stubSolve(s);
+      return id;
+    },
+    reset(id) {
+      const s = stubWidgets.get(id);
+      if (!s) return;
+      s.token = '';
+      if (s.cfg.autoSolve === false) { stubClearTimers(s); stubPaint(s, 'Click to verify (local stub)'); }
+      else stubSolve(s);
+    },
+    remove(id) {
+      const s = stubWidgets.get(id);
+      if (!s) return;
+      stubClearTimers(s);
+      s.box.remove();
+      stubWidgets.delete(id);
+    },
+    getResponse: (id) => stubWidgets.get(id)?.token || '',
+    trigger: stubTrigger
+  };
+
+  function register(name, adapter) {
+    if (!name || !adapter || typeof adapter.render !== 'function') return false;
+    registry.set(String(name).toLowerCase(), adapter);
+    return true;
+  }
+
+  function get(name) {
+    return registry.get(String(name || 'turnstile').toLowerCase()) || null;
+  }
+
+  register('turnstile', turnstileAdapter);
+  register('hcaptcha', hcaptchaAdapter);
+  register('stub', stubAdapter);
+
+  w.BioCaptchaProviders = { get, register };
+})(window, document);
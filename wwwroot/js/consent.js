@@ -0,0 +1,400 @@
+// ==========================================================================
+// BioMaint consent manager (banner + preferences dialog)
+// - Categories: necessary (always on), functional, analytics
+// - Stored as JSON under bm_consent (itself strictly necessary)
+// - Non-essential external resources are declared inert and activated on consent:
+//     <link data-consent="functional" data-href="...">  <script type="text/plain" data-consent="..." data-src="...">
+//   or loaded from code with loadScript(src, category) / whenGranted(category)
+// - Storage gating: keys registered to a category live in localStorage only while that
+//   category is granted; otherwise they are kept for this tab only (sessionStorage).
+//   Withdrawing consent moves them out of localStorage.
+// - Loaded synchronously in <head> before theme-core.js; keep it ES5-safe.
+// API: window.BioConsent { get, has, update, acceptAll, rejectAll, decided, openPreferences,
+//      onChange, setDotNet, registerKeys, storage { get, set, remove }, loadScript, whenGranted }
+// ==========================================================================
+
+(function (w, d) {
+  'use strict';
+
+  var KEY = 'bm_consent';
+  var VERSION = 1;
+  var CATEGORIES = ['necessary', 'functional', 'analytics'];
+
+  // Which storage keys belong to which category (modules may add their own)
+  var KEYS = {
+    functional: ['biomaint-theme', 'biomaint-theme-prefs', 'bm_currency', 'bm_cycle', 'bm_locale', 'bm_ff_id'],
+    analytics: ['bm_telemetry_consent', 'bm_telemetry_sid']
+  };
+
+  var TEXT = {
+    banner: 'We use necessary storage to run BioMaint. With your permission we also remember preferences ' +
+            '(theme, language, currency), load icons from third-party CDNs, and measure performance.',
+    accept: 'Accept all',
+    reject: 'Necessary only',
+    prefs: 'Preferences',
+    title: 'Privacy preferences',
+    save: 'Save choices',
+    policy: 'Privacy & Cookie Policy',
+    necessary: ['Necessary', 'Sign-in, security (including the sign-in challenge from Cloudflare / hCaptcha) and your consent choice. Always on.'],
+    functional: ['Functional', 'Remembers theme, language, currency and billing cycle; loads icons from jsDelivr.'],
+    analytics: ['Analytics', 'Anonymous performance measurements (Web Vitals, load times) and error reports. Never sent with Do-Not-Track.']
+  };
+
+  var listeners = [];
+  var waiters = { functional: [], analytics: [] };
+  var dotnet = null;
+  var bannerEl = null;
+  var dialogEl = null;
+
+  // ---------- state ----------
+  function read() {
+    try {
+      var raw = JSON.parse(w.localStorage.getItem(KEY) || 'null');
+      if (raw && raw.v === VERSION) return raw;
+    } catch (e) { }
+    return null;
+  }
+
+  function get() {
+    var s = read();
+    return {
+      decided: !!s,
+      necessary: true,
+      functional: !!(s && s.functional),
+      analytics: !!(s && s.analytics),
+      updatedAt: s ? s.updatedAt : null
+    };
+  }
+
+  function has(category) {
+    if (category === 'necessary' || !category) return true;
+    return !!get()[category];
+  }
+
+  function decided() { return !!read(); }
+
+  function categoryOf(key) {
+    for (var c in KEYS) {
+      if (KEYS.hasOwnProperty(c) && KEYS[c].indexOf(key) >= 0) return c;
+    }
+    return 'necessary';
+  }
+
+  function registerKeys(category, keys) {
+    if (!KEYS[category] || !keys) return;
+    for (var i = 0; i < keys.length; i++) {
+      if (KEYS[category].indexOf(keys[i]) < 0) KEYS[category].push(keys[i]);
+    }
+    // A key registered after a withdrawal still has to leave localStorage
+    if (!has(category)) demote(category);
+  }
+
+  // ---------- gated storage ----------
+  function ls() { try { return w.localStorage; } catch (e) { return null; } }
+  function ss() { try { return w.sessionStorage; } catch (e) { return null; } }
+
+  var storage = {
+    get: function (k) {
+      var l = ls(), s = ss(), v = null;
+      try { v = l && l.getItem(k); } catch (e) { }
+      if (v === null || v === undefined) { try { v = s && s.getItem(k); } catch (e) { } }
+      return v === undefined ? null : v;
+    },
+    set: function (k, v) {
+      var persist = has(categoryOf(k));
+      try {
+        if (persist) { ls().setItem(k, v); if (ss()) ss().removeItem(k); }
+        else ss().setItem(k, v);
+      } catch (e) { }
+    },
+    remove: function (k) {
+      try { ls().removeItem(k); } catch (e) { }
+      try { ss().removeItem(k); } catch (e) { }
+    }
+  };
+
+  // Withdrawn: keep values for this tab only, clear them from localStorage
+  function demote(category) {
+    var l = ls(), s = ss();
+    if (!l) return;
+    var keys = KEYS[category] || [];
+    for (var i = 0; i < keys.length; i++) {
+      try {
+        var v = l.getItem(keys[i]);
+        if (v === null) continue;
+        if (s && category === 'functional') s.setItem(keys[i], v);
+        l.removeItem(keys[i]);
+      } catch (e) { }
+    }
+  }
+
+  // Granted: promote this tab's values so they survive the session
+  function promote(category) {
+    var l = ls(), s = ss();
+    if (!l || !s) return;
+    var keys = KEYS[category] || [];
+    for (var i = 0; i < keys.length; i++) {
+      try {
+        var v = s.getItem(keys[i]);
+        if (v === null) continue;
+        if (l.getItem(keys[i]) === null) l.setItem(keys[i], v);
+        s.removeItem(keys[i]);
+      } catch (e) { }
+    }
+  }
+
+  // ---------- updates ----------
+  function update(choice) {
+    var prev = get();
+    var next = {
+      v: VERSION,
+      functional: choice && 'functional' in choice ? !!choice.functional : prev.functional,
+      analytics: choice && 'analytics' in choice ? !!choice.analytics : prev.analytics,
+      updatedAt: new Date().toISOString()
+    };
+    try { w.localStorage.setItem(KEY, JSON.stringify(next)); } catch (e) { }
+    applyChange(prev);
+    hideBanner();
+    return get();
+  }
+
+  function acceptAll() { return update({ functional: true, analytics: true }); }
+  function rejectAll() { return update({ functional: false, analytics: false }); }
+
+  function applyChange(prev) {
+    var cur = get();
+    for (var i = 1; i < CATEGORIES.length; i++) {
+      var c = CATEGORIES[i];
+      if (cur[c] && !prev[c]) { promote(c); activate(c); settle(c); }
+      if (!cur[c] && prev[c]) demote(c);
+      if (!cur[c] && !prev.decided) demote(c); // first decision: nothing persisted earlier survives
+    }
+    emit(cur);
+  }
+
+  function emit(state) {
+    var copy = function () { return { decided: state.decided, necessary: true, functional: state.functional, analytics: state.analytics, updatedAt: state.updatedAt }; };
+    for (var i = 0; i < listeners.length; i++) { try { listeners[i](copy()); } catch (e) { } }
+    try { d.dispatchEvent(new CustomEvent('bioconsentchange', { detail: copy() })); } catch (e) { }
+    if (dotnet && dotnet.invokeMethodAsync) {
+      try { dotnet.invokeMethodAsync('OnConsentChanged', copy()); } catch (e) { }
+    }
+  }
+
+  function onChange(cb) {
+    if (typeof cb !== 'function') return function () { };
+    listeners.push(cb);
+    return function () {
+      var i = listeners.indexOf(cb);
+      if (i >= 0) listeners.splice(i, 1);
+    };
+  }
+
+  function setDotNet(ref) { dotnet = ref || null; }
+
+  // Another tab decided: follow it
+  w.addEventListener('storage', function (e) {
+    if (e.key !== KEY) return;
+    var cur = get();
+    if (cur.functional) activate('functional');
+    if (cur.analytics) activate('analytics');
+    if (cur.functional) settle('functional');
+    if (cur.analytics) settle('analytics');
+    if (cur.decided) hideBanner();
+    emit(cur);
+  });
+
+  // ---------- deferred resources ----------
+  function activate(category) {
+    if (!d.querySelectorAll) return;
+    var nodes = d.querySelectorAll('[data-consent="' + category + '"]');
+    for (var i = 0; i < nodes.length; i++) {
+      var n = nodes[i];
+      if (n.getAttribute('data-consent-active')) continue;
+      n.setAttribute('data-consent-active', '1');
+      if (n.tagName === 'LINK' && n.getAttribute('data-href')) {
+        n.setAttribute('href', n.getAttribute('data-href'));
+      } else if (n.tagName === 'SCRIPT') {
+        // Inert scripts must be re-created to execute
+        var s = d.createElement('script');
+        var src = n.getAttribute('data-src');
+        if (src) { s.src = src; s.async = true; } else { s.text = n.text; }
+        n.parentNode.replaceChild(s, n);
+      }
+    }
+  }
+
+  function settle(category) {
+    var list = waiters[category] || [];
+    waiters[category] = [];
+    for (var i = 0; i < list.length; i++) { try { list[i](); } catch (e) { } }
+  }
+
+  function whenGranted(category) {
+    return new Promise(function (resolve) {
+      if (has(category)) return resolve();
+      (waiters[category] = waiters[category] || []).push(resolve);
+      showBanner();
+    });
+  }
+
+  // Inject a third-party script once the category is granted
+  function loadScript(src, category) {
+    return whenGranted(category || 'functional').then(function () {
+      if (d.querySelector('script[src="' + src + '"]')) return;
+      var s = d.createElement('script');
+      s.src = src;
+      s.async = true;
+      d.head.appendChild(s);
+    });
+  }
+
+  // ---------- UI ----------
+  function el(tag, cls, text) {
+    var n = d.createElement(tag);
+    if (cls) n.className = cls;
+    if (text) n.textContent = text;
+    return n;
+  }
+
+  function button(cls, text, onClick) {
+    var b = el('button', cls, text);
+    b.type = 'button';
+    b.addEventListener('click', onClick);
+    return b;
+  }
+
+  function showBanner() {
+    if (decided() || bannerEl || !d.body) return;
+    bannerEl = el('div', 'bm-consent');
+    bannerEl.setAttribute('role', 'region');
+    bannerEl.setAttribute('aria-label', TEXT.title);
+
+    var body = el('p', 'bm-consent-text m-0', TEXT.banner + ' ');
+    var link = el('a', '', TEXT.policy);
+    link.href = '/legal/privacy';
+    body.appendChild(link);
+
+    var actions = el('div', 'bm-consent-actions');
+    actions.appendChild(button('btn btn-sm btn-outline-secondary', TEXT.prefs, openPreferences));
+    actions.appendChild(button('btn btn-sm btn-outline-primary', TEXT.reject, rejectAll));
+    actions.appendChild(button('btn btn-sm btn-primary', TEXT.accept, acceptAll));
+
+    bannerEl.appendChild(body);
+    bannerEl.appendChild(actions);
+    d.body.appendChild(bannerEl);
+  }
+
+  function hideBanner() {
+    if (bannerEl && bannerEl.parentNode) bannerEl.parentNode.removeChild(bannerEl);
+    bannerEl = null;
+  }
+
+  function buildDialog() {
+    var dlg = el('dialog', 'bm-consent-dialog');
+    dlg.setAttribute('aria-labelledby', 'bmConsentTitle');
+
+    var form = el('form');
+    form.method = 'dialog';
+
+    var h = el('h2', 'h5 mb-3', TEXT.title);
+    h.id = 'bmConsentTitle';
+    form.appendChild(h);
+
+    for (var i = 0; i < CATEGORIES.length; i++) {
+      var c = CATEGORIES[i];
+      var row = el('div', 'form-check form-switch mb-3');
+      var input = el('input', 'form-check-input');
+      input.type = 'checkbox';
+      input.id = 'bmConsent-' + c;
+      input.name = c;
+      input.setAttribute('role', 'switch');
+      if (c === 'necessary') { input.checked = true; input.disabled = true; }
+      var label = el('label', 'form-check-label fw-semibold', TEXT[c][0]);
+      label.setAttribute('for', input.id);
+      var hint = el('div', 'small text-muted', TEXT[c][1]);
+      row.appendChild(input);
+      row.appendChild(label);
+      row.appendChild(hint);
+      form.appendChild(row);
+    }
+
+    var actions = el('div', 'bm-consent-actions justify-content-end');
+    actions.appendChild(button('btn btn-sm btn-outline-primary', TEXT.reject, function () { rejectAll(); closeDialog(); }));
+    var save = el('button', 'btn btn-sm btn-primary', TEXT.save);
+    save.type = 'submit';
+    actions.appendChild(save);
+    form.appendChild(actions);
+
+    form.addEventListener('submit', function (e) {
+      e.preventDefault();
+      update({
+        functional: form.elements.functional.checked,
+        analytics: form.elements.analytics.checked
+      });
+      closeDialog();
+    });
+
+    dlg.appendChild(form);
+    d.body.appendChild(dlg);
+    return dlg;
+  }
+
+  function openPreferences() {
+    if (!d.body) return;
+    dialogEl = dialogEl || buildDialog();
+    var s = get();
+    var f = dialogEl.querySelector('form');
+    f.elements.functional.checked = s.functional;
+    f.elements.analytics.checked = s.analytics;
+    if (dialogEl.showModal) { if (!dialogEl.open) dialogEl.showModal(); }
+    else dialogEl.setAttribute('open', '');
+    f.elements.functional.focus();
+  }
+
+  function closeDialog() {
+    if (!dialogEl) return;
+    if (dialogEl.close) { if (dialogEl.open) dialogEl.close(); }
+    else dialogEl.removeAttribute('open');
+  }
+
+  // ---------- boot ----------
+  // Resources declared above this script (e.g. the icon stylesheet) activate right away;
+  // the rest once the document is parsed.
+  function activateGranted() {
+    var s = get();
+    if (s.functional) activate('functional');
+    if (s.analytics) activate('analytics');
+  }
+  activateGranted();
+
+  function boot() {
+    var s = get();
+    activateGranted();
+    if (!s.decided) {
+      // Nothing non-essential persists before a decision
+      demote('functional');
+      demote('analytics');
+      showBanner();
+    }
+  }
+
+  if (d.readyState === 'loading') d.addEventListener('DOMContentLoaded', boot);
+  else boot();
+
+  w.BioConsent = {
+    get: get,
+    has: has,
+    decided: decided,
+    update: update,
+    acceptAll: acceptAll,
+    rejectAll: rejectAll,
+    openPreferences: openPreferences,
+    onChange: onChange,
+    setDotNet: setDotNet,
+    registerKeys: registerKeys,
+    storage: storage,
+    loadScript: loadScript,
+    whenGranted: whenGranted
+  };
+})(window, document);
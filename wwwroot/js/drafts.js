@@ -0,0 +1,336 @@
+// Form drafts: autosave to IndexedDB, offer them back on the next visit.
+// - Watches <form data-draft="key"> (also ones Blazor renders later); writes are debounced and
+//   only keep fields the user changed from what the form first rendered with
+// - Never stored: passwords, captcha widgets/responses, card and one-time-code fields, and
+//   anything inside [data-draft-exclude]
+// - On the next visit a "restore draft?" banner sits at the top of the form; nothing is filled in
+//   (or overwritten) until the user picks Restore or Discard
+// - Optional AES-GCM encryption with a per-session key (sessionStorage; drafts made in a closed
+//   tab can't be read back and are dropped); per form: data-draft-encrypt="true"
+// - Expiry: data-draft-ttl="minutes" or the default (24h); expired drafts are purged on load
+// - A submitted form's draft is discarded once the form leaves the page (a failed save, e.g. an
+//   expired session, keeps it); signing out (not idle/expiry) wipes every draft
+// API: configure({ ttlMinutes, debounceMs, encrypt }), scan(root?), save(key), discard(key),
+// clearAll(), list() -> [{ key, path, savedAt, expiresAt, encrypted }]
+(function (w, d) {
+  'use strict';
+
+  const DB_NAME = 'biomaint-drafts';
+  const STORE = 'drafts';
+  const KEY_SLOT = 'bm_drafts_key';
+  const SKIP_TYPES = new Set(['password', 'hidden', 'file', 'submit', 'button', 'reset', 'image']);
+  const CAPTCHA = /captcha|turnstile|recaptcha/i;
+  const SIGN_OUT_REASONS = new Set(['user', 'signout']);   // explicit sign-out, not idle/expired
+
+  const cfg = { ttlMinutes: 24 * 60, debounceMs: 600, encrypt: false };
+  const states = new Map();      // key -> { form, baseline, timer, banner, submitted }
+  let dbPromise = null;
+  let keyPromise = null;
+
+  // ---------- IndexedDB ----------
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'key' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+    return dbPromise;
+  }
+
+  async function tx(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(STORE, mode);
+      const req = fn(t.objectStore(STORE));
+      t.oncomplete = () => resolve(req ? req.result : undefined);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
+    });
+  }
+
+  const getRecord = (key) => tx('readonly', (s) => s.get(key)).catch(() => null);
+  const putRecord = (rec) => tx('readwrite', (s) => s.put(rec)).catch(() => { });
+  const deleteRecord = (key) => tx('readwrite', (s) => s.delete(key)).catch(() => { });
+  const allRecords = () => tx('readonly', (s) => s.getAll()).catch(() => []);
+
+  // ---------- encryption ----------
+  // One AES-GCM key per browser session; the JWK lives in sessionStorage, so it survives a
+  // reload but not closing the tab
+  function sessionKey() {
+    if (!w.crypto?.subtle) return Promise.resolve(null);
+    if (keyPromise) return keyPromise;
+    keyPromise = (async () => {
+      const algo = { name: 'AES-GCM', length: 256 };
+      const stored = sessionStorage.getItem(KEY_SLOT);
+      if (stored) return crypto.subtle.importKey('jwk', JSON.parse(stored), algo, false, ['encrypt', 'decrypt']);
+      const key = await crypto.subtle.generateKey(algo, true, ['encrypt', 'decrypt']);
+      sessionStorage.setItem(KEY_SLOT, JSON.stringify(await crypto.subtle.exportKey('jwk', key)));
+      return key;
+    })().catch(() => { keyPromise = null; return null; });
+    return keyPromise;
+  }
+
+  async function seal(values) {
+    const key = await sessionKey();
+    if (!key) return null;
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(values)));
+    return { iv, data };
+  }
+
+  async function open(rec) {
+    if (!rec.encrypted) return rec.data;
+    const key = await sessionKey();
+    if (!key) return null;
+    try {
+      const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: rec.iv }, key, rec.data);
+      return JSON.parse(new TextDecoder().decode(plain));
+    } catch { return null; }   // another session's key
+  }
+
+  // ---------- fields ----------
+  function included(el) {
+    if (!el.name && !el.id) return false;
+    if (SKIP_TYPES.has((el.type || '').toLowerCase()) || el.disabled) return false;
+    if (el.closest('[data-draft-exclude]')) return false;
+    if (CAPTCHA.test(el.name || '') || CAPTCHA.test(el.id || '') ||
+        el.closest('.cf-turnstile, .h-captcha, .g-recaptcha, [data-captcha]')) return false;
+    const ac = (el.getAttribute('autocomplete') || '').toLowerCase();
+    return !ac.startsWith('cc-') && !['one-time-code', 'current-password', 'new-password'].includes(ac);
+  }
+
+  const fieldKey = (el) => (el.type === 'radio' || el.type === 'checkbox') && el.name
+    ? `${el.name}=${el.value}`
+    : el.name || `#${el.id}`;
+
+  function readField(el) {
+    if (el.type === 'checkbox' || el.type === 'radio') return el.checked;
+    if (el.multiple && el.options) return [...el.options].filter((o) => o.selected).map((o) => o.value);
+    return el.value;
+  }
+
+  function writeField(el, value) {
+    if (typeof value === 'boolean') el.checked = value;
+    else if (Array.isArray(value)) [...el.options].forEach((o) => { o.selected = value.includes(o.value); });
+    else el.value = value;
+    // Blazor's @bind listens to change (or input with @bind:event)
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  function snapshot(form) {
+    const out = {};
+    for (const el of form.elements) {
+      if (included(el)) out[fieldKey(el)] = readField(el);
+    }
+    return out;
+  }
+
+  // Only what the user changed: a draft of untouched defaults isn't worth offering back
+  function changes(form, baseline) {
+    const now = snapshot(form);
+    const diff = {};
+    for (const [k, v] of Object.entries(now)) {
+      if (JSON.stringify(v) !== JSON.stringify(baseline[k])) diff[k] = v;
+    }
+    return diff;
+  }
+
+  // ---------- per-form options ----------
+  function ttlMs(form) {
+    const m = Number(form.dataset.draftTtl);
+    return (m > 0 ? m : cfg.ttlMinutes) * 60000;
+  }
+
+  function encrypted(form) {
+    const v = form.dataset.draftEncrypt;
+    if (v === undefined) return cfg.encrypt;
+    return v === '' || v === 'true';
+  }
+
+  // ---------- save / restore ----------
+  function schedule(key) {
+    const st = states.get(key);
+    if (!st) return;
+    clearTimeout(st.timer);
+    st.timer = setTimeout(() => save(key), cfg.debounceMs);
+  }
+
+  async function save(key) {
+    const st = states.get(key);
+    if (!st) return false;
+    clearTimeout(st.timer);
+    st.timer = null;
+    if (st.banner || !st.form.isConnected) return false;   // an older draft is still on offer
+
+    const values = changes(st.form, st.baseline);
+    if (!Object.keys(values).length) { await deleteRecord(key); return false; }
+
+    const now = Date.now();
+    const rec = { key, path: location.pathname, savedAt: now, expiresAt: now + ttlMs(st.form), encrypted: false, data: values };
+    if (encrypted(st.form)) {
+      const sealed = await seal(values);
+      if (!sealed) return false;           // no WebCrypto: don't fall back to plain text
+      Object.assign(rec, { encrypted: true, iv: sealed.iv, data: sealed.data });
+    }
+    await putRecord(rec);
+    return true;
+  }
+
+  async function discard(key) {
+    const st = states.get(key);
+    if (st) {
+      clearTimeout(st.timer);
+      st.timer = null;
+      removeBanner(st);
+      if (st.form.isConnected) st.baseline = snapshot(st.form);
+    }
+    await deleteRecord(key);
+  }
+
+  function restore(st, values) {
+    for (const el of st.form.elements) {
+      const k = fieldKey(el);
+      if (included(el) && Object.prototype.hasOwnProperty.call(values, k)) writeField(el, values[k]);
+    }
+    removeBanner(st);
+  }
+
+  function removeBanner(st) {
+    st.banner?.remove();
+    st.banner = null;
+  }
+
+  function showBanner(st, rec, values) {
+    const when = new Date(rec.savedAt);
+    let time;
+    try {
+      time = new Intl.DateTimeFormat(w.BioI18n?.getLocale() || undefined, { dateStyle: 'medium', timeStyle: 'short' }).format(when);
+    } catch { time = when.toLocaleString(); }
+
+    const banner = d.createElement('div');
+    banner.className = 'alert alert-info col-12 d-flex flex-wrap align-items-center gap-2 py-2 small bm-draft-banner';
+    banner.setAttribute('role', 'status');
+    const text = d.createElement('span');
+    text.className = 'me-auto';
+    text.textContent = w.BioI18n.t('drafts.found', { time }, 'You have an unsaved draft from {time}. Restore it?');
+    const restoreBtn = d.createElement('button');
+    restoreBtn.type = 'button';
+    restoreBtn.className = 'btn btn-sm btn-primary';
+    restoreBtn.textContent = w.BioI18n.t('drafts.restore', null, 'Restore');
+    const discardBtn = d.createElement('button');
+    discardBtn.type = 'button';
+    discardBtn.className = 'btn btn-sm btn-outline-secondary';
+    discardBtn.textContent = w.BioI18n.t('drafts.discard', null, 'Discard');
+    banner.append(text, restoreBtn, discardBtn);
+
+    restoreBtn.addEventListener('click', () => { restore(st, values); save(st.key); });
+    discardBtn.addEventListener('click', () => discard(st.key));
+
+    st.banner = banner;
+    st.form.prepend(banner);
+  }
+
+  async function offer(st) {
+    const rec = await getRecord(st.key);
+    if (!rec || states.get(st.key) !== st) return;
+    if (rec.expiresAt <= Date.now()) { await deleteRecord(st.key); return; }
+    const values = await open(rec);
+    if (!values || !Object.keys(values).length) { await deleteRecord(st.key); return; }
+    if (st.form.isConnected && !st.banner) showBanner(st, rec, values);
+  }
+
+  // ---------- forms ----------
+  function attach(form) {
+    const key = form.dataset.draft;
+    if (!key || states.get(key)?.form === form) return;
+    const prev = states.get(key);
+    if (prev) { clearTimeout(prev.timer); removeBanner(prev); }
+
+    const st = { key, form, baseline: snapshot(form), timer: null, banner: null, submitted: false };
+    states.set(key, st);
+
+    const onEdit = (e) => {
+      if (e.target === form || !included(e.target) || states.get(key) !== st) return;
+      st.submitted = false;
+      schedule(key);
+    };
+    form.addEventListener('input', onEdit);
+    form.addEventListener('change', onEdit);
+    form.addEventListener('submit', () => { st.submitted = true; save(key); });
+    form.addEventListener('reset', () => discard(key));
+    offer(st);
+  }
+
+  function scan(root) {
+    const base = root || d;
+    if (base.matches?.('form[data-draft]')) attach(base);
+    base.querySelectorAll?.('form[data-draft]').forEach(attach);
+  }
+
+  async function clearAll() {
+    for (const st of states.values()) { clearTimeout(st.timer); removeBanner(st); }
+    await tx('readwrite', (s) => s.clear()).catch(() => { });
+    try { sessionStorage.removeItem(KEY_SLOT); } catch { }
+    keyPromise = null;
+  }
+
+  async function list() {
+    return (await allRecords()).map(({ key, path, savedAt, expiresAt, encrypted: enc }) =>
+      ({ key, path, savedAt, expiresAt, encrypted: enc }));
+  }
+
+  async function purgeExpired() {
+    const now = Date.now();
+    for (const rec of await allRecords()) {
+      if (rec.expiresAt <= now) await deleteRecord(rec.key);
+    }
+  }
+
+  function configure(opts) {
+    if (!opts) return;
+    if (opts.ttlMinutes > 0) cfg.ttlMinutes = Number(opts.ttlMinutes);
+    if (opts.debounceMs >= 0) cfg.debounceMs = Number(opts.debounceMs);
+    if (typeof opts.encrypt === 'boolean') cfg.encrypt = opts.encrypt;
+  }
+
+  // Pending keystrokes go out before a reload / tab close
+  function flushAll() {
+    for (const st of states.values()) if (st.timer) save(st.key);
+  }
+
+  d.addEventListener('visibilitychange', () => { if (d.visibilityState === 'hidden') flushAll(); });
+  w.addEventListener('pagehide', flushAll);
+
+  d.addEventListener('biosessionchange', (e) => {
+    const s = e.detail || {};
+    if (!s.signedIn && SIGN_OUT_REASONS.has(s.reason)) clearAll();
+  });
+
+  function init() {
+    purgeExpired();
+    scan(d);
+    new MutationObserver((records) => {
+      let removed = false;
+      for (const r of records) {
+        for (const n of r.addedNodes) if (n.nodeType === 1) scan(n);
+        removed ||= r.removedNodes.length > 0;
+      }
+      if (!removed) return;
+      // Submitted and gone (saved, navigated away): the draft has done its job
+      for (const st of states.values()) {
+        if (!st.form.isConnected && st.submitted && states.get(st.key) === st) {
+          states.delete(st.key);
+          discard(st.key);
+        }
+      }
+    }).observe(d.body, { childList: true, subtree: true });
+  }
+
+  if (d.readyState === 'loading') d.addEventListener('DOMContentLoaded', init, { once: true });
+  else init();
+
+  w.BioDrafts = { configure, scan, save, discard, clearAll, list };
+})(window, document);
@@ -0,0 +1,581 @@
+// ==========================================================================
+// BioMaint error capture + crash recovery
+// - Captures window errors (scripts and failed _framework/* downloads), unhandled promise
+//   rejections, and Blazor's unhandled .NET exceptions: the runtime logs those with
+//   console.error and reveals #blazor-error-ui, which this module replaces with a dialog
+// - Breadcrumbs (last 30, memory only): route changes, clicks, biothemechange,
+//   biocaptchastatus and failed fetches (.NET's HttpClient goes through fetch as well)
+// - Reports are redacted (emails, JWTs, bearer/API tokens, secret query parameters) and
+//   deduplicated per tab by a fingerprint of the message and the top stack frames
+// - Sent to Errors:Endpoint from appsettings.json (default {ApiBaseUrl}api/client-errors);
+//   while offline, or when sending fails, they wait in IndexedDB (biomaint-errors)
+// - Like telemetry, nothing is queued or sent without 'analytics' consent (BioConsent), nor
+//   with Do-Not-Track / Global Privacy Control; withdrawing consent drops queued reports.
+//   The recovery dialog works either way (its diagnostics stay on the device until copied)
+// - Recovery dialog: copy diagnostics, or save the page's form fields to sessionStorage
+//   and reload; the fields are filled back in once the page renders them again
+// - Loaded synchronously in <head> so boot failures are caught; keep it ES5-safe.
+// API: window.BioErrors { configure({ endpoint, maxBreadcrumbs }), capture(error, context?),
+//      breadcrumb(category, message, data?), getBreadcrumbs(), diagnostics(),
+//      showRecovery(report?), flush() }
+// ==========================================================================
+
+(function (w, d) {
+  'use strict';
+
+  var DB_NAME = 'biomaint-errors';
+  var STORE = 'reports';
+  var SEEN_KEY = 'bm_errors_seen';     // fingerprint -> count, this tab only
+  var KEEP_KEY = 'bm_errors_keep';     // form fields saved by "Reload and keep my data"
+  var KEEP_TTL_MS = 10 * 60 * 1000;
+  var RESTORE_WAIT_MS = 20000;
+  var MAX_REPORTS_PER_PAGE = 10;
+
+  var cfg = { endpoint: '', maxBreadcrumbs: 30 };
+  var crumbs = [];
+  var reportsThisPage = 0;
+  var lastReport = null;
+  var lastConsoleError = '';
+  var memoryQueue = [];                 // used when IndexedDB is unavailable
+  var endpointPromise = null;
+  var flushing = null;
+  var dialog = null;
+
+  var nativeFetch = w.fetch ? w.fetch.bind(w) : null;
+
+  d.documentElement.classList.add('bm-errors');   // hides the bare #blazor-error-ui banner
+
+  // ---------- redaction ----------
+  var RULES = [
+    [/[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, '[email]'],
+    [/\beyJ[\w-]+\.[\w-]+\.[\w-]*/g, '[jwt]'],
+    [/\b(Bearer|Basic)\s+[\w\-.~+\/]+=*/gi, '$1 [token]'],
+    [/([?&#;](?:access_token|id_token|refresh_token|token|code|key|api_key|apikey|secret|password|sig|signature|state)=)[^&#\s"']*/gi, '$1[redacted]'],
+    [/("(?:access_?token|refresh_?token|id_?token|token|password|secret|authorization)"\s*:\s*")[^"]*/gi, '$1[redacted]'],
+    [/\b[A-Za-z0-9_-]{32,}\b/g, '[token]']
+  ];
+
+  function redact(value, depth) {
+    depth = depth || 0;
+    if (value == null) return value;
+    if (typeof value === 'string') {
+      var s = value.length > 4000 ? value.slice(0, 4000) + '…' : value;
+      for (var i = 0; i < RULES.length; i++) s = s.replace(RULES[i][0], RULES[i][1]);
+      return s;
+    }
+    if (typeof value !== 'object') return value;
+    if (depth > 4) return '[…]';
+    var out = Array.isArray(value) ? [] : {};
+    for (var k in value) {
+      if (Object.prototype.hasOwnProperty.call(value, k)) out[k] = redact(value[k], depth + 1);
+    }
+    return out;
+  }
+
+  // ---------- fingerprint ----------
+  function hash(str) {
+    var h = 0x811c9dc5; // FNV-1a, 32-bit
+    for (var i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = (h + ((h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24))) >>> 0;
+    }
+    return ('0000000' + h.toString(16)).slice(-8);
+  }
+
+  // Ids, line numbers and cache-busting hashes vary between occurrences of the same bug
+  function fingerprint(name, message, stack) {
+    var frames = String(stack || '').split('\n');
+    var top = [];
+    for (var i = 0; i < frames.length && top.length < 5; i++) {
+      var f = frames[i]
+        .replace(/\?[^\s:)]*/g, '')
+        .replace(/:line \d+/g, '')
+        .replace(/:\d+(:\d+)?/g, '')
+        .replace(/\.[0-9a-f]{8,}\./gi, '.')
+        .trim();
+      if (f && (!message || f.indexOf(message) < 0)) top.push(f);
+    }
+    var msg = String(message || '').replace(/\d+/g, '#').slice(0, 200);
+    return hash(name + '|' + msg + '|' + top.join('|'));
+  }
+
+  function seen(fp) {
+    var map = {};
+    try { map = JSON.parse(w.sessionStorage.getItem(SEEN_KEY) || '{}') || {}; } catch (e) { }
+    var count = map[fp] || 0;
+    map[fp] = count + 1;
+    try { w.sessionStorage.setItem(SEEN_KEY, JSON.stringify(map)); } catch (e) { }
+    return count;
+  }
+
+  // ---------- breadcrumbs ----------
+  function breadcrumb(category, message, data) {
+    crumbs.push({ t: Date.now(), category: String(category), message: redact(String(message || '')), data: data ? redact(data) : null });
+    if (crumbs.length > cfg.maxBreadcrumbs) crumbs.splice(0, crumbs.length - cfg.maxBreadcrumbs);
+  }
+
+  function getBreadcrumbs() { return crumbs.slice(); }
+
+  function pathOf(url) {
+    try { return new URL(url, location.href).pathname; } catch (e) { return String(url || '').split('?')[0]; }
+  }
+
+  // Route changes (Blazor navigates with pushState)
+  function wrapHistory(method) {
+    var original = w.history && w.history[method];
+    if (!original) return;
+    w.history[method] = function (state, title, url) {
+      var result = original.apply(this, arguments);
+      if (url != null) breadcrumb('route', pathOf(url));
+      return result;
+    };
+  }
+  wrapHistory('pushState');
+  wrapHistory('replaceState');
+  w.addEventListener('popstate', function () { breadcrumb('route', location.pathname); });
+
+  // Clicks: what was clicked, never what was typed
+  d.addEventListener('click', function (e) {
+    var el = e.target && e.target.closest ? e.target.closest('a, button, [role="button"], summary, label, input[type="checkbox"], input[type="radio"]') : null;
+    if (!el) return;
+    var text = (el.getAttribute('aria-label') || el.textContent || '').replace(/\s+/g, ' ').trim().slice(0, 60);
+    breadcrumb('click', el.tagName.toLowerCase() + (el.id ? '#' + el.id : '') + (text ? ' "' + text + '"' : ''));
+  }, true);
+
+  d.addEventListener('biothemechange', function (e) {
+    var t = e.detail || {};
+    breadcrumb('theme', t.mode + ' → ' + t.effective, { contrast: t.effectiveContrast, palette: t.palette });
+  });
+
+  d.addEventListener('biocaptchastatus', function (e) {
+    var c = e.detail || {};
+    breadcrumb('captcha', c.status, { elementId: c.elementId });
+  });
+
+  // API failures: non-2xx responses and network errors (our own report posts excluded)
+  if (nativeFetch) {
+    w.fetch = function (input, init) {
+      var url = typeof input === 'string' ? input : (input && input.url) || String(input);
+      var method = ((init && init.method) || (input && input.method) || 'GET').toUpperCase();
+      var p = nativeFetch(input, init);
+      p.then(function (res) {
+        if (!res.ok) breadcrumb('api', method + ' ' + pathOf(url) + ' → ' + res.status);
+      }, function (err) {
+        if (!(err && err.name === 'AbortError')) breadcrumb('api', method + ' ' + pathOf(url) + ' → network error');
+      });
+      return p;
+    };
+  }
+
+  // ---------- capture ----------
+  function booted() {
+    var app = d.getElementById('app');
+    return !!(app && app.childElementCount);
+  }
+
+  // A rejection before the first render is only a boot failure if it came from Blazor/.NET
+  // itself; third-party scripts rejecting early are ordinary reports
+  var BOOT_SOURCE = /_framework\/|blazor\.webassembly|dotnet(\.native|\.runtime)?\.js|MONO_WASM|Failed to start platform/i;
+
+  function isBootFailure(err) {
+    if (booted()) return false;
+    var e = normalize(err);
+    return BOOT_SOURCE.test(e.message) || BOOT_SOURCE.test(e.stack);
+  }
+
+  function dnt() {
+    var v = navigator.doNotTrack || w.doNotTrack || navigator.msDoNotTrack;
+    return v === '1' || v === 'yes' || navigator.globalPrivacyControl === true;
+  }
+
+  function reportingAllowed() {
+    return !!(w.BioConsent && w.BioConsent.has('analytics')) && !dnt();
+  }
+
+  function normalize(err) {
+    if (err && typeof err === 'object' && ('message' in err || 'stack' in err)) {
+      return { name: err.name || 'Error', message: String(err.message || ''), stack: String(err.stack || '') };
+    }
+    if (typeof err === 'string') return { name: 'Error', message: err, stack: '' };
+    var text;
+    try { text = JSON.stringify(err); } catch (e) { text = String(err); }
+    return { name: 'NonError', message: text || String(err), stack: '' };
+  }
+
+  function capture(err, context) {
+    var e = normalize(err);
+    var ctx = context || {};
+    var fp = fingerprint(e.name, e.message, e.stack);
+    var count = seen(fp);
+    var report = redact({
+      id: fp + '-' + Date.now().toString(36),
+      fingerprint: fp,
+      kind: ctx.kind || 'error',
+      name: e.name,
+      message: e.message,
+      stack: e.stack,
+      context: ctx,
+      url: location.origin + location.pathname,
+      at: new Date().toISOString(),
+      booted: booted(),
+      online: navigator.onLine,
+      userAgent: navigator.userAgent,
+      theme: d.documentElement.getAttribute('data-theme') || null,
+      breadcrumbs: crumbs.slice()
+    });
+    lastReport = report;
+    breadcrumb('error', e.name + ': ' + e.message);
+    // Same bug again in this tab (or a reload loop): counted, not re-sent
+    if (count === 0 && reportsThisPage < MAX_REPORTS_PER_PAGE && reportingAllowed()) {
+      reportsThisPage++;
+      enqueue(report);
+    }
+    return report;
+  }
+
+  // Script errors, plus failed downloads (those don't bubble, hence capture phase)
+  w.addEventListener('error', function (e) {
+    var el = e.target;
+    if (el && el !== w && el.tagName) {
+      var src = el.src || el.href || '';
+      if (/\/_framework\//.test(src)) {
+        showRecovery(capture({ name: 'BootResourceError', message: 'Failed to load ' + pathOf(src), stack: '' }, { kind: 'boot' }));
+      } else {
+        breadcrumb('resource', 'failed: ' + pathOf(src));
+      }
+      return;
+    }
+    capture(e.error || e.message, { kind: 'error', source: e.filename ? pathOf(e.filename) : null, line: e.lineno, column: e.colno });
+  }, true);
+
+  w.addEventListener('unhandledrejection', function (e) {
+    var boot = isBootFailure(e.reason);
+    var r = capture(e.reason, { kind: boot ? 'boot' : 'rejection' });
+    if (boot) showRecovery(r);
+  });
+
+  // Blazor writes the .NET exception (message + stack) to console.error before it shows the UI
+  if (w.console && console.error) {
+    var consoleError = console.error;
+    console.error = function () {
+      var parts = [];
+      for (var i = 0; i < arguments.length; i++) {
+        var a = arguments[i];
+        parts.push(a && a.stack ? a.stack : String(a));
+      }
+      lastConsoleError = parts.join(' ').slice(0, 8000);
+      return consoleError.apply(console, arguments);
+    };
+  }
+
+  function dotnetError() {
+    var text = lastConsoleError || 'Unhandled .NET exception';
+    var lines = text.split('\n');
+    var message = lines[0];
+    for (var i = 0; i < lines.length; i++) {
+      var m = /Unhandled exception rendering component:\s*(.*)/.exec(lines[i]) || /^\s*([\w.]+Exception: .*)/.exec(lines[i]);
+      if (m) { message = m[1]; break; }
+    }
+    return { name: 'BlazorUnhandledException', message: message, stack: text };
+  }
+
+  function watchErrorUi() {
+    var ui = d.getElementById('blazor-error-ui');
+    if (!ui || !w.MutationObserver) return;
+    new MutationObserver(function () {
+      if (ui.style.display && ui.style.display !== 'none') {
+        ui.style.display = 'none';
+        showRecovery(capture(dotnetError(), { kind: booted() ? 'blazor' : 'boot' }));
+      }
+    }).observe(ui, { attributes: true, attributeFilter: ['style'] });
+  }
+
+  // ---------- delivery ----------
+  function openDb() {
+    return new Promise(function (resolve, reject) {
+      if (!w.indexedDB) return reject(new Error('IndexedDB unavailable'));
+      var req = w.indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = function () {
+        if (!req.result.objectStoreNames.contains(STORE)) req.result.createObjectStore(STORE, { keyPath: 'id' });
+      };
+      req.onsuccess = function () { resolve(req.result); };
+      req.onerror = function () { reject(req.error); };
+    });
+  }
+
+  function tx(mode, fn) {
+    return openDb().then(function (db) {
+      return new Promise(function (resolve, reject) {
+        var t = db.transaction(STORE, mode);
+        var r = fn(t.objectStore(STORE));
+        t.oncomplete = function () { db.close(); resolve(r && 'result' in r ? r.result : r); };
+        t.onerror = t.onabort = function () { db.close(); reject(t.error); };
+      });
+    });
+  }
+
+  function enqueue(report) {
+    tx('readwrite', function (s) { return s.put(report); })
+      .catch(function () { memoryQueue.push(report); })
+      .then(flush);
+  }
+
+  function resolveEndpoint() {
+    if (cfg.endpoint) return Promise.resolve(cfg.endpoint);
+    if (!endpointPromise) {
+      endpointPromise = nativeFetch('appsettings.json', { cache: 'no-cache' })
+        .then(function (r) { return r.ok ? r.json() : {}; })
+        .catch(function () { return {}; })
+        .then(function (s) {
+          var e = s && s.Errors && s.Errors.Endpoint;
+          return e || String((s && s.ApiBaseUrl) || '/').replace(/\/+$/, '') + '/api/client-errors';
+        });
+    }
+    return endpointPromise;
+  }
+
+  // true = delivered (or rejected for good), false = keep it for later
+  function send(endpoint, report) {
+    return nativeFetch(endpoint, {
+      method: 'POST', body: JSON.stringify(report), keepalive: true, credentials: 'omit',
+      headers: { 'Content-Type': 'application/json' }
+    }).then(function (res) {
+      return res.ok || (res.status >= 400 && res.status < 500 && res.status !== 408 && res.status !== 429);
+    }, function () { return false; });
+  }
+
+  function flush() {
+    if (flushing) return flushing;
+    if (!nativeFetch || !navigator.onLine || !reportingAllowed()) return Promise.resolve(false);
+    flushing = resolveEndpoint().then(function (endpoint) {
+      var pending = memoryQueue.splice(0);
+      return tx('readonly', function (s) { return s.getAll(); })
+        .catch(function () { return []; })
+        .then(function (stored) {
+          var all = (stored || []).concat(pending);
+          var chain = Promise.resolve(true);
+          all.forEach(function (report) {
+            chain = chain.then(function (ok) {
+              if (!ok) { if (pending.indexOf(report) >= 0) memoryQueue.push(report); return false; }
+              return send(endpoint, report).then(function (sent) {
+                if (!sent) { if (pending.indexOf(report) >= 0) memoryQueue.push(report); return false; }
+                return tx('readwrite', function (s) { return s.delete(report.id); })
+                  .then(function () { return true; }, function () { return true; });
+              });
+            });
+          });
+          return chain;
+        });
+    }).then(function (ok) { flushing = null; return ok; }, function () { flushing = null; return false; });
+    return flushing;
+  }
+
+  function configure(opts) {
+    if (!opts) return;
+    if (typeof opts.endpoint === 'string' && opts.endpoint) cfg.endpoint = opts.endpoint;
+    if (opts.maxBreadcrumbs > 0) cfg.maxBreadcrumbs = Math.min(opts.maxBreadcrumbs | 0, 200);
+    flush();
+  }
+
+  // Consent withdrawn (here or in another tab) or never given: drop what's waiting
+  function onConsent() {
+    if (reportingAllowed()) { flush(); return; }
+    memoryQueue = [];
+    tx('readwrite', function (s) { return s.clear(); }).catch(function () { });
+  }
+  d.addEventListener('bioconsentchange', onConsent);
+
+  w.addEventListener('online', function () { breadcrumb('network', 'online'); flush(); });
+  w.addEventListener('offline', function () { breadcrumb('network', 'offline'); });
+
+  // ---------- recovery dialog ----------
+  function diagnostics(report) {
+    var r = report || lastReport;
+    return {
+      report: r ? { id: r.id, kind: r.kind, name: r.name, message: r.message, stack: r.stack, at: r.at } : null,
+      url: location.origin + location.pathname,
+      at: new Date().toISOString(),
+      booted: booted(),
+      online: navigator.onLine,
+      userAgent: navigator.userAgent,
+      breadcrumbs: getBreadcrumbs()
+    };
+  }
+
+  function copyText(text) {
+    if (navigator.clipboard && navigator.clipboard.writeText) {
+      return navigator.clipboard.writeText(text).then(function () { return true; }, function () { return copyFallback(text); });
+    }
+    return Promise.resolve(copyFallback(text));
+  }
+
+  function copyFallback(text) {
+    var ta = d.createElement('textarea');
+    ta.value = text;
+    ta.setAttribute('readonly', '');
+    ta.style.position = 'fixed';
+    ta.style.opacity = '0';
+    (dialog || d.body).appendChild(ta);
+    ta.select();
+    var ok = false;
+    try { ok = d.execCommand('copy'); } catch (e) { }
+    ta.parentNode.removeChild(ta);
+    return ok;
+  }
+
+  function buildDialog() {
+    var dlg = d.createElement('dialog');
+    dlg.className = 'bm-crash';
+    dlg.setAttribute('aria-labelledby', 'bmCrashTitle');
+    dlg.setAttribute('aria-describedby', 'bmCrashText');
+    dlg.innerHTML =
+      '<h2 class="h5 mb-2" id="bmCrashTitle">Something went wrong</h2>' +
+      '<p id="bmCrashText" class="mb-2">BioMaint hit an unexpected error. Reloading usually fixes it, and ' +
+      'anything you typed on this page will be filled back in.</p>' +
+      '<p class="small text-muted mb-3">Reference <code data-ref></code></p>' +
+      '<div class="bm-crash-actions">' +
+      '<button type="button" class="btn btn-outline-secondary" data-act="copy">Copy diagnostics</button>' +
+      '<button type="button" class="btn btn-primary" data-act="reload">Reload and keep my data</button>' +
+      '</div>' +
+      '<button type="button" class="btn-close bm-crash-close" data-act="dismiss" aria-label="Dismiss"></button>';
+    dlg.addEventListener('click', function (e) {
+      var btn = e.target.closest ? e.target.closest('[data-act]') : null;
+      if (!btn) return;
+      var act = btn.getAttribute('data-act');
+      if (act === 'dismiss') dlg.close();
+      else if (act === 'reload') reloadKeepingData();
+      else if (act === 'copy') {
+        copyText(JSON.stringify(diagnostics(), null, 2)).then(function (ok) {
+          btn.textContent = ok ? 'Copied' : 'Copy failed';
+          setTimeout(function () { btn.textContent = 'Copy diagnostics'; }, 2000);
+        });
+      }
+    });
+    d.body.appendChild(dlg);
+    return dlg;
+  }
+
+  function showRecovery(report) {
+    if (!d.body) {
+      d.addEventListener('DOMContentLoaded', function () { showRecovery(report); }, { once: true });
+      return;
+    }
+    dialog = dialog || buildDialog();
+    var r = report || lastReport;
+    dialog.querySelector('[data-ref]').textContent = r ? r.id : 'n/a';
+    if (dialog.open) return;
+    if (dialog.showModal) dialog.showModal();
+    else dialog.setAttribute('open', '');
+    var primary = dialog.querySelector('[data-act="reload"]');
+    if (primary) primary.focus();
+  }
+
+  // ---------- keep my data ----------
+  var SKIP_TYPES = { password: 1, hidden: 1, file: 1, submit: 1, button: 1, reset: 1, image: 1 };
+
+  function fieldKey(el) {
+    if (el.id) return '#' + el.id;
+    var key = el.tagName.toLowerCase() + '[name="' + el.name + '"]';
+    return el.type === 'radio' ? key + '[value="' + el.value + '"]' : key;
+  }
+
+  function keepable(el) {
+    var ac = (el.getAttribute('autocomplete') || '').toLowerCase();
+    return (el.id || el.name) && !SKIP_TYPES[(el.type || '').toLowerCase()] && !el.disabled &&
+      ac.indexOf('cc-') !== 0 && ac !== 'one-time-code' &&
+      !(el.closest && el.closest('[data-keep="off"], dialog.bm-crash'));
+  }
+
+  function snapshotFields() {
+    var fields = [];
+    var els = d.querySelectorAll('input, textarea, select');
+    for (var i = 0; i < els.length; i++) {
+      var el = els[i];
+      if (!keepable(el)) continue;
+      var value;
+      if (el.type === 'checkbox' || el.type === 'radio') value = el.checked;
+      else if (el.multiple && el.options) {
+        value = [];
+        for (var j = 0; j < el.options.length; j++) if (el.options[j].selected) value.push(el.options[j].value);
+      } else value = el.value;
+      if (value === '' || (el.type === 'radio' && !value)) continue;
+      fields.push({ key: fieldKey(el), value: value });
+    }
+    try {
+      w.sessionStorage.setItem(KEEP_KEY, JSON.stringify({ path: location.pathname + location.search, at: Date.now(), fields: fields }));
+    } catch (e) { }
+    return fields.length;
+  }
+
+  function reloadKeepingData() {
+    snapshotFields();
+    location.reload();
+  }
+
+  function applyField(f) {
+    var el;
+    try { el = d.querySelector(f.key); } catch (e) { return true; }
+    if (!el) return false;
+    if (typeof f.value === 'boolean') el.checked = f.value;
+    else if (Array.isArray(f.value)) {
+      for (var i = 0; i < el.options.length; i++) el.options[i].selected = f.value.indexOf(el.options[i].value) >= 0;
+    } else el.value = f.value;
+    // Blazor's @bind listens to change (or input with @bind:event)
+    el.dispatchEvent(new Event('input', { bubbles: true }));
+    el.dispatchEvent(new Event('change', { bubbles: true }));
+    return true;
+  }
+
+  // Fields appear once Blazor renders the page, so keep trying for a while
+  function restoreFields() {
+    var saved;
+    try { saved = JSON.parse(w.sessionStorage.getItem(KEEP_KEY) || 'null'); } catch (e) { saved = null; }
+    if (!saved) return;
+    try { w.sessionStorage.removeItem(KEEP_KEY); } catch (e) { }
+    if (saved.path !== location.pathname + location.search || Date.now() - saved.at > KEEP_TTL_MS) return;
+
+    var remaining = saved.fields || [];
+    var restored = 0;
+    var mo = null;
+    var timer = null;
+    function attempt() {
+      remaining = remaining.filter(function (f) {
+        if (!applyField(f)) return true;
+        restored++;
+        return false;
+      });
+      if (!remaining.length) done();
+    }
+    function done() {
+      if (mo) mo.disconnect();
+      if (timer) clearTimeout(timer);
+      mo = null;
+      breadcrumb('recovery', 'restored ' + restored + ' field(s)');
+    }
+    if (w.MutationObserver) {
+      mo = new MutationObserver(attempt);
+      mo.observe(d.body, { childList: true, subtree: true });
+      timer = setTimeout(done, RESTORE_WAIT_MS);
+    }
+    attempt();
+  }
+
+  function onReady() {
+    watchErrorUi();
+    restoreFields();
+    onConsent();   // send what's left from an earlier visit, or drop it without consent
+  }
+
+  if (d.readyState === 'loading') d.addEventListener('DOMContentLoaded', onReady, { once: true });
+  else onReady();
+
+  w.BioErrors = {
+    configure: configure,
+    capture: capture,
+    breadcrumb: breadcrumb,
+    getBreadcrumbs: getBreadcrumbs,
+    diagnostics: diagnostics,
+    showRecovery: showRecovery,
+    flush: flush
+  };
+})(window, document);
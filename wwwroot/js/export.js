@@ -0,0 +1,377 @@
+// Client-side table export: CSV and XLSX built in the browser from rows sent in chunks by .NET.
+// - CSV: RFC 4180 quoting, CRLF rows, UTF-8 BOM so Excel picks the right encoding; text that
+//   starts with = + - @ is prefixed with ' so spreadsheets don't run it as a formula
+// - XLSX: minimal SpreadsheetML (inline strings, one sheet) in a stored ZIP written as it goes
+//   (data descriptors + running CRC-32), so memory stays flat for large exports
+// - Streams to disk through the File System Access API when available (the picker opens in
+//   begin(), which must run inside the click); otherwise collects a Blob and downloads it
+// API: begin({ format: 'csv'|'xlsx', fileName, columns: [{ header, type: 'string'|'number'|'date'|'bool' }],
+//   sheetName?, stream = true, safe = true }) -> { ok, id?, mode?, cancelled? },
+// append(id, rows[][]) -> rowCount, finish(id) -> { ok, rows, bytes, fileName, mode }, abort(id)
+(function () {
+  const enc = new TextEncoder();
+  const jobs = new Map();
+  let nextId = 1;
+  const FLUSH_AT = 256 * 1024;   // bytes buffered before a disk/Blob write
+  const MIME = {
+    csv: 'text/csv;charset=utf-8',
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  };
+
+  // ---------- sinks ----------
+  async function fileSink(fileName, format) {
+    const types = format === 'xlsx'
+      ? [{ description: 'Excel workbook', accept: { [MIME.xlsx]: ['.xlsx'] } }]
+      : [{ description: 'CSV file', accept: { 'text/csv': ['.csv'] } }];
+    const handle = await window.showSaveFilePicker({ suggestedName: fileName, types });
+    const writable = await handle.createWritable();
+    return {
+      mode: 'stream',
+      write: (chunk) => writable.write(chunk),
+      close: () => writable.close(),
+      abort: () => writable.abort?.()
+    };
+  }
+
+  function blobSink(fileName, mime) {
+    let parts = [];
+    return {
+      mode: 'download',
+      write: (chunk) => { parts.push(chunk); },
+      close: () => {
+        const url = URL.createObjectURL(new Blob(parts, { type: mime }));
+        parts = [];
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = fileName;
+        a.rel = 'noopener';
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+      },
+      abort: () => { parts = []; }
+    };
+  }
+
+  // Buffers small pieces into larger writes; tracks size and (for zip entries) CRC-32
+  function writer(sink) {
+    let buf = [];
+    let size = 0;
+    const w = {
+      bytes: 0,
+      push(bytes) {
+        buf.push(bytes);
+        size += bytes.length;
+        w.bytes += bytes.length;
+        return size >= FLUSH_AT ? w.flush() : undefined;
+      },
+      async flush() {
+        if (!size) return;
+        const out = new Uint8Array(size);
+        let o = 0;
+        for (const b of buf) { out.set(b, o); o += b.length; }
+        buf = [];
+        size = 0;
+        await sink.write(out);
+      }
+    };
+    return w;
+  }
+
+  // ---------- values ----------
+  const pad = (n, l = 2) => String(n).padStart(l, '0');
+
+  function toDate(v) {
+    if (v == null || v === '') return null;
+    const d = v instanceof Date ? v : new Date(v);
+    return isNaN(d) ? null : d;
+  }
+
+  const localStamp = (d) =>
+    `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())} ${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+
+  // Excel serial date in local time (days since 1899-12-30)
+  const excelSerial = (d) => (d.getTime() - d.getTimezoneOffset() * 60000) / 86400000 + 25569;
+
+  const FORMULA_START = /^[=+\-@\t\r]/;
+
+  // ---------- CSV ----------
+  function csvField(v, type, safe) {
+    if (v == null) return '';
+    let s;
+    if (type === 'date') { const d = toDate(v); s = d ? localStamp(d) : String(v); }
+    else if (type === 'bool') s = v ? 'TRUE' : 'FALSE';
+    else if (type === 'number' && typeof v === 'number') s = String(v);
+    else {
+      s = String(v);
+      if (safe && FORMULA_START.test(s)) s = "'" + s;
+    }
+    return /[",\r\n]/.test(s) ? '"' + s.replace(/"/g, '""') + '"' : s;
+  }
+
+  function csvFormat(job) {
+    const line = (cells) => enc.encode(cells.join(',') + '\r\n');
+    return {
+      async start() {
+        await job.out.push(new Uint8Array([0xEF, 0xBB, 0xBF]));
+        await job.out.push(line(job.columns.map(c => csvField(c.header, 'string', job.safe))));
+      },
+      row(values) {
+        return job.out.push(line(job.columns.map((c, i) => csvField(values[i], c.type, job.safe))));
+      },
+      end() {}
+    };
+  }
+
+  // ---------- ZIP (stored, streamed) ----------
+  const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+      t[n] = c >>> 0;
+    }
+    return t;
+  })();
+
+  function crc32(crc, bytes) {
+    let c = crc ^ 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  function dosTime(d) {
+    return {
+      time: (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1),
+      date: ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate()
+    };
+  }
+
+  function header(sig, fields) {
+    const size = 4 + fields.reduce((n, [, len]) => n + len, 0);
+    const b = new Uint8Array(size);
+    const v = new DataView(b.buffer);
+    v.setUint32(0, sig, true);
+    let o = 4;
+    for (const [val, len] of fields) {
+      if (len === 2) v.setUint16(o, val, true);
+      else if (len === 4) v.setUint32(o, val, true);
+      else b.set(val, o); // raw bytes (file name)
+      o += len;
+    }
+    return b;
+  }
+
+  function zip(out) {
+    const entries = [];
+    const stamp = dosTime(new Date());
+    let current = null;
+
+    return {
+      // Local header with bit 3 set: CRC and sizes follow the data in a descriptor
+      async open(name) {
+        const nameBytes = enc.encode(name);
+        current = { name: nameBytes, offset: out.bytes, crc: 0, size: 0 };
+        await out.push(header(0x04034b50, [
+          [20, 2], [0x0808, 2], [0, 2], [stamp.time, 2], [stamp.date, 2],
+          [0, 4], [0, 4], [0, 4], [nameBytes.length, 2], [0, 2], [nameBytes, nameBytes.length]
+        ]));
+      },
+      write(bytes) {
+        current.crc = crc32(current.crc, bytes);
+        current.size += bytes.length;
+        return out.push(bytes);
+      },
+      async close() {
+        const e = current;
+        current = null;
+        entries.push(e);
+        await out.push(header(0x08074b50, [[e.crc, 4], [e.size, 4], [e.size, 4]]));
+      },
+      async file(name, text) {
+        await this.open(name);
+        await this.write(enc.encode(text));
+        await this.close();
+      },
+      async end() {
+        const cdStart = out.bytes;
+        for (const e of entries) {
+          await out.push(header(0x02014b50, [
+            [20, 2], [20, 2], [0x0808, 2], [0, 2], [stamp.time, 2], [stamp.date, 2],
+            [e.crc, 4], [e.size, 4], [e.size, 4], [e.name.length, 2], [0, 2], [0, 2], [0, 2], [0, 2],
+            [0, 4], [e.offset, 4], [e.name, e.name.length]
+          ]));
+        }
+        const cdSize = out.bytes - cdStart;
+        await out.push(header(0x06054b50, [
+          [0, 2], [0, 2], [entries.length, 2], [entries.length, 2], [cdSize, 4], [cdStart, 4], [0, 2]
+        ]));
+      }
+    };
+  }
+
+  // ---------- XLSX ----------
+  // XML 1.0 has no place for most control characters: drop them
+  const xmlText = (s) => String(s).replace(/[\x00-\x08\x0B\x0C\x0E-\x1F\uFFFE\uFFFF]/g, '')
+    .replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+
+  function colName(i) {
+    let s = '';
+    for (i++; i > 0; i = Math.floor((i - 1) / 26)) s = String.fromCharCode(65 + ((i - 1) % 26)) + s;
+    return s;
+  }
+
+  const XLSX_PARTS = {
+    '[Content_Types].xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+      '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+      '<Default Extension="xml" ContentType="application/xml"/>' +
+      '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+      '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+      '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/></Types>',
+    '_rels/.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/></Relationships>',
+    'xl/_rels/workbook.xml.rels':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+      '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>' +
+      '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/></Relationships>',
+    // Style 1 = bold header, style 2 = date/time
+    'xl/styles.xml':
+      '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+      '<numFmts count="1"><numFmt numFmtId="164" formatCode="yyyy-mm-dd hh:mm"/></numFmts>' +
+      '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+      '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+      '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+      '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+      '<cellXfs count="3"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+      '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>' +
+      '<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/></cellXfs></styleSheet>'
+  };
+
+  function xlsxCell(ref, v, type) {
+    if (v == null || v === '') return '';
+    if (type === 'number' && typeof v === 'number' && isFinite(v)) return `<c r="${ref}"><v>${v}</v></c>`;
+    if (type === 'bool') return `<c r="${ref}" t="b"><v>${v ? 1 : 0}</v></c>`;
+    if (type === 'date') {
+      const d = toDate(v);
+      if (d) return `<c r="${ref}" s="2"><v>${excelSerial(d)}</v></c>`;
+    }
+    return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${xmlText(v)}</t></is></c>`;
+  }
+
+  function xlsxFormat(job) {
+    const z = zip(job.out);
+    const cols = job.columns.map((_, i) => colName(i));
+    let r = 1;
+    const rowXml = (cells) => `<row r="${r}">${cells}</row>`;
+
+    return {
+      async start() {
+        for (const name of ['[Content_Types].xml', '_rels/.rels', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml'])
+          await z.file(name, XLSX_PARTS[name]);
+        await z.file('xl/workbook.xml',
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" ' +
+          'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+          `<sheet name="${xmlText(job.sheetName)}" sheetId="1" r:id="rId1"/></sheets></workbook>`);
+
+        await z.open('xl/worksheets/sheet1.xml');
+        const head = job.columns.map((c, i) =>
+          `<c r="${cols[i]}1" t="inlineStr" s="1"><is><t>${xmlText(c.header)}</t></is></c>`).join('');
+        await z.write(enc.encode(
+          '<?xml version="1.0" encoding="UTF-8" standalone="yes"?><worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+          '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+          '<sheetData>' + rowXml(head)));
+      },
+      row(values) {
+        r++;
+        return z.write(enc.encode(rowXml(job.columns.map((c, i) => xlsxCell(cols[i] + r, values[i], c.type)).join(''))));
+      },
+      async end() {
+        await z.write(enc.encode('</sheetData></worksheet>'));
+        await z.close();
+        await z.end();
+      }
+    };
+  }
+
+  // ---------- public ----------
+  const sanitizeName = (name, ext) => {
+    const base = String(name || 'export').replace(/[\\/:*?"<>|]+/g, '-').trim() || 'export';
+    return base.toLowerCase().endsWith('.' + ext) ? base : `${base}.${ext}`;
+  };
+
+  async function begin(opts) {
+    const o = opts || {};
+    const format = o.format === 'xlsx' ? 'xlsx' : 'csv';
+    const fileName = sanitizeName(o.fileName, format);
+    const columns = (o.columns || []).map(c => ({ header: c.header ?? '', type: c.type || 'string' }));
+    if (!columns.length) return { ok: false, error: 'no-columns' };
+
+    let sink = null;
+    if (o.stream !== false && 'showSaveFilePicker' in window) {
+      try { sink = await fileSink(fileName, format); }
+      catch (e) {
+        if (e?.name === 'AbortError') return { ok: false, cancelled: true };
+        sink = null; // no user activation / not allowed: fall back to a download
+      }
+    }
+
+    const job = {
+      fileName, format, columns,
+      safe: o.safe !== false,
+      sheetName: String(o.sheetName || 'Sheet1').replace(/[\\/?*[\]:]/g, ' ').slice(0, 31),
+      rows: 0
+    };
+    job.sink = sink || blobSink(fileName, MIME[format]);
+    job.out = writer(job.sink);
+    job.fmt = format === 'xlsx' ? xlsxFormat(job) : csvFormat(job);
+    // Writes are chained so chunks from .NET land in order even if calls overlap
+    job.chain = job.fmt.start();
+
+    const id = String(nextId++);
+    jobs.set(id, job);
+    try { await job.chain; }
+    catch (e) { jobs.delete(id); job.sink.abort(); return { ok: false, error: e?.message || String(e) }; }
+    return { ok: true, id, mode: job.sink.mode };
+  }
+
+  function append(id, rows) {
+    const job = jobs.get(id);
+    if (!job) return Promise.reject(new Error('Unknown export ' + id));
+    job.chain = job.chain.then(async () => {
+      for (const values of rows || []) {
+        await job.fmt.row(Array.isArray(values) ? values : []);
+        job.rows++;
+      }
+    });
+    return job.chain.then(() => job.rows);
+  }
+
+  async function finish(id) {
+    const job = jobs.get(id);
+    if (!job) return { ok: false, rows: 0, bytes: 0, fileName: '', mode: '' };
+    jobs.delete(id);
+    try {
+      await job.chain;
+      await job.fmt.end();
+      await job.out.flush();
+      await job.sink.close();
+      return { ok: true, rows: job.rows, bytes: job.out.bytes, fileName: job.fileName, mode: job.sink.mode };
+    } catch (e) {
+      try { await job.sink.abort(); } catch {}
+      return { ok: false, rows: job.rows, bytes: job.out.bytes, fileName: job.fileName, mode: job.sink.mode, error: e?.message || String(e) };
+    }
+  }
+
+  async function abort(id) {
+    const job = jobs.get(id);
+    if (!job) return;
+    jobs.delete(id);
+    try { await job.chain; } catch {}
+    try { await job.sink.abort(); } catch {}
+  }
+
+  window.BioExport = { begin, append, finish, abort };
+})();
@@ -0,0 +1,277 @@
+// ==========================================================================
+// BioMaint feature flags (evaluated in the browser, mirrored into .NET FeatureFlags)
+// - Definitions: "FeatureFlags" in appsettings.json, then the optional remote JSON
+//   (FeatureFlags:Remote, same shape; a remote flag replaces the local one). Each is fetched
+//   once at boot and aborted after its timeout (appsettings 3s, remote RemoteTimeoutMs), so
+//   a slow endpoint can't hold up the first render; the remote file is re-read every
+//   RefreshSeconds
+// - A flag is a boolean or { default, rollout?, rules?: [{ org?, role?, locale?, rollout?, value? }] }:
+//   the first rule whose conditions all match wins (value defaults to true); otherwise the
+//   top-level rollout (0-100) turns it on for that share of users, otherwise default
+// - Rollout buckets are a stable hash of flag name + user id (or org, or an anonymous id),
+//   so a user keeps the same answer across reloads and devices
+// - Context: user id / org / role from the BioSession user (token claims, recorded by AuthService),
+//   locale from BioI18n; .NET can set it
+// - QA overrides: ?ff=flag:on,other:off (kept in sessionStorage for the tab), ?ff=reset clears
+// - Program.cs awaits init() before the first render, so gated sections never flicker
+// - Loaded synchronously in <head> to start fetching early; keep it ES5-safe.
+// API: window.BioFlags { ready (Promise), init(dotNetRef?) -> Promise<{ name: bool }>,
+//      isEnabled(name), getAll(), setContext({ userId, org, role, locale }), getOverrides(),
+//      refresh(), setDotNet(ref?) }
+// ==========================================================================
+
+(function (w, d) {
+  'use strict';
+
+  var OVERRIDES_KEY = 'bm_ff_overrides';
+  var ANON_KEY = 'bm_ff_id';
+  var SETTINGS_TIMEOUT_MS = 3000;
+
+  var cfg = { remote: '', refreshSeconds: 300, remoteTimeoutMs: 1500 };
+  var local = {};
+  var remote = {};
+  var context = { userId: null, org: null, role: null, locale: null };
+  var values = {};
+  var dotnet = null;
+  var refreshTimer = null;
+  var ready = null;
+
+  // ---------- overrides (?ff=) ----------
+  function readOverrides() {
+    try { return JSON.parse(w.sessionStorage.getItem(OVERRIDES_KEY) || '{}') || {}; } catch (e) { return {}; }
+  }
+
+  function captureOverrides() {
+    var params = (w.location.search || '').replace(/^\?/, '').split('&');
+    var found = false;
+    var next = readOverrides();
+    for (var i = 0; i < params.length; i++) {
+      var kv = params[i].split('=');
+      if (kv[0] !== 'ff' || kv.length < 2) continue;
+      var list = decodeURIComponent(kv[1].replace(/\+/g, ' ')).split(',');
+      for (var j = 0; j < list.length; j++) {
+        var item = list[j].replace(/^\s+|\s+$/g, '');
+        if (item === 'reset') { next = {}; found = true; continue; }
+        var m = /^([\w.-]+):(on|off|true|false|1|0)$/i.exec(item);
+        if (!m) continue;
+        next[m[1]] = /^(on|true|1)$/i.test(m[2]);
+        found = true;
+      }
+    }
+    if (!found) return;
+    try {
+      if (Object.keys(next).length) w.sessionStorage.setItem(OVERRIDES_KEY, JSON.stringify(next));
+      else w.sessionStorage.removeItem(OVERRIDES_KEY);
+    } catch (e) { }
+  }
+
+  // ---------- evaluation ----------
+  function hash(str) {
+    var h = 0x811c9dc5; // FNV-1a, 32-bit
+    for (var i = 0; i < str.length; i++) {
+      h ^= str.charCodeAt(i);
+      h = (h + ((h << 1) + (h << 4) + (h << 7) + (h << 8) + (h << 24))) >>> 0;
+    }
+    return h;
+  }
+
+  // Only used for rollout buckets of signed-out visitors; kept for the tab without consent
+  function anonymousId() {
+    var store = w.BioConsent ? w.BioConsent.storage : null;
+    var id = null;
+    try { id = store ? store.get(ANON_KEY) : w.localStorage.getItem(ANON_KEY); } catch (e) { }
+    if (!id) {
+      id = (w.crypto && w.crypto.randomUUID && w.crypto.randomUUID()) || (Date.now().toString(36) + Math.random().toString(36).slice(2));
+      try { if (store) store.set(ANON_KEY, id); else w.localStorage.setItem(ANON_KEY, id); } catch (e) { }
+    }
+    return id;
+  }
+
+  function inBucket(name, percent) {
+    var p = Number(percent);
+    if (!(p > 0)) return false;
+    if (p >= 100) return true;
+    var unit = context.userId || context.org || anonymousId();
+    return hash(name + ':' + unit) % 10000 < p * 100;
+  }
+
+  function matches(cond, actual) {
+    if (cond == null) return true;
+    var list = Object.prototype.toString.call(cond) === '[object Array]' ? cond : [cond];
+    if (actual == null) return false;
+    var a = String(actual).toLowerCase();
+    for (var i = 0; i < list.length; i++) if (String(list[i]).toLowerCase() === a) return true;
+    return false;
+  }
+
+  function evaluate(name, def) {
+    if (typeof def === 'boolean') return def;
+    if (!def || typeof def !== 'object') return false;
+    var rules = def.rules || [];
+    for (var i = 0; i < rules.length; i++) {
+      var r = rules[i] || {};
+      if (!matches(r.org, context.org) || !matches(r.role, context.role) || !matches(r.locale, context.locale)) continue;
+      if (r.rollout != null && !inBucket(name, r.rollout)) continue;
+      return r.value == null ? true : !!r.value;
+    }
+    if (def.rollout != null && inBucket(name, def.rollout)) return true;
+    return !!def['default'];
+  }
+
+  function recompute() {
+    var defs = {};
+    var k;
+    for (k in local) if (Object.prototype.hasOwnProperty.call(local, k)) defs[k] = local[k];
+    for (k in remote) if (Object.prototype.hasOwnProperty.call(remote, k)) defs[k] = remote[k];
+
+    var next = {};
+    for (k in defs) if (Object.prototype.hasOwnProperty.call(defs, k)) next[k] = evaluate(k, defs[k]);
+    var overrides = readOverrides();
+    for (k in overrides) if (Object.prototype.hasOwnProperty.call(overrides, k)) next[k] = !!overrides[k];
+
+    var changed = false;
+    for (k in next) if (next[k] !== values[k]) changed = true;
+    for (k in values) if (!(k in next)) changed = true;
+    values = next;
+    return changed;
+  }
+
+  function emit() {
+    var copy = getAll();
+    try { d.dispatchEvent(new CustomEvent('bioflagschange', { detail: copy })); } catch (e) { }
+    if (dotnet && dotnet.invokeMethodAsync) {
+      try { dotnet.invokeMethodAsync('OnFlagsChanged', copy); } catch (e) { }
+    }
+  }
+
+  function update() { if (recompute()) emit(); }
+
+  // ---------- loading ----------
+  // Resolves null on failure or timeout; the timeout aborts the request itself
+  function fetchJson(url, timeoutMs) {
+    if (!w.fetch || !url) return Promise.resolve(null);
+    var ctrl = w.AbortController ? new AbortController() : null;
+    var timer = null;
+    var request = w.fetch(url, { cache: 'no-cache', credentials: 'omit', signal: ctrl ? ctrl.signal : undefined })
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .catch(function () { return null; })
+      .then(function (json) { clearTimeout(timer); return json; });
+    if (!timeoutMs) return request;
+    return Promise.race([request, new Promise(function (resolve) {
+      timer = setTimeout(function () {
+        if (ctrl) ctrl.abort();
+        resolve(null);
+      }, timeoutMs);
+    })]);
+  }
+
+  // Accepts { Flags: {...} }, { flags: {...} } or the flag map itself
+  function flagsOf(json) {
+    if (!json || typeof json !== 'object') return null;
+    return json.Flags || json.flags || json;
+  }
+
+  function loadRemote(timeoutMs) {
+    return fetchJson(cfg.remote, timeoutMs).then(function (json) {
+      var f = flagsOf(json);
+      if (f) remote = f;
+    });
+  }
+
+  function armRefresh() {
+    clearInterval(refreshTimer);
+    refreshTimer = null;
+    if (!cfg.remote || !(cfg.refreshSeconds > 0)) return;
+    refreshTimer = setInterval(function () {
+      if (d.visibilityState === 'hidden') return;
+      loadRemote(cfg.remoteTimeoutMs).then(update);
+    }, cfg.refreshSeconds * 1000);
+  }
+
+  function refresh() {
+    return (cfg.remote ? loadRemote(cfg.remoteTimeoutMs) : Promise.resolve()).then(function () { update(); return getAll(); });
+  }
+
+  // ---------- context ----------
+  function sessionUser() {
+    var s = w.BioSession && w.BioSession.get ? w.BioSession.get() : null;
+    var u = s && s.user;
+    if (!u || typeof u !== 'object') return {};
+    return {
+      userId: u.id || u.sub || null,
+      org: u.org || u.orgId || u.organization || null,
+      role: u.role || (u.roles && u.roles[0]) || null
+    };
+  }
+
+  function setContext(ctx) {
+    if (!ctx) return getAll();
+    var keys = ['userId', 'org', 'role', 'locale'];
+    for (var i = 0; i < keys.length; i++) {
+      if (keys[i] in ctx) context[keys[i]] = ctx[keys[i]] == null ? null : String(ctx[keys[i]]);
+    }
+    update();
+    return getAll();
+  }
+
+  d.addEventListener('biosessionchange', function (e) {
+    var signedIn = e.detail && e.detail.signedIn;
+    var u = signedIn ? sessionUser() : {};
+    setContext({ userId: u.userId || null, org: u.org || null, role: u.role || null });
+  });
+
+  d.addEventListener('biolocalechange', function (e) {
+    setContext({ locale: e.detail && e.detail.locale });
+  });
+
+  // ---------- public ----------
+  function isEnabled(name) { return values[name] === true; }
+
+  function getAll() {
+    var copy = {};
+    for (var k in values) if (Object.prototype.hasOwnProperty.call(values, k)) copy[k] = values[k];
+    return copy;
+  }
+
+  function getOverrides() { return readOverrides(); }
+
+  function setDotNet(ref) { dotnet = ref || null; }
+
+  function init(dotNetRef) {
+    if (dotNetRef) setDotNet(dotNetRef);
+    return ready.then(getAll);
+  }
+
+  // ---------- boot ----------
+  captureOverrides();
+  context.locale = w.BioI18n ? w.BioI18n.getLocale() : (d.documentElement.getAttribute('lang') || null);
+
+  ready = fetchJson('appsettings.json', SETTINGS_TIMEOUT_MS).then(function (settings) {
+    var section = (settings && settings.FeatureFlags) || {};
+    local = flagsOf(section.Flags || {}) || {};
+    if (typeof section.Remote === 'string') cfg.remote = section.Remote;
+    if (section.RefreshSeconds >= 0) cfg.refreshSeconds = Number(section.RefreshSeconds);
+    if (section.RemoteTimeoutMs > 0) cfg.remoteTimeoutMs = Number(section.RemoteTimeoutMs);
+    return cfg.remote ? loadRemote(cfg.remoteTimeoutMs) : null;
+  }).then(function () {
+    var u = sessionUser();
+    if (u.userId) context.userId = u.userId;
+    if (u.org) context.org = u.org;
+    if (u.role) context.role = u.role;
+    recompute();
+    // A remote file that timed out at boot is picked up by the next refresh
+    armRefresh();
+    return getAll();
+  });
+
+  w.BioFlags = {
+    get ready() { return ready; },
+    init: init,
+    isEnabled: isEnabled,
+    getAll: getAll,
+    setContext: setContext,
+    getOverrides: getOverrides,
+    refresh: refresh,
+    setDotNet: setDotNet
+  };
+})(window, document);
@@ -0,0 +1,417 @@
+// ==========================================================================
+// BioMaint i18n: locale negotiation, message bundles and ICU-style formatting
+// - Locales: en (source), bn, ar (RTL). Negotiated from ?lang=, the saved choice
+//   (bm_locale, 'functional' storage) and navigator.languages, in that order
+// - Sets <html lang dir> and swaps Bootstrap for its RTL build (vendored next to the LTR
+//   file); runs in <head> after the stylesheets, so the first paint already has the
+//   right direction
+// - Bundles: content/{locale}/{name}.json with content/{name}.json (English) as the
+//   fallback; UI strings live in the "ui" bundle as flat keys
+// - Messages: {name} interpolation, {n, number}, {n, plural, =0 {…} one {# item} other {# items}}
+//   (offset:, selectordinal) and {x, select, a {…} other {…}}; '' and '{…}' quote literally
+// - Markup: data-i18n="key" translates the text, data-i18n-attr="placeholder:key,title:key"
+//   translates attributes; the English in the markup is the fallback. Elements Blazor adds
+//   later are picked up by a MutationObserver
+// - Keep it ES5-safe: it runs before anything else on old embedded browsers.
+// API: window.BioI18n { locales, getLocale(), getDir(), setLocale(id) -> Promise<id>,
+//      negotiate(), t(key, args?, fallback?), format(message, args?), load(name) -> Promise<json|null>,
+//      apply(root?), ready (Promise), onChange(cb) -> unsubscribe, setDotNet(ref?) }
+// ==========================================================================
+
+(function (w, d) {
+  'use strict';
+
+  var KEY = 'bm_locale';
+  var DEFAULT = 'en';
+  var LOCALES = {
+    en: { id: 'en', name: 'English', dir: 'ltr' },
+    bn: { id: 'bn', name: 'বাংলা', dir: 'ltr' },
+    ar: { id: 'ar', name: 'العربية', dir: 'rtl' }
+  };
+  var CSS = { ltr: 'css/bootstrap/bootstrap.min.css', rtl: 'css/bootstrap/bootstrap.rtl.min.css' };
+
+  var locale = DEFAULT;
+  var messages = {};
+  var compiled = {};
+  var bundles = {};
+  var listeners = [];
+  var dotnet = null;
+  var pendingCss = null;
+  var ready = null;
+
+  // ---------- negotiation ----------
+  function match(tag) {
+    if (!tag) return null;
+    tag = String(tag).toLowerCase();
+    if (LOCALES[tag]) return tag;
+    var base = tag.split(/[-_]/)[0];
+    return LOCALES[base] ? base : null;
+  }
+
+  function fromUrl() {
+    var m = /[?&]lang=([^&#]+)/.exec(w.location.search);
+    return m ? decodeURIComponent(m[1]) : null;
+  }
+
+  function readSaved() {
+    try { return w.BioConsent ? w.BioConsent.storage.get(KEY) : w.localStorage.getItem(KEY); } catch (e) { return null; }
+  }
+
+  function save(id) {
+    try {
+      if (w.BioConsent) w.BioConsent.storage.set(KEY, id);
+      else w.localStorage.setItem(KEY, id);
+    } catch (e) { }
+  }
+
+  function negotiate() {
+    var url = match(fromUrl());
+    if (url) return { locale: url, source: 'url' };
+    var saved = match(readSaved());
+    if (saved) return { locale: saved, source: 'saved' };
+    var langs = navigator.languages && navigator.languages.length
+      ? navigator.languages
+      : [navigator.language || navigator.userLanguage];
+    for (var i = 0; i < langs.length; i++) {
+      var m = match(langs[i]);
+      if (m) return { locale: m, source: 'browser' };
+    }
+    return { locale: DEFAULT, source: 'default' };
+  }
+
+  // ---------- document ----------
+  function getDir(id) { return (LOCALES[id || locale] || LOCALES[DEFAULT]).dir; }
+
+  function swapStylesheet(dir) {
+    var link = d.getElementById('bootstrapCss');
+    if (!link || (link.getAttribute('data-dir') || 'ltr') === dir) return;
+
+    // Before the first paint: just point the existing link at the other build
+    if (!d.body) {
+      link.setAttribute('data-dir', dir);
+      link.onerror = dir === 'rtl' ? function () { rtlFallback(link, link); } : null;
+      link.setAttribute('href', CSS[dir]);
+      return;
+    }
+
+    // At runtime: load the new sheet next to the old one, then drop the old one
+    if (pendingCss && pendingCss.parentNode) pendingCss.parentNode.removeChild(pendingCss);
+    var next = link.cloneNode(false);
+    next.removeAttribute('id');
+    next.setAttribute('data-dir', dir);
+    next.onload = function () {
+      pendingCss = null;
+      if (link.parentNode) link.parentNode.removeChild(link);
+      next.id = 'bootstrapCss';
+    };
+    next.onerror = function () { rtlFallback(next, link); };
+    next.setAttribute('href', CSS[dir]);
+    pendingCss = next;
+    link.parentNode.insertBefore(next, link.nextSibling);
+  }
+
+  // RTL build failed to load (offline, not cached yet): stay on LTR Bootstrap
+  function rtlFallback(el, original) {
+    el.onerror = null;
+    if (el === original) {
+      el.setAttribute('data-dir', 'ltr');
+      el.setAttribute('href', CSS.ltr);
+    } else if (el.parentNode) {
+      el.parentNode.removeChild(el);
+      pendingCss = null;
+    }
+  }
+
+  function applyDocument() {
+    var html = d.documentElement;
+    html.setAttribute('lang', locale);
+    html.setAttribute('dir', getDir());
+    swapStylesheet(getDir());
+  }
+
+  // ---------- bundles ----------
+  function fetchJson(url) {
+    if (!w.fetch) return Promise.resolve(null);
+    return w.fetch(url, { cache: 'no-cache' })
+      .then(function (r) { return r.ok ? r.json() : null; })
+      .catch(function () { return null; });
+  }
+
+  // content/{locale}/{name}.json, falling back to the English content/{name}.json
+  function load(name, id) {
+    id = id || locale;
+    var key = id + '/' + name;
+    if (!bundles[key]) {
+      var english = function () { return fetchJson('content/' + name + '.json'); };
+      bundles[key] = id === DEFAULT
+        ? english()
+        : fetchJson('content/' + id + '/' + name + '.json').then(function (j) { return j || english(); });
+    }
+    return bundles[key];
+  }
+
+  function loadMessages(id) {
+    var wanted = [fetchJson('content/ui.json')];
+    if (id !== DEFAULT) wanted.push(fetchJson('content/' + id + '/ui.json'));
+    return Promise.all(wanted).then(function (parts) {
+      if (id !== locale) return;       // switched again meanwhile
+      var merged = {};
+      for (var i = 0; i < parts.length; i++) {
+        var p = parts[i] || {};
+        for (var k in p) if (Object.prototype.hasOwnProperty.call(p, k) && typeof p[k] === 'string') merged[k] = p[k];
+      }
+      messages = merged;
+      compiled = {};
+    });
+  }
+
+  // ---------- ICU-style messages ----------
+  function parse(msg) {
+    var pos = 0;
+
+    function skipWs() { while (pos < msg.length && /\s/.test(msg.charAt(pos))) pos++; }
+
+    function readUntil(stops) {
+      var start = pos;
+      while (pos < msg.length && stops.indexOf(msg.charAt(pos)) < 0) pos++;
+      return msg.slice(start, pos).replace(/^\s+|\s+$/g, '');
+    }
+
+    function nodes(inPlural) {
+      var out = [];
+      var text = '';
+      while (pos < msg.length) {
+        var ch = msg.charAt(pos);
+        if (ch === "'") {
+          var next = msg.charAt(pos + 1);
+          if (next === "'") { text += "'"; pos += 2; continue; }
+          var end = msg.indexOf("'", pos + 1);
+          if (end > 0 && (next === '{' || next === '}' || (inPlural && next === '#'))) {
+            text += msg.slice(pos + 1, end);
+            pos = end + 1;
+            continue;
+          }
+          text += ch; pos++;
+          continue;
+        }
+        if (ch === '}') break;
+        if (ch === '{' || (ch === '#' && inPlural)) {
+          if (text) out.push(text);
+          text = '';
+          pos++;
+          out.push(ch === '#' ? { hash: true } : arg(inPlural));
+          continue;
+        }
+        text += ch; pos++;
+      }
+      if (text) out.push(text);
+      return out;
+    }
+
+    function arg(inPlural) {
+      var name = readUntil(',}');
+      if (msg.charAt(pos) === '}') { pos++; return { arg: name }; }
+      pos++;
+      var type = readUntil(',}');
+      if (msg.charAt(pos) === '}') { pos++; return { arg: name, type: type }; }
+      pos++;
+      var node = { arg: name, type: type, offset: 0, options: {} };
+      var plural = type === 'plural' || type === 'selectordinal';
+      while (pos < msg.length) {
+        skipWs();
+        if (msg.charAt(pos) === '}') { pos++; return node; }
+        var selector = readUntil('{ \t\n');
+        if (selector.indexOf('offset:') === 0) { node.offset = Number(selector.slice(7)) || 0; continue; }
+        skipWs();
+        if (msg.charAt(pos) !== '{') throw new Error('Expected { after "' + selector + '"');
+        pos++;
+        node.options[selector] = nodes(plural || inPlural);
+        pos++;
+      }
+      throw new Error('Unclosed argument "' + name + '"');
+    }
+
+    var result = nodes(false);
+    if (pos < msg.length) throw new Error('Unexpected } at ' + pos);
+    return result;
+  }
+
+  function formatNumber(n) {
+    try { return new Intl.NumberFormat(locale).format(n); } catch (e) { return String(n); }
+  }
+
+  function pluralCategory(n, ordinal) {
+    try { return new Intl.PluralRules(locale, { type: ordinal ? 'ordinal' : 'cardinal' }).select(n); }
+    catch (e) { return n === 1 ? 'one' : 'other'; }
+  }
+
+  function render(ast, args, hashValue) {
+    var out = '';
+    for (var i = 0; i < ast.length; i++) {
+      var node = ast[i];
+      if (typeof node === 'string') { out += node; continue; }
+      if (node.hash) { out += formatNumber(hashValue); continue; }
+      var v = args ? args[node.arg] : undefined;
+      if (!node.type) { out += v == null ? '{' + node.arg + '}' : String(v); continue; }
+      if (node.type === 'number') { out += formatNumber(Number(v)); continue; }
+      var branch;
+      if (node.type === 'plural' || node.type === 'selectordinal') {
+        var n = Number(v);
+        var shifted = n - node.offset;
+        branch = node.options['=' + n] || node.options[pluralCategory(shifted, node.type === 'selectordinal')] || node.options.other;
+        if (branch) out += render(branch, args, shifted);
+      } else if (node.type === 'select') {
+        branch = node.options[String(v)] || node.options.other;
+        if (branch) out += render(branch, args, hashValue);
+      } else {
+        out += v == null ? '' : String(v);
+      }
+    }
+    return out;
+  }
+
+  function format(message, args) {
+    var msg = String(message);
+    var ast = compiled[msg];
+    if (!ast) {
+      try { ast = parse(msg); } catch (e) { return msg; }
+      compiled[msg] = ast;
+    }
+    return render(ast, args || null, 0);
+  }
+
+  // Missing key: the caller's fallback (usually the English in the markup), then the key itself
+  function t(key, args, fallback) {
+    var msg = Object.prototype.hasOwnProperty.call(messages, key) ? messages[key] : (fallback != null ? fallback : key);
+    return format(msg, args);
+  }
+
+  // ---------- markup ----------
+  function translateElement(el) {
+    var key = el.getAttribute('data-i18n');
+    if (key) {
+      if (!el.hasAttribute('data-i18n-orig')) el.setAttribute('data-i18n-orig', el.textContent);
+      var text = t(key, null, el.getAttribute('data-i18n-orig'));
+      if (el.textContent !== text) el.textContent = text;
+    }
+    var attrs = el.getAttribute('data-i18n-attr');
+    if (!attrs) return;
+    var pairs = attrs.split(',');
+    for (var i = 0; i < pairs.length; i++) {
+      var kv = pairs[i].split(':');
+      if (kv.length !== 2) continue;
+      var name = kv[0].replace(/\s/g, '');
+      var origName = 'data-i18n-orig-' + name;
+      if (!el.hasAttribute(origName)) el.setAttribute(origName, el.getAttribute(name) || '');
+      var value = t(kv[1].replace(/\s/g, ''), null, el.getAttribute(origName));
+      if (el.getAttribute(name) !== value) el.setAttribute(name, value);
+    }
+  }
+
+  function apply(root) {
+    root = root || d;
+    if (!root.querySelectorAll) return;
+    if (root.nodeType === 1 && (root.hasAttribute('data-i18n') || root.hasAttribute('data-i18n-attr'))) translateElement(root);
+    var els = root.querySelectorAll('[data-i18n], [data-i18n-attr]');
+    for (var i = 0; i < els.length; i++) translateElement(els[i]);
+  }
+
+  function observe() {
+    if (!w.MutationObserver || !d.body) return;
+    var queued = [];
+    var scheduled = false;
+    new MutationObserver(function (records) {
+      for (var i = 0; i < records.length; i++) {
+        var added = records[i].addedNodes;
+        for (var j = 0; j < added.length; j++) if (added[j].nodeType === 1) queued.push(added[j]);
+      }
+      if (scheduled || !queued.length) return;
+      scheduled = true;
+      (w.requestAnimationFrame || setTimeout)(function () {
+        scheduled = false;
+        var batch = queued.splice(0);
+        for (var k = 0; k < batch.length; k++) if (batch[k].isConnected !== false) apply(batch[k]);
+      });
+    }).observe(d.body, { childList: true, subtree: true });
+  }
+
+  // ---------- changes ----------
+  function emit() {
+    var detail = { locale: locale, dir: getDir() };
+    for (var i = 0; i < listeners.length; i++) { try { listeners[i](detail); } catch (e) { } }
+    try { d.dispatchEvent(new CustomEvent('biolocalechange', { detail: detail })); } catch (e) { }
+    if (dotnet && dotnet.invokeMethodAsync) {
+      try { dotnet.invokeMethodAsync('OnLocaleChanged', locale); } catch (e) { }
+    }
+  }
+
+  function onChange(cb) {
+    if (typeof cb !== 'function') return function () { };
+    listeners.push(cb);
+    return function () {
+      var i = listeners.indexOf(cb);
+      if (i >= 0) listeners.splice(i, 1);
+    };
+  }
+
+  function setDotNet(ref) { dotnet = ref || null; }
+
+  // An explicit ?lang= would win again on the next load, so it goes once the user picks
+  function dropUrlLang() {
+    if (!fromUrl() || !w.history || !w.history.replaceState) return;
+    var search = w.location.search.replace(/([?&])lang=[^&#]*&?/, '$1').replace(/[?&]$/, '');
+    w.history.replaceState(w.history.state, '', w.location.pathname + search + w.location.hash);
+  }
+
+  function setLocale(id) {
+    var next = match(id);
+    if (!next) return Promise.reject(new Error('Unsupported locale: ' + id));
+    save(next);
+    dropUrlLang();
+    if (next === locale) return ready.then(function () { return locale; });
+    locale = next;
+    applyDocument();
+    ready = loadMessages(next).then(function () {
+      apply(d);
+      emit();
+      return locale;
+    });
+    return ready;
+  }
+
+  function getLocale() { return locale; }
+
+  // ---------- boot ----------
+  var initial = negotiate();
+  locale = initial.locale;
+  if (initial.source === 'url') save(locale);
+  applyDocument();
+
+  ready = loadMessages(locale).then(function () {
+    if (d.readyState === 'loading') {
+      return new Promise(function (resolve) { d.addEventListener('DOMContentLoaded', resolve, { once: true }); });
+    }
+  }).then(function () {
+    apply(d);
+    if (locale !== DEFAULT) emit();   // scripts that rendered English before the bundle arrived
+    return locale;
+  });
+
+  if (d.readyState === 'loading') d.addEventListener('DOMContentLoaded', observe, { once: true });
+  else observe();
+
+  w.BioI18n = {
+    locales: [LOCALES.en, LOCALES.bn, LOCALES.ar],
+    getLocale: getLocale,
+    getDir: getDir,
+    setLocale: setLocale,
+    negotiate: negotiate,
+    t: t,
+    format: format,
+    load: load,
+    apply: apply,
+    get ready() { return ready; },
+    onChange: onChange,
+    setDotNet: setDotNet
+  };
+})(window, document);
@@ -0,0 +1,315 @@
+// Keyboard shortcuts and the Ctrl/Cmd+K command palette.
+// - Palette commands: the app pages below, every link in content/nav.header.json, and actions
+//   registered by Blazor components (BioKeys.register)
+// - Shortcuts: "mod+k" (palette), "?" (cheat sheet), vim-style sequences ("g d", "g w") and
+//   single keys ("n"); a sequence waits up to 1s for its next key
+// - Scope: nothing fires while typing in a field or while a Bootstrap modal / other dialog is
+//   open (mod+k still opens the palette from a field); commands with when: 'app' only exist
+//   under /app/
+// Command: { id, title, group?, keys?, href?, when?: 'app'|'public'|'all' }
+// Blazor commands call dotNetRef.invokeMethodAsync('OnCommand', id).
+// API: register(dotNetRef, commands[]) -> handle, unregister(handle), open(query?), close(),
+// showHelp(), run(id)
+(function (w, d) {
+  'use strict';
+
+  const NAV_URL = 'content/nav.header.json';
+  const SEQ_TIMEOUT_MS = 1000;
+  const isMac = /Mac|iP(hone|ad|od)/.test(navigator.platform || navigator.userAgent);
+
+  // App pages (g + letter) and the new work order shortcut
+  const BUILTIN = [
+    { id: 'go.dashboard', title: 'Go to Dashboard', group: 'Navigate', keys: 'g d', href: '/app/dashboard', when: 'app' },
+    { id: 'go.assets', title: 'Go to Assets', group: 'Navigate', keys: 'g a', href: '/app/assets', when: 'app' },
+    { id: 'go.workorders', title: 'Go to Work orders', group: 'Navigate', keys: 'g w', href: '/app/work-orders', when: 'app' },
+    { id: 'go.reports', title: 'Go to Reports', group: 'Navigate', keys: 'g r', href: '/app/reports', when: 'app' },
+    { id: 'go.notifications', title: 'Go to Notifications', group: 'Navigate', keys: 'g n', href: '/app/notifications', when: 'app' },
+    { id: 'go.settings', title: 'Go to Settings', group: 'Navigate', keys: 'g s', href: '/app/settings/security', when: 'app' },
+    { id: 'workorder.new', title: 'New work order', group: 'Work orders', keys: 'n', href: '/app/work-orders?new=true', when: 'app' },
+    { id: 'help.shortcuts', title: 'Keyboard shortcuts', group: 'Help', keys: '?', when: 'all' }
+  ];
+
+  const registrations = new Map(); // handle -> { ref, commands }
+  let nextHandle = 1;
+  let navCommands = null;          // loaded on first palette open
+  let buffer = [];
+  let bufferTimer = null;
+
+  let palette = null;
+  let help = null;
+  let matches = [];
+  let active = 0;
+
+  // ---------- commands ----------
+  const inApp = () => w.location.pathname.startsWith('/app');
+
+  function available(cmd) {
+    const when = cmd.when || 'all';
+    return when === 'all' || (when === 'app') === inApp();
+  }
+
+  // Later registrations win, so a page can override a built-in (e.g. "n" on Work orders)
+  function allCommands() {
+    const byId = new Map();
+    [BUILTIN, navCommands || [], ...[...registrations.values()].map((r) => r.commands)]
+      .forEach((list) => list.forEach((c) => byId.set(c.id, c)));
+    return [...byId.values()].filter(available);
+  }
+
+  d.addEventListener('biolocalechange', () => { navCommands = null; });
+
+  async function loadNav() {
+    if (navCommands) return;
+    navCommands = [];
+    try {
+      // Same labels as the header, in the current language
+      const nav = w.BioI18n
+        ? await w.BioI18n.load('nav.header')
+        : await fetch(NAV_URL).then((r) => (r.ok ? r.json() : null));
+      for (const g of nav?.groups || []) {
+        const items = g.items?.length ? g.items : g.href ? [{ label: g.label, href: g.href }] : [];
+        items.forEach((it, i) => navCommands.push({
+          id: `nav.${g.id || g.label}.${i}`,
+          title: it.label,
+          group: g.label,
+          href: it.href,
+          external: !!it.external,
+          when: 'all'
+        }));
+      }
+    } catch { }
+  }
+
+  function register(ref, commands) {
+    const handle = nextHandle++;
+    registrations.set(handle, {
+      ref,
+      commands: (commands || []).map((c) => ({ ...c, when: c.when || 'all', handle }))
+    });
+    return handle;
+  }
+
+  function unregister(handle) { registrations.delete(handle); }
+
+  function navigate(href, external) {
+    if (external) return w.open(href, '_blank', 'noopener');
+    const url = href.startsWith('/#') ? href.slice(1) : href;
+    if (url.startsWith('#')) { w.location.hash = url; return; }
+    if (w.Blazor && typeof w.Blazor.navigateTo === 'function') w.Blazor.navigateTo(url);
+    else w.location.assign(url);
+  }
+
+  function run(id) {
+    const cmd = allCommands().find((c) => c.id === id);
+    if (!cmd) return false;
+    close();
+    if (cmd.id === 'help.shortcuts') { showHelp(); return true; }
+    const reg = cmd.handle && registrations.get(cmd.handle);
+    if (reg && reg.ref && reg.ref.invokeMethodAsync) {
+      try { reg.ref.invokeMethodAsync('OnCommand', cmd.id); } catch { }
+    } else if (cmd.href) {
+      navigate(cmd.href, cmd.external);
+    }
+    return true;
+  }
+
+  // ---------- scope ----------
+  function isTyping(el) {
+    if (!el || el === d.body) return false;
+    if (el.isContentEditable) return true;
+    const tag = el.tagName;
+    if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+    if (tag !== 'INPUT') return false;
+    return !/^(button|checkbox|radio|range|reset|submit|color|file|image)$/i.test(el.type || 'text');
+  }
+
+  // Another overlay owns the keyboard (Bootstrap modal, the session warning, consent...)
+  function blocked() {
+    if (d.querySelector('.modal.show')) return true;
+    return [...d.querySelectorAll('dialog[open]')].some((el) => el !== palette && el !== help);
+  }
+
+  // ---------- keyboard ----------
+  function keyName(e) {
+    const k = e.key.length === 1 ? e.key.toLowerCase() : e.key;
+    return (e.ctrlKey || e.metaKey ? 'mod+' : '') + (e.altKey ? 'alt+' : '') + k;
+  }
+
+  function onKeyDown(e) {
+    if (e.defaultPrevented || e.isComposing) return;
+    const name = keyName(e);
+
+    if (name === 'mod+k') {
+      if (blocked()) return;
+      e.preventDefault();
+      if (palette?.open) close(); else open();
+      return;
+    }
+    if (palette?.open || help?.open) return;        // the overlays handle their own keys
+    if (isTyping(e.target) || blocked()) return;
+    if (e.ctrlKey || e.metaKey || e.altKey) return;  // leave browser/OS shortcuts alone
+
+    const key = e.key === '?' ? '?' : name;
+    const seq = [...buffer, key].join(' ');
+    const cmds = allCommands().filter((c) => c.keys);
+
+    const exact = cmds.find((c) => c.keys === seq);
+    const prefix = cmds.some((c) => c.keys.startsWith(seq + ' '));
+    clearTimeout(bufferTimer);
+
+    if (exact && !prefix) {
+      buffer = [];
+      e.preventDefault();
+      run(exact.id);
+    } else if (prefix) {
+      buffer.push(key);
+      e.preventDefault();
+      // "g" then nothing: give up quietly (or run the exact match if there was one)
+      bufferTimer = setTimeout(() => { buffer = []; if (exact) run(exact.id); }, SEQ_TIMEOUT_MS);
+    } else {
+      buffer = [];
+    }
+  }
+
+  // ---------- palette ----------
+  const escapeHtml = (s) => String(s ?? '').replace(/[&<>"']/g, (c) =>
+    ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+  const keysHtml = (keys) => keys
+    ? keys.split(' ').map((k) => `<kbd>${escapeHtml(k.replace('mod+', isMac ? '⌘' : 'Ctrl+'))}</kbd>`).join(' ')
+    : '';
+
+  // Subsequence match: every query letter in order; contiguous and word-start hits score higher
+  function score(text, q) {
+    const t = text.toLowerCase();
+    if (!q) return 1;
+    if (t.startsWith(q)) return 100 - t.length / 100;
+    const at = t.indexOf(q);
+    if (at >= 0) return 60 - at;
+    let ti = 0;
+    let s = 0;
+    for (const ch of q) {
+      const found = t.indexOf(ch, ti);
+      if (found < 0) return 0;
+      s += found === 0 || t[found - 1] === ' ' ? 3 : found === ti ? 2 : 1;
+      ti = found + 1;
+    }
+    return s;
+  }
+
+  function buildPalette() {
+    const dlg = d.createElement('dialog');
+    dlg.className = 'bm-palette';
+    dlg.setAttribute('aria-label', 'Command palette');
+    dlg.innerHTML = `
+      <input class="form-control bm-palette-input" type="text" placeholder="Type a command or page…"
+             role="combobox" aria-expanded="true" aria-controls="bmPaletteList" aria-autocomplete="list"
+             autocomplete="off" spellcheck="false" />
+      <ul class="bm-palette-list" id="bmPaletteList" role="listbox"></ul>
+      <div class="bm-palette-foot"><span><kbd>↑</kbd> <kbd>↓</kbd> to move · <kbd>Enter</kbd> to run</span>
+        <span><kbd>?</kbd> shortcuts</span></div>`;
+    const input = dlg.querySelector('input');
+    input.addEventListener('input', () => filter(input.value));
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        e.preventDefault();
+        if (!matches.length) return;
+        active = (active + (e.key === 'ArrowDown' ? 1 : -1) + matches.length) % matches.length;
+        paint();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        if (matches[active]) run(matches[active].id);
+      }
+    });
+    dlg.addEventListener('click', (e) => {
+      if (e.target === dlg) return close();        // backdrop
+      const li = e.target.closest('[data-id]');
+      if (li) run(li.dataset.id);
+    });
+    dlg.addEventListener('close', () => { buffer = []; });
+    d.body.appendChild(dlg);
+    return dlg;
+  }
+
+  function filter(query) {
+    const q = query.trim().toLowerCase();
+    matches = allCommands()
+      .map((c) => ({ c, s: Math.max(score(c.title, q), score(`${c.group || ''} ${c.title}`, q) * 0.8) }))
+      .filter((m) => m.s > 0)
+      .sort((a, b) => b.s - a.s)
+      .slice(0, 50)
+      .map((m) => m.c);
+    active = 0;
+    paint();
+  }
+
+  function paint() {
+    const list = palette.querySelector('.bm-palette-list');
+    const input = palette.querySelector('input');
+    list.innerHTML = matches.length
+      ? matches.map((c, i) => `
+        <li role="option" id="bmCmd${i}" data-id="${escapeHtml(c.id)}" aria-selected="${i === active}">
+          <span class="bm-palette-group">${escapeHtml(c.group || '')}</span>
+          <span class="bm-palette-title">${escapeHtml(c.title)}</span>
+          <span class="bm-palette-keys">${keysHtml(c.keys)}</span>
+        </li>`).join('')
+      : '<li class="bm-palette-empty" role="presentation">No matching commands</li>';
+    if (matches.length) {
+      input.setAttribute('aria-activedescendant', `bmCmd${active}`);
+      list.children[active]?.scrollIntoView({ block: 'nearest' });
+    } else {
+      input.removeAttribute('aria-activedescendant');
+    }
+  }
+
+  async function open(query) {
+    if (!d.body) return;
+    await loadNav();
+    palette = palette || buildPalette();
+    const input = palette.querySelector('input');
+    input.value = query || '';
+    filter(input.value);
+    if (!palette.open) palette.showModal();
+    input.focus();
+  }
+
+  function close() {
+    if (palette?.open) palette.close();
+    if (help?.open) help.close();
+  }
+
+  // ---------- cheat sheet ----------
+  function showHelp() {
+    if (!d.body) return;
+    if (!help) {
+      help = d.createElement('dialog');
+      help.className = 'bm-palette bm-keys-help';
+      help.setAttribute('aria-labelledby', 'bmKeysTitle');
+      help.addEventListener('click', (e) => {
+        if (e.target === help || e.target.closest('[data-act="close"]')) help.close();
+      });
+      d.body.appendChild(help);
+    }
+    const groups = new Map();
+    [{ title: 'Command palette', group: 'General', keys: 'mod+k' }, ...allCommands().filter((c) => c.keys)]
+      .forEach((c) => {
+        const g = c.group || 'General';
+        if (!groups.has(g)) groups.set(g, []);
+        groups.get(g).push(c);
+      });
+    help.innerHTML = `
+      <div class="d-flex justify-content-between align-items-center mb-2">
+        <h2 class="h6 mb-0" id="bmKeysTitle">Keyboard shortcuts</h2>
+        <button type="button" class="btn-close" data-act="close" aria-label="Close"></button>
+      </div>
+      ${[...groups].map(([g, cmds]) => `
+        <h3 class="bm-palette-group mt-3 mb-1">${escapeHtml(g)}</h3>
+        <dl class="bm-keys-list">${cmds.map((c) => `<dt>${keysHtml(c.keys)}</dt><dd>${escapeHtml(c.title)}</dd>`).join('')}</dl>`).join('')}
+      <p class="small text-muted mb-0 mt-3">Shortcuts don’t fire while you’re typing in a field.</p>`;
+    if (!help.open) help.showModal();
+  }
+
+  d.addEventListener('keydown', onKeyDown);
+
+  w.BioKeys = { register, unregister, open, close, showHelp, run };
+})(window, document);
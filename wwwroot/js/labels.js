@@ -0,0 +1,238 @@
+// Printable asset tags and paper work-order sheets.
+// - QR codes are encoded locally with the bundled ZXing (js/zxing/zxing.min.js, loaded on
+//   first use through BioScanner.loadZXing) and drawn as one SVG path: sharp at any print
+//   size, no network
+// - Label templates (Avery-style grids, single thermal labels) come from content/labels.json
+//   through ContentService; sizes are physical (in | mm) so the output lines up with the stock
+// - Output opens in a print view (new window, or a hidden frame when pop-ups are blocked)
+//   styled by css/print.css
+// API: qrSvg(text, { ecc = 'M', margin = 0, title }) -> Promise<svg>,
+// printLabels(items, template, opts) -> Promise<bool>, printWorkOrders(orders, sheet, opts) -> Promise<bool>
+// items: [{ id, name, location?, department?, serialNumber? }]
+// opts: { skip = 0 (used labels on the first sheet), copies = 1, urlTemplate, title, autoPrint = true }
+(function () {
+  const PAGES_MM = { letter: [215.9, 279.4], a4: [210, 297] };
+  const MM = { in: 25.4, mm: 1 };
+
+  // ---------- QR ----------
+  // One loader for the page (scanner.js): the script is injected at most once
+  function loadZXing() {
+    if (window.ZXing) return Promise.resolve(window.ZXing);
+    if (!window.BioScanner?.loadZXing) return Promise.reject(new Error('scanner.js is not loaded'));
+    return window.BioScanner.loadZXing();
+  }
+
+  const esc = (v) => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+  // One <path> with a horizontal run per row segment keeps big sheets light
+  function matrixToSvg(m, margin, title) {
+    const n = m.getWidth();
+    const size = n + margin * 2;
+    let d = '';
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        if (!m.get(x, y)) continue;
+        let run = 1;
+        while (x + run < n && m.get(x + run, y)) run++;
+        d += `M${x + margin} ${y + margin}h${run}v1h-${run}z`;
+        x += run - 1;
+      }
+    }
+    return `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${size} ${size}" shape-rendering="crispEdges" role="img"` +
+      ` aria-label="${esc(title || 'QR code')}"><rect width="${size}" height="${size}" fill="#fff"/><path d="${d}" fill="#000"/></svg>`;
+  }
+
+  function encodeQr(Z, text, ecc) {
+    const hints = new Map();
+    hints.set(Z.EncodeHintType.ERROR_CORRECTION, ecc || 'M');
+    hints.set(Z.EncodeHintType.MARGIN, 0);
+    hints.set(Z.EncodeHintType.CHARACTER_SET, 'UTF-8');
+    return new Z.QRCodeWriter().encode(String(text), Z.BarcodeFormat.QR_CODE, 0, 0, hints);
+  }
+
+  async function qrSvg(text, opts) {
+    const Z = await loadZXing();
+    const o = opts || {};
+    return matrixToSvg(encodeQr(Z, text, o.ecc), o.margin >= 0 ? o.margin : 0, o.title || text);
+  }
+
+  const fill = (tpl, id) => tpl ? String(tpl).replace(/\{id\}/g, encodeURIComponent(id)) : String(id);
+
+  // ---------- labels ----------
+  function pageSizeMm(t) {
+    if (t.page === 'custom' || !PAGES_MM[t.page]) {
+      const k = MM[t.unit] || 1;
+      return [Number(t.pageWidth || t.labelWidth) * k, Number(t.pageHeight || t.labelHeight) * k];
+    }
+    return PAGES_MM[t.page];
+  }
+
+  const FIELD_LABELS = { department: 'Dept', location: 'Loc', serial: 'S/N' };
+
+  function labelHtml(item, t, Z, urlTemplate) {
+    const k = MM[t.unit] || 1;
+    const w = t.labelWidth * k, h = t.labelHeight * k;
+    const qr = Math.min(t.qrSize * k, h - 2, w - 2);
+    const stacked = w < h * 1.4; // square stock: QR above the text
+    const lines = (t.fields || ['name']).map(f => {
+      const v = f === 'serial' ? item.serialNumber : item[f];
+      if (!v) return '';
+      const cls = f === 'name' ? 'bm-label-name' : 'bm-label-meta';
+      const prefix = FIELD_LABELS[f] ? `<span class="bm-label-key">${FIELD_LABELS[f]}</span> ` : '';
+      return `<div class="${cls}">${prefix}${esc(v)}</div>`;
+    }).join('');
+
+    const svg = matrixToSvg(encodeQr(Z, fill(urlTemplate, item.id), 'M'), 0, item.id);
+    return `<div class="bm-label${stacked ? ' is-stacked' : ''}">` +
+      `<div class="bm-label-qr" style="width:${qr.toFixed(2)}mm;height:${qr.toFixed(2)}mm">${svg}</div>` +
+      `<div class="bm-label-text"><div class="bm-label-id">${esc(item.id)}</div>${lines}</div></div>`;
+  }
+
+  async function printLabels(items, template, opts) {
+    const list = (items || []).filter(i => i && i.id);
+    if (!list.length || !template) return false;
+    const Z = await loadZXing();
+    const o = opts || {};
+    const t = template;
+    const k = MM[t.unit] || 1;
+    const perSheet = Math.max(1, t.columns * t.rows);
+    const copies = Math.max(1, Math.min(50, (o.copies | 0) || 1));
+    const skip = Math.max(0, Math.min(perSheet - 1, o.skip | 0));
+
+    const cells = new Array(skip).fill('<div class="bm-label is-empty"></div>');
+    list.forEach(item => {
+      const html = labelHtml(item, t, Z, o.urlTemplate);
+      for (let c = 0; c < copies; c++) cells.push(html);
+    });
+
+    const [pw, ph] = pageSizeMm(t);
+    const sheetStyle = [
+      `width:${pw}mm`, `height:${ph}mm`,
+      `padding:${t.marginTop * k}mm 0 0 ${t.marginLeft * k}mm`,
+      `grid-template-columns:repeat(${t.columns}, ${t.labelWidth * k}mm)`,
+      `grid-auto-rows:${t.labelHeight * k}mm`,
+      `column-gap:${(t.gapX || 0) * k}mm`, `row-gap:${(t.gapY || 0) * k}mm`,
+      `--label-h:${t.labelHeight * k}mm`
+    ].join(';');
+
+    let body = '';
+    for (let i = 0; i < cells.length; i += perSheet)
+      body += `<section class="bm-sheet bm-label-sheet" style="${sheetStyle}">${cells.slice(i, i + perSheet).join('')}</section>`;
+
+    return openView(o.title || 'Asset labels', body, `size:${pw}mm ${ph}mm;margin:0`, o);
+  }
+
+  // ---------- work-order sheets ----------
+  function date(v) {
+    if (!v) return '';
+    const d = new Date(v);
+    return isNaN(d) ? String(v) : d.toLocaleDateString(document.documentElement.lang || undefined, { dateStyle: 'medium' });
+  }
+
+  function workOrderHtml(wo, sheet, Z, pageStyle) {
+    const qr = matrixToSvg(encodeQr(Z, fill(sheet.qrUrlTemplate, wo.id), 'M'), 0, wo.id);
+    const cell = (label, value) => `<th scope="row">${esc(label)}</th><td>${esc(value) || '&nbsp;'}</td>`;
+    const checklist = (sheet.checklist || []).map(c =>
+      `<li><span class="bm-box" aria-hidden="true"></span>${esc(c)}<span class="bm-wo-pf">Pass / Fail / N/A</span></li>`).join('');
+    const lines = '<div class="bm-line"></div>'.repeat(Math.max(0, sheet.notesLines ?? 8));
+    const parts = '<tr><td>&nbsp;</td><td></td><td></td></tr>'.repeat(Math.max(0, sheet.partsRows ?? 4));
+    const signatures = (sheet.signatures || ['Technician']).map(s =>
+      `<div class="bm-sign"><div class="bm-sign-role">${esc(s)}</div>` +
+      `<div class="bm-sign-line">Name</div><div class="bm-sign-line">Signature</div><div class="bm-sign-line">Date</div></div>`).join('');
+
+    return `<section class="bm-sheet bm-wo" style="${pageStyle}">
+      <header class="bm-wo-head">
+        <div>
+          <div class="bm-wo-brand">BioMaint</div>
+          <h1 class="bm-wo-title">${esc(sheet.title || 'Work order')} <span>${esc(wo.id)}</span></h1>
+          <div class="bm-wo-subject">${esc(wo.title)}</div>
+        </div>
+        <div class="bm-wo-qr">${qr}</div>
+      </header>
+      <table class="bm-wo-fields"><tbody>
+        <tr>${cell('Asset', wo.assetName)}${cell('Asset ID', wo.assetId)}</tr>
+        <tr>${cell('Priority', wo.priority)}${cell('Status', wo.status)}</tr>
+        <tr>${cell('Assigned to', wo.assignedTo)}${cell('Due', date(wo.dueAt))}</tr>
+      </tbody></table>
+      ${checklist ? `<h2>Checklist</h2><ul class="bm-wo-check">${checklist}</ul>` : ''}
+      <h2>Work performed / findings</h2>
+      <div class="bm-wo-notes">${lines}</div>
+      ${parts ? `<h2>Parts used</h2><table class="bm-wo-parts"><thead><tr><th>Part</th><th>Qty</th><th>Lot / serial</th></tr></thead><tbody>${parts}</tbody></table>` : ''}
+      <div class="bm-wo-signs">${signatures}</div>
+      ${sheet.footer ? `<footer class="bm-wo-foot">${esc(sheet.footer)}</footer>` : ''}
+    </section>`;
+  }
+
+  async function printWorkOrders(orders, sheet, opts) {
+    const list = (orders || []).filter(w => w && w.id);
+    if (!list.length) return false;
+    const Z = await loadZXing();
+    const s = sheet || {};
+    const [pw, ph] = PAGES_MM[s.page] || PAGES_MM.a4;
+    const body = list.map(wo => workOrderHtml(wo, s, Z, `width:${pw}mm;min-height:${ph}mm`)).join('');
+    return openView((opts && opts.title) || 'Work orders', body, `size:${pw}mm ${ph}mm;margin:0`, opts);
+  }
+
+  // ---------- print view ----------
+  function documentHtml(title, body, pageCss) {
+    return `<!doctype html><html lang="${esc(document.documentElement.lang || 'en')}"><head>
+      <meta charset="utf-8"><base href="${esc(document.baseURI)}"><title>${esc(title)}</title>
+      <link rel="stylesheet" href="css/print.css"><style>@page{${pageCss}}</style></head>
+      <body class="bm-print">
+        <div class="bm-print-bar" role="toolbar" aria-label="Print">
+          <strong>${esc(title)}</strong>
+          <span class="bm-print-hint">Print at 100% scale (“Actual size”) with margins set to none.</span>
+          <button type="button" data-act="print">Print</button>
+          <button type="button" data-act="close">Close</button>
+        </div>
+        <main>${body}</main>
+      </body></html>`;
+  }
+
+  function whenLoaded(win) {
+    return new Promise(resolve => {
+      if (win.document.readyState === 'complete') return resolve();
+      win.addEventListener('load', () => resolve(), { once: true });
+      setTimeout(resolve, 2000); // never hang on a slow stylesheet
+    });
+  }
+
+  async function openView(title, body, pageCss, opts) {
+    const o = opts || {};
+    const html = documentHtml(title, body, pageCss);
+
+    let win = null;
+    let frame = null;
+    try { win = window.open('', '_blank'); } catch {}
+    if (!win) {
+      // Pop-up blocked: print from a hidden frame in this page
+      frame = document.createElement('iframe');
+      frame.className = 'bm-print-frame';
+      frame.setAttribute('aria-hidden', 'true');
+      frame.style.cssText = 'position:fixed;width:0;height:0;border:0;right:0;bottom:0;visibility:hidden';
+      document.body.appendChild(frame);
+      win = frame.contentWindow;
+    }
+
+    const doc = win.document;
+    doc.open();
+    doc.write(html);
+    doc.close();
+
+    doc.addEventListener('click', (e) => {
+      const act = e.target.closest?.('[data-act]')?.dataset.act;
+      if (act === 'print') win.print();
+      if (act === 'close') win.close();
+    });
+
+    await whenLoaded(win);
+    if (frame) win.addEventListener('afterprint', () => frame.remove(), { once: true });
+    if (o.autoPrint !== false || frame) {
+      win.focus();
+      win.print();
+    }
+    return true;
+  }
+
+  window.BioLabels = { qrSvg, printLabels, printWorkOrders };
+})();
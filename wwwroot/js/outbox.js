@@ -0,0 +1,274 @@
+// Offline outbox for mutating API calls (IndexedDB, replayed in order).
+// - Each item carries an idempotency key (sent as Idempotency-Key) + timestamp
+// - Replays on 'online', on resume, and with backoff after transient failures
+// - 409 Conflict -> moved to a reviewable conflicts list (never dropped)
+// - Other 4xx -> kept as 'failed' for review; 5xx/429/network -> stop & retry later
+// API: init(dotNetRef?), enqueue(req), replay(), isOnline(), getLength(), getItems(),
+// getConflicts(), retry(id), discard(id), clear(), setDotNet(ref?)
+(function () {
+  const DB_NAME = 'biomaint-outbox';
+  const DB_VERSION = 1;
+  const QUEUE = 'queue';
+  const CONFLICTS = 'conflicts';
+
+  let dbPromise = null;
+  let dotnet = null;
+  let replaying = null;
+  let online = navigator.onLine;
+
+  // Backoff after transient failures (same shape as the captcha wrapper)
+  let backoffMs = 3000;
+  const backoffMax = 60000;
+  let retryTimer = null;
+
+  window.addEventListener('online',  () => { online = true;  replay(); });
+  window.addEventListener('offline', () => { online = false; cancelRetry(); });
+  document.addEventListener('visibilitychange', () => { if (!document.hidden) replay(); });
+
+  // ---------- IndexedDB ----------
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains(QUEUE)) db.createObjectStore(QUEUE, { keyPath: 'id', autoIncrement: true });
+        if (!db.objectStoreNames.contains(CONFLICTS)) db.createObjectStore(CONFLICTS, { keyPath: 'id' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+    return dbPromise;
+  }
+
+  async function tx(store, mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(store, mode);
+      const result = fn(t.objectStore(store));
+      t.oncomplete = () => resolve(result && 'result' in result ? result.result : result);
+      t.onerror = () => reject(t.error);
+      t.onabort = () => reject(t.error);
+    });
+  }
+
+  const getAll = (store) => tx(store, 'readonly', (s) => s.getAll());
+  const count  = (store) => tx(store, 'readonly', (s) => s.count());
+  const put    = (store, item) => tx(store, 'readwrite', (s) => s.put(item));
+  const del    = (store, id) => tx(store, 'readwrite', (s) => s.delete(id));
+
+  // ---------- .NET bridge ----------
+  function setDotNet(ref) { dotnet = ref || null; }
+
+  function summary(item) {
+    return {
+      id: item.id, key: item.key, method: item.method, url: item.url,
+      status: item.status, attempts: item.attempts || 0,
+      createdAt: item.createdAt, error: item.error || null
+    };
+  }
+
+  async function notify(evt, item) {
+    let length = 0;
+    try { length = await count(QUEUE); } catch { }
+    const payload = { evt, length, item: item ? summary(item) : null };
+    document.dispatchEvent(new CustomEvent('biooutboxchange', { detail: payload }));
+    if (dotnet && dotnet.invokeMethodAsync) {
+      try { dotnet.invokeMethodAsync('OnOutboxStatus', payload); } catch { }
+    }
+  }
+
+  async function authHeader() {
+    // Token lives in .NET (AuthService); ask for it at send time instead of storing it
+    if (!dotnet || !dotnet.invokeMethodAsync) return {};
+    try {
+      const token = await dotnet.invokeMethodAsync('GetAccessToken');
+      return token ? { Authorization: `Bearer ${token}` } : {};
+    } catch { return {}; }
+  }
+
+  // ---------- queue ----------
+  function newKey() {
+    if (crypto.randomUUID) return crypto.randomUUID();
+    const b = crypto.getRandomValues(new Uint8Array(16));
+    return Array.from(b, (x) => x.toString(16).padStart(2, '0')).join('');
+  }
+
+  async function enqueue(req) {
+    const method = String(req?.method || 'POST').toUpperCase();
+    if (!req?.url || method === 'GET') throw new Error('Outbox only accepts mutating requests with a url');
+
+    const item = {
+      key: req.key || newKey(),
+      method,
+      url: req.url,
+      body: req.body === undefined ? null : req.body,
+      headers: Object.assign({}, req.headers || {}),
+      createdAt: Date.now(),
+      attempts: 0,
+      status: 'queued'
+    };
+    delete item.headers.Authorization;
+    delete item.headers.authorization;
+
+    item.id = await put(QUEUE, item);
+    await notify('queued', item);
+    if (online) replay();
+    return item.key;
+  }
+
+  async function send(item) {
+    const headers = Object.assign(
+      { 'Content-Type': 'application/json', 'Idempotency-Key': item.key },
+      item.headers,
+      await authHeader());
+
+    return fetch(item.url, {
+      method: item.method,
+      headers,
+      body: item.body === null ? undefined : (typeof item.body === 'string' ? item.body : JSON.stringify(item.body)),
+      credentials: 'include'
+    });
+  }
+
+  function isTransient(status) { return status === 408 || status === 429 || status >= 500; }
+
+  async function replayCore() {
+    const items = (await getAll(QUEUE)).sort((a, b) => a.id - b.id);
+    await notify('replay-start');
+
+    for (const item of items) {
+      if (!online) break;
+      if (item.status === 'failed') continue; // waits for retry(id) or discard(id)
+
+      item.status = 'sending';
+      item.attempts = (item.attempts || 0) + 1;
+      await put(QUEUE, item);
+      await notify('sending', item);
+
+      let resp;
+      try {
+        resp = await send(item);
+      } catch (e) {
+        // Network gone mid-replay: keep order, try again later
+        item.status = 'queued';
+        item.error = String(e && e.message || e);
+        await put(QUEUE, item);
+        await notify('queued', item);
+        scheduleRetry();
+        break;
+      }
+
+      if (resp.ok) {
+        await del(QUEUE, item.id);
+        await notify('sent', item);
+        continue;
+      }
+
+      let text = '';
+      try { text = await resp.text(); } catch { }
+
+      if (resp.status === 409) {
+        item.status = 'conflict';
+        item.error = text || 'Conflict';
+        item.conflictAt = Date.now();
+        await put(CONFLICTS, item);
+        await del(QUEUE, item.id);
+        await notify('conflict', item);
+        continue;
+      }
+
+      if (isTransient(resp.status)) {
+        item.status = 'queued';
+        item.error = `HTTP ${resp.status}`;
+        await put(QUEUE, item);
+        await notify('queued', item);
+        scheduleRetry();
+        break;
+      }
+
+      // 4xx (incl. 401): replaying as-is won't help, keep it for review
+      item.status = 'failed';
+      item.error = text || `HTTP ${resp.status}`;
+      await put(QUEUE, item);
+      await notify('failed', item);
+    }
+
+    await notify('replay-end');
+  }
+
+  function replay() {
+    if (!online) return Promise.resolve();
+    if (replaying) return replaying;
+    cancelRetry();
+    replaying = replayCore()
+      .then(() => { if (!retryTimer) backoffMs = 3000; })
+      .catch(() => { })
+      .finally(() => { replaying = null; });
+    return replaying;
+  }
+
+  function scheduleRetry() {
+    cancelRetry();
+    retryTimer = setTimeout(() => { retryTimer = null; replay(); }, backoffMs);
+    backoffMs = Math.min(backoffMs * 2, backoffMax);
+  }
+
+  function cancelRetry() {
+    if (retryTimer !== null) {
+      clearTimeout(retryTimer);
+      retryTimer = null;
+    }
+  }
+
+  // ---------- review ----------
+  async function getItems() { return (await getAll(QUEUE)).sort((a, b) => a.id - b.id).map(summary); }
+  async function getConflicts() {
+    return (await getAll(CONFLICTS)).sort((a, b) => a.id - b.id)
+      .map((c) => Object.assign(summary(c), { body: c.body, conflictAt: c.conflictAt }));
+  }
+  async function getLength() { return count(QUEUE); }
+
+  // Re-queue a failed item or a reviewed conflict (keeps its idempotency key)
+  async function retry(id) {
+    const conflict = await tx(CONFLICTS, 'readonly', (s) => s.get(id));
+    const item = conflict || await tx(QUEUE, 'readonly', (s) => s.get(id));
+    if (!item) return false;
+
+    item.status = 'queued';
+    item.error = null;
+    await put(QUEUE, item);
+    if (conflict) await del(CONFLICTS, id);
+    await notify('queued', item);
+    replay();
+    return true;
+  }
+
+  async function discard(id) {
+    await del(QUEUE, id);
+    await del(CONFLICTS, id);
+    await notify('discarded', { id });
+    return true;
+  }
+
+  async function clear() {
+    await tx(QUEUE, 'readwrite', (s) => s.clear());
+    await tx(CONFLICTS, 'readwrite', (s) => s.clear());
+    await notify('cleared');
+  }
+
+  async function init(dotNetRef) {
+    setDotNet(dotNetRef);
+    // Items left 'sending' by a closed tab are safe to resend (idempotency key)
+    for (const item of await getAll(QUEUE)) {
+      if (item.status === 'sending') { item.status = 'queued'; await put(QUEUE, item); }
+    }
+    await notify('init');
+    replay();
+  }
+
+  window.BioOutbox = {
+    init, enqueue, replay, isOnline: () => online, getLength, getItems, getConflicts,
+    retry, discard, clear, setDotNet
+  };
+})();
@@ -0,0 +1,160 @@
+// Passkeys (WebAuthn) for sign-in, second factor and enrollment.
+// - Server options arrive as JSON (base64url for challenge / user.id / credential ids) and
+//   results go back as JSON (base64url for clientDataJSON, attestationObject, signature...)
+// - One ceremony at a time: starting a new one aborts the pending one (e.g. autofill)
+// - Never throws: results are { ok:true, credential } or { ok:false, error, message } with
+//   error = cancelled | not-allowed | unsupported | already-registered | security | timeout | unknown
+// - No UI of its own, so Chrome's virtual authenticator (CDP WebAuthn.addVirtualAuthenticator)
+//   drives it in headless runs
+// API: isSupported(), isConditionalAvailable(), isPlatformAvailable(), create(options),
+// get(options, { mediation }), abort(), b64url.{ encode, decode }
+(function () {
+  let pending = null; // AbortController of the running ceremony
+
+  // ---------- base64url <-> ArrayBuffer ----------
+  function encode(buf) {
+    const bytes = buf instanceof ArrayBuffer ? new Uint8Array(buf) : new Uint8Array(buf.buffer, buf.byteOffset, buf.byteLength);
+    let s = '';
+    for (let i = 0; i < bytes.length; i++) s += String.fromCharCode(bytes[i]);
+    return btoa(s).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+
+  function decode(str) {
+    const b64 = String(str).replace(/-/g, '+').replace(/_/g, '/');
+    const bin = atob(b64 + '='.repeat((4 - b64.length % 4) % 4));
+    const out = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) out[i] = bin.charCodeAt(i);
+    return out.buffer;
+  }
+
+  // ---------- JSON options -> WebAuthn options ----------
+  const unwrap = (o) => (o && o.publicKey) ? o.publicKey : (o || {});
+
+  function creationOptions(json) {
+    const o = { ...unwrap(json) };
+    o.challenge = decode(o.challenge);
+    o.user = { ...o.user, id: decode(o.user.id) };
+    if (o.excludeCredentials) o.excludeCredentials = o.excludeCredentials.map(c => ({ ...c, id: decode(c.id) }));
+    return o;
+  }
+
+  function requestOptions(json) {
+    const o = { ...unwrap(json) };
+    o.challenge = decode(o.challenge);
+    if (o.allowCredentials) o.allowCredentials = o.allowCredentials.map(c => ({ ...c, id: decode(c.id) }));
+    return o;
+  }
+
+  // ---------- credential -> JSON ----------
+  function toJSON(cred) {
+    const r = cred.response;
+    const response = { clientDataJSON: encode(r.clientDataJSON) };
+
+    if (r.attestationObject) {
+      response.attestationObject = encode(r.attestationObject);
+      response.transports = r.getTransports?.() || [];
+      const pk = r.getPublicKey?.();
+      if (pk) response.publicKey = encode(pk);
+      const alg = r.getPublicKeyAlgorithm?.();
+      if (alg != null) response.publicKeyAlgorithm = alg;
+    } else {
+      response.authenticatorData = encode(r.authenticatorData);
+      response.signature = encode(r.signature);
+      response.userHandle = r.userHandle ? encode(r.userHandle) : null;
+    }
+
+    return {
+      id: cred.id,
+      rawId: encode(cred.rawId),
+      type: cred.type,
+      authenticatorAttachment: cred.authenticatorAttachment || null,
+      response,
+      clientExtensionResults: cred.getClientExtensionResults?.() || {}
+    };
+  }
+
+  // ---------- errors ----------
+  function fail(error, message) { return { ok: false, credential: null, error, message: message || '' }; }
+
+  function mapError(e, ctl) {
+    const name = e?.name || '';
+    if (name === 'AbortError' || ctl?.signal.aborted) return fail('cancelled', 'The request was cancelled.');
+    // Chrome reports both "user dismissed" and "timed out" as NotAllowedError
+    if (name === 'NotAllowedError') return fail('not-allowed', 'The request was dismissed or not allowed.');
+    if (name === 'NotSupportedError') return fail('unsupported', 'This device has no supported authenticator.');
+    if (name === 'InvalidStateError') return fail('already-registered', 'This passkey is already registered.');
+    if (name === 'SecurityError') return fail('security', 'Passkeys are not allowed on this site.');
+    if (name === 'TimeoutError') return fail('timeout', 'The request timed out.');
+    return fail('unknown', e?.message || String(e));
+  }
+
+  // ---------- feature detection ----------
+  function isSupported() {
+    return !!(window.PublicKeyCredential && navigator.credentials?.create && window.isSecureContext);
+  }
+
+  async function isConditionalAvailable() {
+    try { return isSupported() && !!(await PublicKeyCredential.isConditionalMediationAvailable?.()); }
+    catch { return false; }
+  }
+
+  async function isPlatformAvailable() {
+    try { return isSupported() && !!(await PublicKeyCredential.isUserVerifyingPlatformAuthenticatorAvailable()); }
+    catch { return false; }
+  }
+
+  // ---------- ceremonies ----------
+  function begin() {
+    abort();
+    pending = new AbortController();
+    return pending;
+  }
+
+  function end(ctl) { if (pending === ctl) pending = null; }
+
+  function abort() {
+    if (!pending) return;
+    try { pending.abort(); } catch {}
+    pending = null;
+  }
+
+  async function create(options) {
+    if (!isSupported()) return fail('unsupported', 'Passkeys are not supported in this browser.');
+    const ctl = begin();
+    try {
+      const cred = await navigator.credentials.create({ publicKey: creationOptions(options), signal: ctl.signal });
+      if (!cred) return fail('cancelled', 'No passkey was created.');
+      return { ok: true, credential: toJSON(cred), error: null, message: null };
+    } catch (e) {
+      return mapError(e, ctl);
+    } finally { end(ctl); }
+  }
+
+  // mediation: 'optional' (modal prompt) | 'conditional' (email field autofill; the input
+  // needs autocomplete="username webauthn") | 'required'
+  async function get(options, opts) {
+    if (!isSupported()) return fail('unsupported', 'Passkeys are not supported in this browser.');
+    const mediation = opts?.mediation || 'optional';
+    if (mediation === 'conditional' && !(await isConditionalAvailable()))
+      return fail('unsupported', 'Passkey autofill is not available in this browser.');
+
+    const ctl = begin();
+    try {
+      const cred = await navigator.credentials.get({
+        publicKey: requestOptions(options),
+        mediation,
+        signal: ctl.signal
+      });
+      if (!cred) return fail('cancelled', 'No passkey was selected.');
+      return { ok: true, credential: toJSON(cred), error: null, message: null };
+    } catch (e) {
+      return mapError(e, ctl);
+    } finally { end(ctl); }
+  }
+
+  window.BioPasskey = {
+    isSupported, isConditionalAvailable, isPlatformAvailable,
+    create, get, abort,
+    b64url: { encode, decode }
+  };
+})();
@@ -0,0 +1,246 @@
+// wwwroot/js/pricing-calculator.js
+// "What would N users across M sites cost?" calculator for the pricing page (ES module).
+// - Site / user / asset sliders; recommends the cheapest plan whose `limits` fit,
+//   or that can cover the gap with per-unit `overage` pricing (pricing.json)
+// - Currency/cycle via getSavedCurrency/getSavedCycle (+ live updates from pricing.js)
+// - Full configuration goes into the URL hash (on edits and "Copy quote link") so sales can send a link:
+//     #quote?sites=6&users=37&assets=800&cycle=annual&currency=EUR
+// API: mount(elementId), unmount()
+import {
+  loadPricing, planMonthly, cycleMath, convert, formatMoney,
+  getSavedCurrency, setSavedCurrency, getSavedCycle, setSavedCycle, onCurrencyChange
+} from "./pricing.js";
+
+const HASH_KEY = "quote";
+const DIMS = [
+  { key: "sites",  label: "Sites",  unit: "site",  min: 1, max: 50,   step: 1,  initial: 3 },
+  { key: "users",  label: "Users",  unit: "user",  min: 1, max: 200,  step: 1,  initial: 15 },
+  { key: "assets", label: "Assets", unit: "asset", min: 0, max: 5000, step: 50, initial: 300 }
+];
+
+let host = null;
+let state = null;
+let unsubscribe = null;
+
+const esc = (s) => String(s ?? "").replace(/[&<>"']/g, c => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" }[c]));
+const clamp = (v, d) => Math.min(Math.max(Math.round(Number(v) / d.step) * d.step, d.min), d.max);
+
+// ---------- hash <-> state ----------
+function readHash(){
+  const h = location.hash || "";
+  const prefix = `#${HASH_KEY}?`;
+  if (!h.startsWith(prefix)) return null;
+  const q = new URLSearchParams(h.slice(prefix.length));
+  const out = {};
+  for (const d of DIMS) if (q.has(d.key)) out[d.key] = clamp(q.get(d.key), d);
+  if (q.get("cycle") === "annual" || q.get("cycle") === "monthly") out.cycle = q.get("cycle");
+  if (/^[a-z]{3}$/i.test(q.get("currency") || "")) out.currency = q.get("currency").toUpperCase();
+  return out;
+}
+
+function quotePath(){
+  const q = new URLSearchParams();
+  for (const d of DIMS) q.set(d.key, String(state.need[d.key]));
+  q.set("cycle", state.cycle);
+  q.set("currency", state.currency);
+  return `${location.pathname}${location.search}#${HASH_KEY}?${q.toString()}`;
+}
+
+// Only after the user edits the quote or copies its link: just visiting keeps the URL as-is
+function writeHash(){
+  const url = quotePath();
+  try{ history.replaceState(history.state, "", url); }catch{}
+  return `${location.origin}${url}`;
+}
+
+// ---------- evaluation ----------
+function limitOf(plan, key){
+  const v = plan?.limits?.[key];
+  return typeof v === "number" ? v : Infinity; // "Unlimited" / missing
+}
+
+// Per-unit overage in the display currency (pricing.json overage is in the base currency)
+function overageRate(plan, key, currency, cfg){
+  const base = plan?.overage?.[key];
+  if (typeof base !== "number" || base <= 0) return null;
+  return convert(base, cfg.base, currency, cfg);
+}
+
+function evaluate(plan, need, currency, cycle, cfg){
+  const monthly = planMonthly(plan, currency, cfg);
+  const result = { plan, custom: monthly === null, fits: true, overage: [], perMonth: null };
+  if (result.custom) return result;
+
+  let extra = 0;
+  for (const d of DIMS){
+    const over = Math.max(0, need[d.key] - limitOf(plan, d.key));
+    if (!over) continue;
+    const rate = overageRate(plan, d.key, currency, cfg);
+    if (rate === null){ result.fits = false; return result; }
+    result.overage.push({ dim: d, count: over, rate, cost: over * rate });
+    extra += over * rate;
+  }
+
+  const m = cycleMath(monthly, cycle, plan.annualDiscountPct ?? cfg.annualDiscountPct);
+  result.base = m.perMonth;
+  result.perMonth = m.perMonth + extra;
+  return result;
+}
+
+function recommend(rows){
+  const priced = rows.filter(r => !r.custom && r.fits).sort((a, b) => a.perMonth - b.perMonth);
+  return priced[0] || rows.find(r => r.custom) || null;
+}
+
+// ---------- render ----------
+function money(v){ return formatMoney(v, state.currency, { decimals: Number.isInteger(v) ? 0 : 2 }); }
+
+function renderShell(){
+  host.classList.add("pricing-calc");
+  host.innerHTML = `
+    <div class="matrix-wrap p-3 p-md-4">
+      <h2 class="compare-title">Estimate your plan</h2>
+      <div class="row g-4">
+        <div class="col-12 col-lg-6">
+          ${DIMS.map(d => `
+            <div class="calc-row mb-3">
+              <div class="d-flex justify-content-between align-items-baseline">
+                <label class="form-label fw-semibold mb-1" for="calc-${d.key}">${d.label}</label>
+                <output class="calc-value" id="calc-${d.key}-out" for="calc-${d.key}"></output>
+              </div>
+              <input type="range" class="form-range" id="calc-${d.key}" data-dim="${d.key}"
+                     min="${d.min}" max="${d.max}" step="${d.step}" />
+            </div>`).join("")}
+        </div>
+        <div class="col-12 col-lg-6">
+          <div class="calc-result" aria-live="polite"></div>
+          <button type="button" class="btn btn-sm btn-outline-primary mt-3" data-calc-copy>
+            <i class="bi bi-link-45deg me-1" aria-hidden="true"></i><span>Copy quote link</span>
+          </button>
+        </div>
+      </div>
+    </div>`;
+
+  host.addEventListener("input", onInput);
+  host.addEventListener("click", onClick);
+}
+
+function renderResult(){
+  const data = state.data;
+  const cfg = data.currencies;
+
+  for (const d of DIMS){
+    const input = host.querySelector(`#calc-${d.key}`);
+    const out = host.querySelector(`#calc-${d.key}-out`);
+    if (input && Number(input.value) !== state.need[d.key]) input.value = String(state.need[d.key]);
+    if (out) out.textContent = state.need[d.key].toLocaleString();
+  }
+
+  const rows = (data.plans || []).map(p => evaluate(p, state.need, state.currency, state.cycle, cfg));
+  const best = recommend(rows);
+  const unit = state.cycle === "annual" ? "/mo, billed annually" : "/mo";
+
+  const head = !best ? `<p class="text-muted mb-0">No plan data available.</p>`
+    : best.custom
+      ? `<div class="calc-best"><span class="text-muted small">Recommended</span>
+           <div class="plan-title">${esc(best.plan.name)}</div>
+           <div class="plan-price">${esc(best.plan.price?.custom || "Price on Request")}</div>
+           <a class="btn btn-sm btn-primary fw-bold mt-2" href="/contact">Contact Us</a></div>`
+      : `<div class="calc-best"><span class="text-muted small">Recommended</span>
+           <div class="plan-title">${esc(best.plan.name)}</div>
+           <div class="plan-price">${esc(money(best.perMonth))}<span class="plan-unit">${unit}</span></div>
+           ${best.overage.length ? `<div class="small text-muted">${esc(money(best.base))} plan + ${
+             best.overage.map(o => `${o.count.toLocaleString()} extra ${o.dim.unit}${o.count === 1 ? "" : "s"} × ${esc(money(o.rate))}`).join(" + ")
+           }</div>` : ""}
+         </div>`;
+
+  const table = rows.map(r => {
+    const price = r.custom ? esc(r.plan.price?.custom || "Price on Request")
+      : !r.fits ? `<span class="text-muted">Exceeds limits</span>`
+      : `${esc(money(r.perMonth))}<span class="plan-unit">${unit}</span>`;
+    const rates = r.custom ? "" : DIMS
+      .map(d => ({ d, rate: overageRate(r.plan, d.key, state.currency, cfg) }))
+      .filter(x => x.rate !== null)
+      .map(x => `Extra ${x.d.unit}: ${esc(money(x.rate))}/mo`)
+      .join(" · ");
+    return `<tr class="${r === best ? "table-active" : ""}">
+        <th scope="row">${esc(r.plan.name)}</th>
+        <td class="text-end">${price}${rates ? `<div class="small text-muted">${rates}</div>` : ""}</td>
+      </tr>`;
+  }).join("");
+
+  host.querySelector(".calc-result").innerHTML = `${head}
+    <table class="table table-sm align-middle mt-3 mb-0"><tbody>${table}</tbody></table>`;
+}
+
+// ---------- events ----------
+function onInput(e){
+  const dim = DIMS.find(d => d.key === e.target?.dataset?.dim);
+  if (!dim) return;
+  state.need[dim.key] = clamp(e.target.value, dim);
+  renderResult();
+  writeHash();
+}
+
+async function onClick(e){
+  const btn = e.target.closest?.("[data-calc-copy]");
+  if (!btn) return;
+  const label = btn.querySelector("span");
+  try{
+    await navigator.clipboard.writeText(writeHash());
+    if (label) label.textContent = "Link copied";
+  }catch{
+    if (label) label.textContent = "Copy failed";
+  }
+  setTimeout(() => { if (label) label.textContent = "Copy quote link"; }, 2000);
+}
+
+// ---------- public ----------
+export async function mount(elementId){
+  const el = document.getElementById(elementId);
+  if (!el) return false;
+  unmount();
+  host = el;
+
+  const data = await loadPricing();
+  const fromHash = readHash() || {};
+  const supported = new Set(data.currencies.supported || []);
+
+  // A shared link carries its currency/cycle: adopt them as the saved choice
+  if (fromHash.currency && supported.has(fromHash.currency)) setSavedCurrency(fromHash.currency);
+  if (fromHash.cycle) setSavedCycle(fromHash.cycle);
+
+  const saved = (getSavedCurrency() || "").toUpperCase();
+  state = {
+    data,
+    need: Object.fromEntries(DIMS.map(d => [d.key, fromHash[d.key] ?? d.initial])),
+    currency: supported.has(saved) ? saved : data.currencies.base,
+    cycle: getSavedCycle()
+  };
+
+  renderShell();
+  renderResult();
+
+  unsubscribe = onCurrencyChange(({ currency, cycle }) => {
+    if (!state) return;
+    if (currency && supported.has(currency)) state.currency = currency;
+    state.cycle = cycle;
+    renderResult();
+    // Keep a quote link that's already in the URL in step; never add one unasked
+    if (readHash()) writeHash();
+  });
+
+  if (readHash()) host.scrollIntoView({ block: "start" });
+  return true;
+}
+
+export function unmount(){
+  if (unsubscribe){ unsubscribe(); unsubscribe = null; }
+  if (host){
+    host.removeEventListener("input", onInput);
+    host.removeEventListener("click", onClick);
+    host.innerHTML = "";
+  }
+  host = null;
+  state = null;
+}
@@ -1,4 +1,38 @@
 // wwwroot/js/pricing.js
+// Currency + billing-cycle engine for the pricing page (ES module, imported by Pricing.razor).
+// - Detects currency from ?currency=, the saved choice, timezone and language
+// - Currency list + optional conversion rates from content/pricing.json ("currencies")
+// - Intl.NumberFormat formatting (standard / compact / accounting)
+// - Monthly/annual math with discount percentages
+// - Persists the choice (bm_currency, bm_cycle; consent-gated) and syncs across tabs via 'storage';
+//   same-tab writers (page select, calculator) notify subscribers directly
+
+const CURRENCY_KEY = "bm_currency";
+const CYCLE_KEY = "bm_cycle";
+const CYCLES = ["monthly", "annual"];
+
+// Fallbacks when pricing.json has no "currencies" block
+const DEFAULT_CURRENCIES = { base: "USD", supported: ["USD", "BDT"], rates: {}, annualDiscountPct: 0 };
+
+// Timezone / region hints -> currency (only used if the currency is supported)
+const TZ_CURRENCY = {
+  "Asia/Dhaka": "BDT",
+  "Asia/Dubai": "AED", "Asia/Muscat": "OMR", "Asia/Riyadh": "SAR",
+  "Asia/Qatar": "QAR", "Asia/Kuwait": "KWD", "Asia/Bahrain": "BHD",
+  "Europe/London": "GBP", "Europe/Zurich": "CHF"
+};
+const REGION_CURRENCY = {
+  BD: "BDT", AE: "AED", OM: "OMR", SA: "SAR", QA: "QAR", KW: "KWD", BH: "BHD",
+  GB: "GBP", CH: "CHF", US: "USD",
+  AT: "EUR", BE: "EUR", DE: "EUR", ES: "EUR", FI: "EUR", FR: "EUR", GR: "EUR",
+  IE: "EUR", IT: "EUR", LU: "EUR", NL: "EUR", PT: "EUR"
+};
+
+let pricingPromise = null;
+let dotnet = null;
+let storageBound = false;
+
+// ---------- locale + storage ----------
 export function getLocaleInfo(){
   try{
     const tz   = Intl.DateTimeFormat().resolvedOptions().timeZone || "";
@@ -7,10 +41,210 @@ export function getLocaleInfo(){
   }catch{ return { tz:"", lang:"" }; }
 }
 
+// Choices are 'functional' storage: persisted only with consent (see consent.js)
+function read(key){
+  const gated = window.BioConsent?.storage;
+  return gated ? gated.get(key) : localStorage.getItem(key);
+}
+function write(key, val){
+  const gated = window.BioConsent?.storage;
+  if (gated) gated.set(key, val); else localStorage.setItem(key, val);
+}
+
 export function getSavedCurrency(){
-  try{ return localStorage.getItem("bm_currency"); }catch{ return null; }
+  try{ return read(CURRENCY_KEY); }catch{ return null; }
 }
 
 export function setSavedCurrency(val){
-  try{ localStorage.setItem("bm_currency", val); }catch{}
+  const prev = getSavedCurrency();
+  try{ write(CURRENCY_KEY, val); }catch{}
+  if (prev !== val) emitChange();
+}
+
+export function getSavedCycle(){
+  try{
+    const v = read(CYCLE_KEY);
+    return CYCLES.includes(v) ? v : "monthly";
+  }catch{ return "monthly"; }
+}
+
+export function setSavedCycle(val){
+  if (!CYCLES.includes(val)) return;
+  const prev = getSavedCycle();
+  try{ write(CYCLE_KEY, val); }catch{}
+  if (prev !== val) emitChange();
+}
+
+// ---------- data ----------
+export function loadPricing(url = "content/pricing.json"){
+  if (!pricingPromise){
+    pricingPromise = fetch(url, { cache: "no-cache" })
+      .then(r => r.ok ? r.json() : {})
+      .catch(() => ({}))
+      .then(data => {
+        if (!data || typeof data !== "object") data = {};
+        data.currencies = Object.assign({}, DEFAULT_CURRENCIES, data.currencies || {});
+        data.currencies.rates = Object.assign({}, data.currencies.rates || {});
+        data.currencies.rates[data.currencies.base] = 1;
+        return data;
+      });
+  }
+  return pricingPromise;
+}
+
+function normalizeCode(code){
+  return typeof code === "string" && /^[a-z]{3}$/i.test(code.trim()) ? code.trim().toUpperCase() : null;
+}
+
+// ---------- detection ----------
+export function detectCurrency(cfg = DEFAULT_CURRENCIES, search = location.search){
+  const supported = new Set((cfg.supported || []).map(c => c.toUpperCase()));
+  const ok = (c) => (c && supported.has(c)) ? c : null;
+
+  let fromQuery = null;
+  try{ fromQuery = normalizeCode(new URLSearchParams(search).get("currency")); }catch{}
+
+  const { tz, lang } = getLocaleInfo();
+  const region = (lang.split("-")[1] || "").toUpperCase();
+  let fromTz = TZ_CURRENCY[tz] || null;
+  if (!fromTz && tz.startsWith("Europe/")) fromTz = "EUR";
+  const fromLang = REGION_CURRENCY[region] || (lang.startsWith("bn") && !region ? "BDT" : null);
+
+  return ok(fromQuery) || ok(normalizeCode(getSavedCurrency())) || ok(fromTz) || ok(fromLang) || cfg.base;
+}
+
+// ---------- math ----------
+export function convert(amount, from, to, cfg = DEFAULT_CURRENCIES){
+  if (from === to) return amount;
+  const rates = cfg.rates || {};
+  const rFrom = from === cfg.base ? 1 : rates[from];
+  const rTo = to === cfg.base ? 1 : rates[to];
+  if (!(rFrom > 0) || !(rTo > 0)) return null;
+  return amount / rFrom * rTo;
+}
+
+// Monthly list price in `currency`: explicit price wins, else converted from base
+export function planMonthly(plan, currency, cfg = DEFAULT_CURRENCIES){
+  const price = plan?.price || {};
+  if (typeof price.custom === "string" && price.custom.trim()) return null;
+
+  const own = price[currency];
+  if (typeof own === "number" && own > 0) return own;
+
+  const base = price[cfg.base];
+  if (typeof base !== "number" || base <= 0) return null;
+  const converted = convert(base, cfg.base, currency, cfg);
+  return converted === null ? null : Math.round(converted);
+}
+
+export function cycleMath(monthly, cycle = "monthly", discountPct = 0){
+  if (cycle !== "annual"){
+    return { perMonth: monthly, total: monthly, discountPct: 0, savings: 0 };
+  }
+  const pct = Math.min(Math.max(Number(discountPct) || 0, 0), 100);
+  const full = monthly * 12;
+  const total = Math.round(full * (1 - pct / 100));
+  return { perMonth: total / 12, total, discountPct: pct, savings: full - total };
+}
+
+// ---------- formatting ----------
+export function formatMoney(amount, currency, { locale, style = "standard", decimals } = {}){
+  if (typeof amount !== "number" || !isFinite(amount)) return "";
+  const frac = decimals ?? (Number.isInteger(amount) ? 0 : 2);
+  const opts = {
+    style: "currency", currency, currencyDisplay: "narrowSymbol",
+    minimumFractionDigits: style === "compact" ? 0 : frac,
+    maximumFractionDigits: style === "compact" ? 1 : frac
+  };
+  if (style === "compact"){ opts.notation = "compact"; opts.compactDisplay = "short"; }
+  if (style === "accounting") opts.currencySign = "accounting";
+
+  try{ return new Intl.NumberFormat(locale || undefined, opts).format(amount); }
+  catch{
+    try{ delete opts.currencyDisplay; return new Intl.NumberFormat(locale || undefined, opts).format(amount); }
+    catch{ return `${currency} ${Math.round(amount).toLocaleString()}`; }
+  }
+}
+
+export function currencyLabel(code, locale){
+  try{ return new Intl.DisplayNames([locale || navigator.language || "en"], { type: "currency" }).of(code) || code; }
+  catch{ return code; }
+}
+
+// ---------- quotes (what the page renders) ----------
+export async function quotePlans(currency, cycle = "monthly", { locale } = {}){
+  const data = await loadPricing();
+  const cfg = data.currencies;
+  const cur = normalizeCode(currency) || cfg.base;
+  const cyc = CYCLES.includes(cycle) ? cycle : "monthly";
+
+  const out = {};
+  for (const plan of data.plans || []){
+    const custom = typeof plan?.price?.custom === "string" && plan.price.custom.trim() ? plan.price.custom : null;
+    const monthly = planMonthly(plan, cur, cfg);
+    if (custom || monthly === null){
+      out[plan.id] = { id: plan.id, currency: cur, cycle: cyc, custom: custom || "Price on Request" };
+      continue;
+    }
+    const m = cycleMath(monthly, cyc, plan.annualDiscountPct ?? cfg.annualDiscountPct);
+    out[plan.id] = {
+      id: plan.id, currency: cur, cycle: cyc, custom: null,
+      perMonth: m.perMonth, total: m.total, discountPct: m.discountPct, savings: m.savings,
+      text: formatMoney(m.perMonth, cur, { locale, decimals: Number.isInteger(m.perMonth) ? 0 : 2 }),
+      compactText: formatMoney(m.perMonth, cur, { locale, style: "compact" }),
+      totalText: formatMoney(m.total, cur, { locale }),
+      savingsText: m.savings > 0 ? formatMoney(m.savings, cur, { locale }) : ""
+    };
+  }
+  return out;
+}
+
+// ---------- state for Blazor ----------
+// Returns { currency, cycle, base, annualDiscountPct, currencies:[{code,label}] } and
+// starts sync: changes from other tabs (or other writers in this tab) call
+// dotNetRef.OnCurrencyChanged(currency, cycle).
+export async function initCurrency(dotNetRef){
+  const data = await loadPricing();
+  const cfg = data.currencies;
+
+  const currency = detectCurrency(cfg);
+  if (getSavedCurrency() === null) setSavedCurrency(currency);
+  dotnet = dotNetRef || null;
+  bindStorage();
+
+  return {
+    currency,
+    cycle: getSavedCycle(),
+    base: cfg.base,
+    annualDiscountPct: cfg.annualDiscountPct || 0,
+    currencies: (cfg.supported || []).map(code => ({ code, label: currencyLabel(code) }))
+  };
+}
+
+export function disposeCurrency(){ dotnet = null; }
+
+const listeners = new Set();
+
+// JS subscribers (same shape as BioTheme.onChange): returns an unsubscribe fn
+export function onCurrencyChange(cb){
+  if (typeof cb !== "function") return () => {};
+  listeners.add(cb);
+  bindStorage();
+  return () => listeners.delete(cb);
+}
+
+function emitChange(){
+  const detail = { currency: normalizeCode(getSavedCurrency()), cycle: getSavedCycle() };
+  listeners.forEach(cb => { try{ cb(detail); }catch{} });
+  if (dotnet && dotnet.invokeMethodAsync){
+    try{ dotnet.invokeMethodAsync("OnCurrencyChanged", detail.currency, detail.cycle); }catch{}
+  }
+}
+
+function bindStorage(){
+  if (storageBound) return;
+  storageBound = true;
+  window.addEventListener("storage", (e) => {
+    if (e.key === CURRENCY_KEY || e.key === CYCLE_KEY) emitChange();
+  });
 }
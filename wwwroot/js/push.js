@@ -0,0 +1,165 @@
+// Web Push subscription (VAPID) and notification permission state for Blazor.
+// The service worker side lives in service-worker-push.js.
+// - getState() -> { supported, permission: 'default'|'granted'|'denied'|'unsupported',
+//   subscribed, endpoint, needsInstall } (iOS only allows push from the installed app)
+// - subscribe({ vapidPublicKey, stub }) asks for permission (must run inside a click) and returns
+//   { ok, subscription: { endpoint, expirationTime, keys: { p256dh, auth } }, error? }
+//   (an empty vapidPublicKey fails with 'no-key' before any permission prompt)
+// - stub: no push service; simulate(payload) hands the payload to the worker as if it had been pushed
+// Calls .NET: OnPushStateChanged(state), OnPushNavigate(url, action), OnPushSubscriptionChanged(sub)
+// API: init(dotNetRef?), getState(), subscribe(opts), unsubscribe(), simulate(payload), setDotNet(ref?)
+(function (w, n) {
+  'use strict';
+
+  const STUB_KEY = 'bm.push.stub';
+
+  let dotnet = null;
+  let watching = false;
+
+  const hasPush = () => 'serviceWorker' in n && 'PushManager' in w && 'Notification' in w;
+  const isIos = () => /iP(hone|ad|od)/.test(n.userAgent) || (n.platform === 'MacIntel' && n.maxTouchPoints > 1);
+  const isStandalone = () => w.matchMedia?.('(display-mode: standalone)').matches || n.standalone === true;
+
+  function call(method, ...args) {
+    if (!dotnet || !dotnet.invokeMethodAsync) return;
+    try { dotnet.invokeMethodAsync(method, ...args); } catch { }
+  }
+
+  // VAPID keys are base64url; PushManager wants the raw bytes
+  function keyBytes(b64url) {
+    const b64 = (b64url + '==='.slice((b64url.length + 3) % 4)).replace(/-/g, '+').replace(/_/g, '/');
+    return Uint8Array.from(atob(b64), (c) => c.charCodeAt(0));
+  }
+
+  function toInfo(sub) {
+    if (!sub) return null;
+    const json = sub.toJSON ? sub.toJSON() : sub;
+    return {
+      endpoint: json.endpoint,
+      expirationTime: json.expirationTime ?? null,
+      keys: { p256dh: json.keys?.p256dh || '', auth: json.keys?.auth || '' }
+    };
+  }
+
+  function readStub() {
+    try { return JSON.parse(localStorage.getItem(STUB_KEY) || 'null'); } catch { return null; }
+  }
+
+  async function registration() {
+    if (!('serviceWorker' in n)) return null;
+    // ready never settles without a worker (e.g. first load before BioSW.register finishes)
+    return Promise.race([n.serviceWorker.ready, new Promise((r) => setTimeout(() => r(null), 5000))]);
+  }
+
+  async function current() {
+    const stub = readStub();
+    if (stub) return stub;
+    const reg = await registration();
+    if (!reg || !reg.pushManager) return null;
+    try { return toInfo(await reg.pushManager.getSubscription()); } catch { return null; }
+  }
+
+  async function getState() {
+    const supported = hasPush();
+    const sub = supported ? await current() : null;
+    return {
+      supported,
+      permission: 'Notification' in w ? Notification.permission : 'unsupported',
+      subscribed: !!sub,
+      endpoint: sub ? sub.endpoint : null,
+      needsInstall: !supported && isIos() && !isStandalone()
+    };
+  }
+
+  async function subscribe(opts) {
+    const o = opts || {};
+    if (!hasPush()) return { ok: false, error: 'unsupported' };
+    // No VAPID key, no subscription: don't spend the one-shot permission prompt on it
+    if (!o.stub && !o.vapidPublicKey) return { ok: false, error: 'no-key' };
+
+    let permission = Notification.permission;
+    if (permission === 'default') {
+      try { permission = await Notification.requestPermission(); } catch { permission = Notification.permission; }
+    }
+    if (permission !== 'granted') { notifyState(); return { ok: false, error: permission === 'denied' ? 'denied' : 'dismissed' }; }
+
+    let info;
+    if (o.stub) {
+      info = readStub() || { endpoint: `stub:local/${crypto.randomUUID()}`, expirationTime: null, keys: { p256dh: '', auth: '' } };
+      localStorage.setItem(STUB_KEY, JSON.stringify(info));
+    } else {
+      const reg = await registration();
+      if (!reg) return { ok: false, error: 'no-worker' };
+      try {
+        const existing = await reg.pushManager.getSubscription();
+        info = toInfo(existing || await reg.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: keyBytes(o.vapidPublicKey)
+        }));
+      } catch (e) {
+        return { ok: false, error: e?.name === 'NotAllowedError' ? 'denied' : (e?.message || 'subscribe-failed') };
+      }
+    }
+    notifyState();
+    return { ok: true, subscription: info };
+  }
+
+  async function unsubscribe() {
+    const stub = readStub();
+    let endpoint = stub ? stub.endpoint : null;
+    localStorage.removeItem(STUB_KEY);
+    const reg = await registration();
+    try {
+      const sub = reg && reg.pushManager ? await reg.pushManager.getSubscription() : null;
+      if (sub) { endpoint = sub.endpoint; await sub.unsubscribe(); }
+    } catch { }
+    notifyState();
+    return { ok: true, endpoint };
+  }
+
+  // Local stand-in for the push service: same notification path as a real push
+  async function simulate(payload) {
+    const reg = await registration();
+    const worker = reg && (reg.active || reg.waiting || reg.installing);
+    if (!worker || !('Notification' in w) || Notification.permission !== 'granted') return false;
+    worker.postMessage({ type: 'PUSH_STUB', payload: payload || {} });
+    return true;
+  }
+
+  async function notifyState() { call('OnPushStateChanged', await getState()); }
+
+  function onWorkerMessage(e) {
+    const msg = e.data;
+    if (!msg || typeof msg !== 'object') return;
+    if (msg.type === 'PUSH_NAVIGATE') {
+      const url = new URL(msg.url, w.location.origin);
+      if (dotnet) call('OnPushNavigate', url.pathname + url.search + url.hash, msg.action || 'open');
+      else w.location.assign(url.href);
+    } else if (msg.type === 'PUSH_SUBSCRIPTION_CHANGED') {
+      call('OnPushSubscriptionChanged', toInfo(msg.subscription));
+    }
+  }
+
+  function watch() {
+    if (watching) return;
+    watching = true;
+    if ('serviceWorker' in n) n.serviceWorker.addEventListener('message', onWorkerMessage);
+    // Permission changed from the browser's site settings
+    n.permissions?.query({ name: 'notifications' })
+      .then((status) => { status.onchange = () => notifyState(); })
+      .catch(() => { });
+  }
+
+  async function init(ref) {
+    setDotNet(ref);
+    watch();
+    return getState();
+  }
+
+  function setDotNet(ref) { dotnet = ref || null; }
+
+  // Clicks that land before Blazor has a reference still route (full navigation)
+  watch();
+
+  w.BioPush = { init, getState, subscribe, unsubscribe, simulate, setDotNet };
+})(window, navigator);
@@ -0,0 +1,247 @@
+// Real-time event stream (Server-Sent Events or WebSocket) fanned out to .NET subscribers.
+// - One connection per tab; resumes from the last event id (SSE ?lastEventId=, WS ?lastEventId=)
+// - Reconnects with jittered exponential backoff (same shape as turnstile-login.js)
+// - Pauses while offline, or after the tab has been hidden for a short grace period
+// - Wire format is the same JSON envelope on both transports: { id?, type, data }
+//   (SSE: one unnamed "message" per event, its id: line carries the event id)
+// - Events reach .NET as { id, type, data, at }; subscribers pick types ('workorder.assigned',
+//   'workorder.*' or '*') and get them through their DotNetObjectReference
+// API: connect({ url, transport: 'sse'|'ws'|'auto', tokenRef?, withCredentials? }), disconnect(),
+// subscribe(dotNetRef, types[], method = 'OnRealtimeEvent') -> id, unsubscribe(id),
+// on(type, cb) -> off(), getState(), setStateListener(dotNetRef?, method = 'OnRealtimeState')
+// tokenRef.invokeMethodAsync('GetAccessToken') is asked before every (re)connect.
+(function (w, d) {
+  'use strict';
+
+  // Backoff after failed/dropped connections
+  const backoffStart = 1000;      // starts at 1s
+  const backoffMax = 30000;       // caps at 30s
+  const backoffResetMs = 20000;   // a connection that stays up 20s resets the backoff
+  const HIDDEN_GRACE_MS = 30000;  // quick tab switches keep the stream open
+  const LAST_ID_KEY = 'bm.rt.lastEventId';
+
+  let opts = null;
+  let conn = null;               // { close() }
+  let state = 'idle';            // idle | connecting | open | waiting | paused | closed
+  let transport = null;
+  let backoffMs = backoffStart;
+  let attempts = 0;
+  let retryTimer = null;
+  let stableTimer = null;
+  let hiddenTimer = null;
+  let lastEventId = readLastId();
+
+  let online = navigator.onLine;
+  let visible = !d.hidden;
+
+  const subs = new Map();        // id -> { ref, types, method }
+  const listeners = new Map();   // type -> Set<cb>
+  let nextSub = 1;
+  let stateRef = null;
+  let stateMethod = 'OnRealtimeState';
+
+  w.addEventListener('online', () => { online = true; resume(); });
+  w.addEventListener('offline', () => { online = false; pause(); });
+  d.addEventListener('visibilitychange', () => {
+    visible = !d.hidden;
+    clearTimeout(hiddenTimer);
+    if (visible) resume();
+    else hiddenTimer = setTimeout(pause, HIDDEN_GRACE_MS);
+  });
+
+  function readLastId() {
+    try { return sessionStorage.getItem(LAST_ID_KEY) || ''; } catch { return ''; }
+  }
+
+  function rememberId(id) {
+    if (!id) return;
+    lastEventId = String(id);
+    try { sessionStorage.setItem(LAST_ID_KEY, lastEventId); } catch { }
+  }
+
+  // ---------- state ----------
+  function getState() {
+    return { state, transport, lastEventId: lastEventId || null, attempts, retryInMs: state === 'waiting' ? backoffMs : 0 };
+  }
+
+  function setState(next) {
+    if (state === next) return;
+    state = next;
+    d.dispatchEvent(new CustomEvent('biorealtimestate', { detail: getState() }));
+    if (stateRef && stateRef.invokeMethodAsync) {
+      try { stateRef.invokeMethodAsync(stateMethod, getState()); } catch { }
+    }
+  }
+
+  function setStateListener(ref, method) {
+    stateRef = ref || null;
+    if (method) stateMethod = method;
+  }
+
+  // ---------- fan-out ----------
+  function matches(types, type) {
+    return types.some((t) => t === '*' || t === type || (t.endsWith('.*') && type.startsWith(t.slice(0, -1))));
+  }
+
+  function dispatch(evt) {
+    if (evt.id) rememberId(evt.id);
+    subs.forEach((s) => {
+      if (!matches(s.types, evt.type)) return;
+      try { s.ref.invokeMethodAsync(s.method, evt); } catch { }
+    });
+    [listeners.get(evt.type), listeners.get('*')].forEach((set) => set && set.forEach((cb) => {
+      try { cb(evt); } catch { }
+    }));
+  }
+
+  function toEvent(raw, fallbackId) {
+    let msg;
+    try { msg = JSON.parse(raw); } catch { return null; }
+    if (!msg || typeof msg !== 'object' || !msg.type || msg.type === 'ping') return null;
+    return { id: msg.id != null ? String(msg.id) : (fallbackId || null), type: String(msg.type), data: msg.data ?? null, at: Date.now() };
+  }
+
+  function receive(raw, fallbackId) {
+    const evt = toEvent(raw, fallbackId);
+    if (evt) dispatch(evt);
+  }
+
+  function subscribe(ref, types, method = 'OnRealtimeEvent') {
+    const id = nextSub++;
+    subs.set(id, { ref, types: (types && types.length ? types : ['*']).map(String), method });
+    return id;
+  }
+
+  function unsubscribe(id) { subs.delete(id); }
+
+  function on(type, cb) {
+    if (typeof cb !== 'function') return () => { };
+    if (!listeners.has(type)) listeners.set(type, new Set());
+    listeners.get(type).add(cb);
+    return () => listeners.get(type)?.delete(cb);
+  }
+
+  // ---------- connection ----------
+  async function buildUrl(kind) {
+    const u = new URL(opts.url, w.location.href);
+    if (kind === 'ws') u.protocol = u.protocol === 'https:' ? 'wss:' : 'ws:';
+    if (lastEventId) u.searchParams.set('lastEventId', lastEventId);
+    // Neither EventSource nor WebSocket can send an Authorization header
+    if (opts.tokenRef) {
+      let token = null;
+      try { token = await opts.tokenRef.invokeMethodAsync('GetAccessToken'); } catch { }
+      if (token) u.searchParams.set('access_token', token);
+      else u.searchParams.delete('access_token');
+    }
+    return u.href;
+  }
+
+  function pickTransport() {
+    const t = opts.transport || 'auto';
+    if (t === 'ws' && 'WebSocket' in w) return 'ws';
+    if (t === 'sse' && 'EventSource' in w) return 'sse';
+    return 'EventSource' in w ? 'sse' : 'ws';
+  }
+
+  async function open() {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+    if (!opts || !online || !visible || conn) return;
+
+    attempts++;
+    setState('connecting');
+    transport = pickTransport();
+    const url = await buildUrl(transport);
+    if (!opts || state !== 'connecting') return; // disconnected or paused while waiting for the token
+    conn = transport === 'ws' ? openWs(url) : openSse(url);
+  }
+
+  function openSse(url) {
+    const es = new EventSource(url, { withCredentials: !!opts.withCredentials });
+    es.onopen = onOpen;
+    es.onmessage = (e) => receive(e.data, e.lastEventId);
+    // EventSource would retry on its own without backoff: take over
+    es.onerror = () => { es.close(); onDrop(); };
+
+    return { close: () => es.close() };
+  }
+
+  function openWs(url) {
+    const ws = new WebSocket(url);
+    ws.onopen = onOpen;
+    ws.onmessage = (e) => receive(e.data);
+    ws.onclose = () => onDrop();
+    return {
+      close: () => {
+        ws.onclose = null;
+        try { ws.close(1000); } catch { }
+      }
+    };
+  }
+
+  function onOpen() {
+    setState('open');
+    attempts = 0;
+    // Only a connection that stays up relaxes the backoff (flapping servers keep it high)
+    clearTimeout(stableTimer);
+    stableTimer = setTimeout(() => { backoffMs = backoffStart; }, backoffResetMs);
+  }
+
+  function onDrop() {
+    clearTimeout(stableTimer);
+    conn = null;
+    if (!opts) return setState('closed');
+    if (!online || !visible) return setState('paused');
+    scheduleRetry();
+  }
+
+  function scheduleRetry() {
+    clearTimeout(retryTimer);
+    // Jittered (half fixed, half random) so a server restart isn't hit by every tab at once
+    const delay = Math.round(backoffMs / 2 + Math.random() * backoffMs / 2);
+    setState('waiting');
+    retryTimer = setTimeout(open, delay);
+    backoffMs = Math.min(backoffMs * 2, backoffMax);
+  }
+
+  function pause() {
+    if (!opts || state === 'paused') return;
+    clearTimeout(retryTimer);
+    clearTimeout(stableTimer);
+    retryTimer = null;
+    if (conn) { conn.close(); conn = null; }
+    setState('paused');
+  }
+
+  function resume() {
+    if (!opts || !online || !visible) return;
+    if (state === 'paused' || state === 'waiting') {
+      // Coming back is a fresh start, not another failure
+      backoffMs = backoffStart;
+      open();
+    }
+  }
+
+  function connect(options) {
+    const o = options || {};
+    if (!o.url) return false;
+    disconnect();
+    opts = { url: o.url, transport: o.transport || 'auto', tokenRef: o.tokenRef || null, withCredentials: !!o.withCredentials };
+    backoffMs = backoffStart;
+    attempts = 0;
+    if (!online || !visible) setState('paused');
+    else open();
+    return true;
+  }
+
+  function disconnect() {
+    opts = null;
+    clearTimeout(retryTimer);
+    clearTimeout(stableTimer);
+    retryTimer = null;
+    if (conn) { conn.close(); conn = null; }
+    setState('closed');
+  }
+
+  w.BioRealtime = { connect, disconnect, subscribe, unsubscribe, on, getState, setStateListener };
+})(window, document);
@@ -0,0 +1,339 @@
+// Asset tag scanning (QR, Code 128, Data Matrix) from the camera or a still photo.
+// - Native BarcodeDetector when it supports every requested format, otherwise the bundled
+//   ZXing decoder (js/zxing/zxing.min.js), loaded on first use
+// - Camera viewfinder with torch / zoom controls when the video track supports them
+// - Repeated reads of the same code are ignored for `dedupeMs`
+// - .NET: dotNetRef.invokeMethodAsync('OnAssetScanned', { assetId, text, format, source })
+// API: open(hostId, dotNetRef, opts) -> { ok, error?, torch, zoom, decoder }, close(hostId),
+// scanFile(fileOrInputOrUrl, opts) -> [{ assetId, text, format, source }], setTorch(hostId, on),
+// setZoom(hostId, value), isCameraAvailable(), parseAssetId(text, pattern?),
+// loadZXing() -> Promise<ZXing> (shared with labels.js for QR encoding)
+// opts: { formats = ['qr_code','code_128','data_matrix'], dedupeMs = 2500, intervalMs = 200,
+//         pattern (regex source, group 1 = asset id), facingMode = 'environment' }
+(function () {
+  const ZXING_SRC = 'js/zxing/zxing.min.js';
+  const DEFAULT_FORMATS = ['qr_code', 'code_128', 'data_matrix'];
+  const ZX_NAMES = { qr_code: 'QR_CODE', code_128: 'CODE_128', data_matrix: 'DATA_MATRIX' };
+  const MAX_SIDE = 1280;            // ZXing cost grows with pixels: downscale big photos
+
+  const sessions = new Map();       // hostId -> camera session
+  const generations = new Map();    // hostId -> bumped by every close(): a stale open() stops its own stream
+  const detectors = new Map();      // formats key -> Promise<detector>
+
+  function options(opts) {
+    const o = opts || {};
+    const formats = (Array.isArray(o.formats) && o.formats.length ? o.formats : DEFAULT_FORMATS)
+      .map(f => String(f).toLowerCase()).filter(f => ZX_NAMES[f]);
+    return {
+      formats: formats.length ? formats : DEFAULT_FORMATS,
+      dedupeMs: o.dedupeMs >= 0 ? Number(o.dedupeMs) : 2500,
+      intervalMs: o.intervalMs > 0 ? Number(o.intervalMs) : 200,
+      pattern: o.pattern || null,
+      facingMode: o.facingMode || 'environment'
+    };
+  }
+
+  // ---------- asset ids ----------
+  // Tags carry a bare id ("AST-00123"), a prefixed one ("BM:AST-00123") or a link
+  // ("https://biomaint.com/a/AST-00123", "...?asset=AST-00123")
+  function parseAssetId(text, pattern) {
+    const raw = String(text || '').trim();
+    if (!raw) return '';
+    if (pattern) {
+      try {
+        const m = new RegExp(pattern, 'i').exec(raw);
+        if (m) return (m[1] || m[0]).trim();
+      } catch {}
+    }
+    if (/^https?:\/\//i.test(raw)) {
+      try {
+        const u = new URL(raw);
+        const q = u.searchParams.get('asset') || u.searchParams.get('assetId') || u.searchParams.get('id');
+        if (q) return q.trim();
+        const seg = u.pathname.split('/').filter(Boolean).pop();
+        if (seg) return decodeURIComponent(seg).trim();
+      } catch {}
+    }
+    return raw.replace(/^(?:bm|asset|biomaint)\s*[:#]\s*/i, '').trim();
+  }
+
+  // ---------- decoders ----------
+  async function nativeDetector(formats) {
+    if (!('BarcodeDetector' in window)) return null;
+    try {
+      const supported = await BarcodeDetector.getSupportedFormats();
+      if (!formats.every(f => supported.includes(f))) return null;
+      const d = new BarcodeDetector({ formats });
+      return {
+        name: 'native',
+        detect: async (src) => (await d.detect(src)).map(b => ({ text: b.rawValue, format: b.format }))
+      };
+    } catch { return null; }
+  }
+
+  let zxingLoad = null;
+  function loadZXing() {
+    if (window.ZXing) return Promise.resolve(window.ZXing);
+    if (zxingLoad) return zxingLoad;
+    zxingLoad = new Promise((resolve, reject) => {
+      const s = document.createElement('script');
+      s.src = ZXING_SRC;
+      s.async = true;
+      s.onload = () => window.ZXing ? resolve(window.ZXing) : reject(new Error('ZXing did not load'));
+      s.onerror = () => { zxingLoad = null; reject(new Error('Failed to load ' + ZXING_SRC)); };
+      document.head.appendChild(s);
+    });
+    return zxingLoad;
+  }
+
+  const sourceSize = (src) => ({
+    w: src.videoWidth || src.naturalWidth || src.width || 0,
+    h: src.videoHeight || src.naturalHeight || src.height || 0
+  });
+
+  async function zxingDetector(formats) {
+    const Z = await loadZXing();
+    const hints = new Map();
+    hints.set(Z.DecodeHintType.POSSIBLE_FORMATS, formats.map(f => Z.BarcodeFormat[ZX_NAMES[f]]));
+    hints.set(Z.DecodeHintType.TRY_HARDER, true);
+    const reader = new Z.MultiFormatReader();
+    reader.setHints(hints);
+    const canvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d', { willReadFrequently: true });
+
+    return {
+      name: 'zxing',
+      detect: async (src) => {
+        const { w, h } = sourceSize(src);
+        if (!w || !h) return [];
+        const scale = Math.min(1, MAX_SIDE / Math.max(w, h));
+        canvas.width = Math.round(w * scale);
+        canvas.height = Math.round(h * scale);
+        ctx.drawImage(src, 0, 0, canvas.width, canvas.height);
+        try {
+          const bitmap = new Z.BinaryBitmap(new Z.HybridBinarizer(new Z.HTMLCanvasElementLuminanceSource(canvas)));
+          const r = reader.decodeWithState(bitmap);
+          return [{ text: r.getText(), format: String(Z.BarcodeFormat[r.getBarcodeFormat()]).toLowerCase() }];
+        } catch {
+          return []; // NotFound / Checksum / Format: nothing readable in this frame
+        } finally {
+          reader.reset();
+        }
+      }
+    };
+  }
+
+  function getDetector(formats) {
+    const key = formats.slice().sort().join(',');
+    if (!detectors.has(key)) {
+      const p = (async () => (await nativeDetector(formats)) || zxingDetector(formats))();
+      p.catch(() => detectors.delete(key));
+      detectors.set(key, p);
+    }
+    return detectors.get(key);
+  }
+
+  function toResult(r, source, pattern) {
+    return { assetId: parseAssetId(r.text, pattern), text: r.text, format: r.format, source };
+  }
+
+  // ---------- still images ----------
+  async function toBlob(input) {
+    if (!input) return null;
+    if (typeof input === 'string') {
+      const res = await fetch(input);
+      if (!res.ok) throw new Error('HTTP ' + res.status);
+      return res.blob();
+    }
+    if (input instanceof Blob) return input;
+    if (input.files) return input.files[0] || null;   // <input type="file"> (or its ElementReference)
+    return null;
+  }
+
+  async function toImage(blob) {
+    if ('createImageBitmap' in window) {
+      try { return await createImageBitmap(blob); } catch {}
+    }
+    const url = URL.createObjectURL(blob);
+    try {
+      const img = new Image();
+      img.src = url;
+      await img.decode();
+      return img;
+    } finally { URL.revokeObjectURL(url); }
+  }
+
+  async function scanFile(input, opts) {
+    const o = options(opts);
+    const blob = await toBlob(input);
+    if (!blob) return [];
+    const [image, detector] = await Promise.all([toImage(blob), getDetector(o.formats)]);
+    try {
+      const seen = new Set();
+      return (await detector.detect(image))
+        .filter(r => r.text && !seen.has(r.text) && seen.add(r.text))
+        .map(r => toResult(r, 'image', o.pattern));
+    } finally {
+      image.close?.();
+    }
+  }
+
+  // ---------- camera ----------
+  function isCameraAvailable() {
+    return !!(navigator.mediaDevices?.getUserMedia && window.isSecureContext);
+  }
+
+  function buildView(host) {
+    const wrap = document.createElement('div');
+    wrap.className = 'bm-scan';
+    wrap.innerHTML = `
+      <video class="bm-scan-video" playsinline muted></video>
+      <div class="bm-scan-frame" aria-hidden="true"></div>
+      <div class="bm-scan-controls">
+        <button type="button" class="btn btn-sm btn-light" data-act="torch" aria-pressed="false" hidden>
+          <i class="bi bi-lightbulb" aria-hidden="true"></i><span class="visually-hidden">Torch</span>
+        </button>
+        <input type="range" class="form-range bm-scan-zoom" data-act="zoom" aria-label="Zoom" hidden />
+      </div>
+      <div class="bm-scan-status small" role="status" aria-live="polite"></div>`;
+    host.replaceChildren(wrap);
+    return wrap;
+  }
+
+  function cameraError(e) {
+    const name = e?.name || '';
+    if (name === 'NotAllowedError' || name === 'SecurityError')
+      return { ok: false, error: 'denied', message: 'Camera access was blocked.' };
+    if (name === 'NotFoundError' || name === 'OverconstrainedError')
+      return { ok: false, error: 'no-camera', message: 'No camera was found.' };
+    if (name === 'NotReadableError')
+      return { ok: false, error: 'busy', message: 'The camera is in use by another app.' };
+    return { ok: false, error: 'unknown', message: e?.message || String(e) };
+  }
+
+  async function open(hostId, dotNetRef, opts) {
+    close(hostId);
+    const gen = generations.get(hostId);
+    const host = document.getElementById(hostId);
+    if (!host) return { ok: false, error: 'no-host', message: 'Scanner host not found.' };
+    if (!isCameraAvailable()) return { ok: false, error: 'unsupported', message: 'Camera scanning is not supported here.' };
+
+    const o = options(opts);
+    let stream;
+    try {
+      stream = await navigator.mediaDevices.getUserMedia({
+        audio: false,
+        video: { facingMode: { ideal: o.facingMode }, width: { ideal: 1280 }, height: { ideal: 720 } }
+      });
+    } catch (e) {
+      return cameraError(e);
+    }
+    // close() or another open() ran while the permission prompt / camera start was pending
+    if (generations.get(hostId) !== gen) {
+      stream.getTracks().forEach(t => { try { t.stop(); } catch {} });
+      return { ok: false, error: 'closed', message: '' };
+    }
+
+    const view = buildView(host);
+    const video = view.querySelector('video');
+    const track = stream.getVideoTracks()[0];
+    const s = { host, view, video, stream, track, ref: dotNetRef, opts: o, timer: null, last: new Map(), torch: false, closed: false };
+    sessions.set(hostId, s);
+
+    video.srcObject = stream;
+    try { await video.play(); } catch {}
+
+    const caps = track.getCapabilities?.() || {};
+    const torchBtn = view.querySelector('[data-act="torch"]');
+    const zoomInput = view.querySelector('[data-act="zoom"]');
+    let zoom = null;
+
+    if (caps.torch) {
+      torchBtn.hidden = false;
+      torchBtn.addEventListener('click', () => setTorch(hostId, !s.torch));
+    }
+    if (caps.zoom && caps.zoom.max > caps.zoom.min) {
+      zoom = { min: caps.zoom.min, max: caps.zoom.max, step: caps.zoom.step || 0.1, value: track.getSettings?.().zoom ?? caps.zoom.min };
+      Object.assign(zoomInput, { min: zoom.min, max: zoom.max, step: zoom.step, value: zoom.value, hidden: false });
+      zoomInput.addEventListener('input', () => setZoom(hostId, Number(zoomInput.value)));
+    }
+
+    let detector;
+    try { detector = await getDetector(o.formats); }
+    catch (e) {
+      close(hostId);
+      return { ok: false, error: 'decoder', message: e?.message || 'Barcode decoder unavailable.' };
+    }
+    if (s.closed) return { ok: false, error: 'closed', message: '' };
+
+    const tick = async () => {
+      if (s.closed) return;
+      if (!document.hidden && video.readyState >= 2) {
+        try { (await detector.detect(video)).forEach(r => emit(s, r)); } catch {}
+      }
+      if (!s.closed) s.timer = setTimeout(tick, document.hidden ? 1000 : o.intervalMs);
+    };
+    tick();
+
+    return { ok: true, torch: !!caps.torch, zoom, decoder: detector.name };
+  }
+
+  function emit(s, r) {
+    if (!r.text) return;
+    const now = Date.now();
+    if (now - (s.last.get(r.text) || 0) < s.opts.dedupeMs) return;
+    s.last.set(r.text, now);
+
+    const result = toResult(r, 'camera', s.opts.pattern);
+    const status = s.view.querySelector('.bm-scan-status');
+    if (status) status.textContent = `Scanned ${result.assetId || result.text}`;
+    s.view.classList.remove('is-hit');
+    void s.view.offsetWidth; // restart the flash animation
+    s.view.classList.add('is-hit');
+    try { navigator.vibrate?.(60); } catch {}
+
+    s.host.dispatchEvent(new CustomEvent('bioscan', { detail: result, bubbles: true }));
+    try { s.ref?.invokeMethodAsync('OnAssetScanned', result).catch(() => {}); } catch {}
+  }
+
+  async function setTorch(hostId, on) {
+    const s = sessions.get(hostId);
+    if (!s) return false;
+    try {
+      await s.track.applyConstraints({ advanced: [{ torch: !!on }] });
+      s.torch = !!on;
+      const btn = s.view.querySelector('[data-act="torch"]');
+      btn?.setAttribute('aria-pressed', String(s.torch));
+      btn?.classList.toggle('active', s.torch);
+      return true;
+    } catch { return false; }
+  }
+
+  async function setZoom(hostId, value) {
+    const s = sessions.get(hostId);
+    if (!s) return false;
+    try {
+      await s.track.applyConstraints({ advanced: [{ zoom: Number(value) }] });
+      const input = s.view.querySelector('[data-act="zoom"]');
+      if (input && Number(input.value) !== Number(value)) input.value = value;
+      return true;
+    } catch { return false; }
+  }
+
+  function close(hostId) {
+    generations.set(hostId, (generations.get(hostId) || 0) + 1);
+    const s = sessions.get(hostId);
+    if (!s) return;
+    s.closed = true;
+    clearTimeout(s.timer);
+    s.stream.getTracks().forEach(t => { try { t.stop(); } catch {} });
+    s.video.srcObject = null;
+    s.view.remove();
+    sessions.delete(hostId);
+  }
+
+  // Release the camera when the page goes away
+  window.addEventListener('pagehide', () => Array.from(generations.keys()).forEach(close));
+
+  window.BioScanner = { open, close, scanFile, setTorch, setZoom, isCameraAvailable, parseAssetId, loadZXing };
+})();
@@ -0,0 +1,463 @@
+// Site search over wwwroot/content/*.json (public pages: legal, pricing FAQ, landing, FAQ, product, blog).
+// - Inverted index built in the browser; cached in IndexedDB under a SHA-256 of the content files,
+//   so it's rebuilt only when a file changes
+// - Legal cross-links ("[privacy]", "[terms#cookies]") are indexed as the linked policy's title and
+//   surface as related links on the result
+// - Matching: exact, prefix (as you type) and fuzzy (1–2 typos); titles outrank headings outrank body
+// - Results: { title, titleHtml, section, url, snippetHtml, score, related: [{ title, url }] }
+//   (snippets/titles are HTML-escaped with <mark> around hits)
+// - attach(inputId, listId): instant results dropdown with keyboard support; choosing a result
+//   navigates in-app and scrolls to the exact section (opening a collapsed FAQ answer)
+// API: init(), search(query, { limit = 8 }) -> results, attach(inputId, listId), reveal(hash),
+//      slugify(text) (section anchors; also used by toc.js)
+(function (w, d) {
+  'use strict';
+
+  const BASE = 'content/';
+  const DB_NAME = 'biomaint-search';
+  const STORE = 'index';
+  const INDEX_VERSION = 2;       // bump when the index format changes
+  const BOOST = { title: 3, section: 1.5, body: 1 };
+  const STOP = new Set(('a an and are as at be but by for from has have i if in into is it its of on or our ' +
+    'so that the their then there these this to was we what when which who will with you your').split(' '));
+
+  let ready = null;              // Promise<index>
+
+  // ---------- text ----------
+  const fold = (s) => String(s || '').normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+  function tokens(s) {
+    return fold(s).split(/[^a-z0-9]+/).filter((t) => t && !STOP.has(t));
+  }
+
+  // Same rules as LegalPolicy.razor's Slugify (section anchors)
+  const slugify = (s) => String(s || '').trim().toLowerCase()
+    .replace(/[^a-z0-9\s-]/g, '').replace(/\s+/g, '-').replace(/-{2,}/g, '-');
+
+  const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) =>
+    ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+  const stripHtml = (s) => String(s || '').replace(/<[^>]*>/g, ' ');
+
+  // ---------- sources ----------
+  // Each extractor turns one content file into docs: { title, section, body, url, links? }
+  function legalDocs(json) {
+    const policies = json?.policies || [];
+    const titles = new Map(policies.map((p) => [p.id, p.title]));
+    const links = [];
+    // "[privacy]" / "[privacy#cookies]" -> "Privacy & Cookie Policy", remembered as a related link
+    const expand = (text) => String(text || '').replace(/\[([a-z0-9-]+)(?:#([a-z0-9-]+))?\]/gi, (m, id, anchor) => {
+      const title = titles.get(id.toLowerCase());
+      if (!title) return m;
+      const url = `/legal/${id.toLowerCase()}${anchor ? '#' + anchor : ''}`;
+      if (!links.some((l) => l.url === url)) links.push({ title, url });
+      return title;
+    });
+
+    const docs = [];
+    for (const p of policies) {
+      links.length = 0;
+      docs.push({ title: p.title, section: 'Legal', body: expand(p.intro), url: `/legal/${p.id}`, links: links.splice(0) });
+      for (const s of p.sections || []) {
+        const body = expand(s.text);
+        docs.push({ title: s.heading, section: p.title, body, url: `/legal/${p.id}#${slugify(s.heading)}`, links: links.splice(0) });
+      }
+    }
+    return docs;
+  }
+
+  function pricingFaqDocs(json, all) {
+    const faqs = json?.pricingFaq?.faqs || json?.faqs || [];
+    // "{pricing}" is filled from pricing.json on the page; index the plan names and prices instead
+    const plans = (all.pricing?.plans || []).map((p) => `${p.name} ${p.price?.USD ? '$' + p.price.USD : ''}`.trim());
+    return faqs.map((f, i) => ({
+      title: f.q,
+      section: 'Pricing FAQ',
+      body: String(f.a || '').replace('{pricing}', plans.length ? `Plans: ${plans.join(', ')}.` : ''),
+      url: `/pricing#faq-h-${i}`
+    }));
+  }
+
+  function faqDocs(json) {
+    const faqs = json?.faqs || json?.faq?.faqs || (Array.isArray(json) ? json : []);
+    return faqs.map((f, i) => ({ title: f.q || f.question, section: 'FAQ', body: f.a || f.answer, url: `/faq#faq-${i}` }));
+  }
+
+  // Landing sections that have an anchor on the home page
+  const LANDING_ANCHORS = new Set(['features', 'mobile', 'solutions']);
+
+  // Generic walker: any object with a title-ish and a text-ish field becomes a doc
+  function walkDocs(json, page, sectionName) {
+    const docs = [];
+    const TITLE = ['title', 'heading', 'name', 'label', 'q'];
+    const TEXT = ['text', 'body', 'desc', 'description', 'sub', 'excerpt', 'summary', 'a', 'content'];
+    const pick = (o, keys) => keys.map((k) => o[k]).find((v) => typeof v === 'string' && v.trim());
+
+    function visit(node, anchor) {
+      if (Array.isArray(node)) return node.forEach((n) => visit(n, anchor));
+      if (!node || typeof node !== 'object') return;
+      const title = pick(node, TITLE) || (node.titleHtml && stripHtml(node.titleHtml));
+      const body = pick(node, TEXT);
+      if (title && body) {
+        const url = node.href && /^\/(?!\/)/.test(node.href) ? node.href
+          : node.slug ? `${page}/${node.slug}` : anchor ? `${page === '/' ? '' : page}/#${anchor}` : page;
+        docs.push({ title, section: sectionName, body: stripHtml(body), url });
+      }
+      for (const [k, v] of Object.entries(node)) {
+        if (typeof v === 'object') visit(v, page === '/' && LANDING_ANCHORS.has(k) ? k : anchor);
+      }
+    }
+    visit(json, null);
+    return docs;
+  }
+
+  const SOURCES = [
+    { file: 'legal', docs: legalDocs },
+    { file: 'pricing-faq', docs: pricingFaqDocs },
+    { file: 'pricing', docs: () => [] },             // only feeds {pricing} above
+    { file: 'faq', docs: faqDocs },
+    { file: 'landing', docs: (j) => walkDocs(j, '/', 'Product') },
+    { file: 'product', docs: (j) => walkDocs(j, '/product', 'Product') },
+    { file: 'blog', docs: (j) => walkDocs(j, '/blog', 'Blog') },
+    { file: 'about', docs: (j) => walkDocs(j, '/about', 'About') }
+  ];
+
+  // ---------- index ----------
+  function build(files) {
+    const docs = [];
+    for (const src of SOURCES) {
+      const json = files[src.file];
+      if (json == null) continue;                 // missing or empty file
+      try { docs.push(...src.docs(json, files)); } catch { }
+    }
+
+    const postings = {};                          // term -> [[doc, weight], ...]
+    docs.forEach((doc, i) => {
+      const weights = new Map();
+      for (const [field, boost] of Object.entries(BOOST)) {
+        for (const t of tokens(doc[field])) weights.set(t, (weights.get(t) || 0) + boost);
+      }
+      weights.forEach((wgt, t) => (postings[t] ||= []).push([i, wgt]));
+    });
+    return { version: INDEX_VERSION, docs, postings, terms: Object.keys(postings).sort() };
+  }
+
+  async function fetchFiles() {
+    const entries = await Promise.all(SOURCES.map(async (s) => {
+      try {
+        const resp = await fetch(`${BASE}${s.file}.json`, { cache: 'no-cache' });
+        return [s.file, resp.ok ? await resp.text() : ''];
+      } catch { return [s.file, '']; }
+    }));
+    return Object.fromEntries(entries);
+  }
+
+  async function hashOf(texts) {
+    const joined = Object.keys(texts).sort().map((k) => `${k}\n${texts[k]}`).join('\n\u0000\n') + INDEX_VERSION;
+    const bytes = new TextEncoder().encode(joined);
+    if (!w.crypto?.subtle) return String(bytes.length); // insecure context: size is a weak but usable key
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, '0')).join('');
+  }
+
+  // ---------- IndexedDB cache ----------
+  function openDb() {
+    return new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE, { keyPath: 'hash' });
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+  }
+
+  async function cached(hash) {
+    const db = await openDb();
+    return new Promise((resolve) => {
+      const r = db.transaction(STORE, 'readonly').objectStore(STORE).get(hash);
+      r.onsuccess = () => { db.close(); resolve(r.result ? r.result.index : null); };
+      r.onerror = () => { db.close(); resolve(null); };
+    });
+  }
+
+  async function store(hash, index) {
+    const db = await openDb();
+    return new Promise((resolve) => {
+      const tx = db.transaction(STORE, 'readwrite');
+      const s = tx.objectStore(STORE);
+      s.clear();                                  // only the current content version is worth keeping
+      s.put({ hash, index, builtAt: Date.now() });
+      tx.oncomplete = tx.onerror = () => { db.close(); resolve(); };
+    });
+  }
+
+  async function load() {
+    const texts = await fetchFiles();
+    const hash = await hashOf(texts);
+    if ('indexedDB' in w) {
+      try {
+        const hit = await cached(hash);
+        if (hit && hit.version === INDEX_VERSION) return hit;
+      } catch { }
+    }
+    const files = {};
+    for (const [name, text] of Object.entries(texts)) {
+      try { files[name] = text.trim() ? JSON.parse(text) : null; } catch { files[name] = null; }
+    }
+    const index = build(files);
+    if ('indexedDB' in w) store(hash, index).catch(() => { });
+    return index;
+  }
+
+  function init() {
+    if (!ready) ready = load().catch((e) => { ready = null; throw e; });
+    return ready;
+  }
+
+  // ---------- query ----------
+  // Damerau-Levenshtein with an early exit once the row minimum passes max
+  function distance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let rowMin = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) v = Math.min(v, prev2[j - 2] + 1);
+        cur.push(v);
+        if (v < rowMin) rowMin = v;
+      }
+      if (rowMin > max) return max + 1;
+      prev2 = prev;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  // Index terms a query token matches, with how much each match is worth
+  function expandTerm(index, q, isLast) {
+    const out = new Map();
+    if (index.postings[q]) out.set(q, 1);
+    // Prefix: always for the word being typed, otherwise only for 3+ letters
+    if (isLast || q.length >= 3) {
+      for (const t of index.terms) if (t !== q && t.startsWith(q)) out.set(t, Math.max(out.get(t) || 0, 0.7));
+    }
+    const maxEdits = q.length >= 8 ? 2 : q.length >= 4 ? 1 : 0;
+    if (maxEdits) {
+      for (const t of index.terms) {
+        if (out.has(t)) continue;
+        if (distance(q, t, maxEdits) <= maxEdits) out.set(t, 0.4);
+      }
+    }
+    return out;
+  }
+
+  function highlight(text, terms, maxLen) {
+    const src = String(text || '');
+    const re = terms.length ? new RegExp(`\\b(${terms.map((t) => t.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})[a-z0-9]*`, 'gi') : null;
+    let start = 0;
+    if (maxLen && src.length > maxLen && re) {
+      const m = re.exec(fold(src));
+      re.lastIndex = 0;
+      if (m) start = Math.max(0, m.index - Math.floor(maxLen / 3));
+      // Start on a word boundary
+      if (start > 0) start = src.indexOf(' ', start) + 1 || start;
+    }
+    let slice = maxLen ? src.slice(start, start + maxLen) : src;
+    const cut = maxLen && start + maxLen < src.length;
+    if (cut) slice = slice.replace(/\s+\S*$/, '');
+
+    // Match on the folded text, cut the original so accents and case survive
+    const folded = fold(slice);
+    let html = '';
+    let last = 0;
+    if (re && folded.length === slice.length) {
+      for (const m of folded.matchAll(re)) {
+        html += escapeHtml(slice.slice(last, m.index)) + '<mark>' + escapeHtml(slice.slice(m.index, m.index + m[0].length)) + '</mark>';
+        last = m.index + m[0].length;
+      }
+    }
+    html += escapeHtml(slice.slice(last));
+    return (start > 0 ? '… ' : '') + html + (cut ? ' …' : '');
+  }
+
+  async function search(query, opts) {
+    const limit = (opts && opts.limit) || 8;
+    const qs = tokens(query);
+    if (!qs.length) return [];
+    const index = await init();
+
+    const scores = new Map();                     // doc -> score
+    const hits = new Map();                       // doc -> query tokens matched
+    const matched = new Set();
+    qs.forEach((q, qi) => {
+      const terms = expandTerm(index, q, qi === qs.length - 1);
+      const best = new Map();                     // doc -> best score for this query token
+      terms.forEach((worth, t) => {
+        matched.add(t);
+        const list = index.postings[t];
+        const idf = Math.log(1 + index.docs.length / list.length);
+        for (const [doc, wgt] of list) best.set(doc, Math.max(best.get(doc) || 0, worth * wgt * idf));
+      });
+      best.forEach((s, doc) => {
+        scores.set(doc, (scores.get(doc) || 0) + s);
+        hits.set(doc, (hits.get(doc) || 0) + 1);
+      });
+    });
+
+    // Every word must match somewhere; fall back to any-word when that finds nothing
+    let ranked = [...scores].filter(([doc]) => hits.get(doc) === qs.length);
+    if (!ranked.length) ranked = [...scores];
+    ranked.sort((a, b) => b[1] - a[1]);
+
+    const terms = [...matched];
+    return ranked.slice(0, limit).map(([i, score]) => {
+      const doc = index.docs[i];
+      return {
+        title: doc.title,
+        titleHtml: highlight(doc.title, terms),
+        section: doc.section,
+        url: doc.url,
+        snippetHtml: highlight(doc.body, terms, 140),
+        score: Math.round(score * 100) / 100,
+        related: doc.links || []
+      };
+    });
+  }
+
+  // ---------- navigation ----------
+  function go(url) {
+    if (w.Blazor && typeof w.Blazor.navigateTo === 'function') w.Blazor.navigateTo(url);
+    else w.location.assign(url);
+    const hash = url.split('#')[1];
+    if (hash) reveal('#' + hash);
+  }
+
+  // Content pages render after their JSON loads: wait for the anchor, then scroll to it
+  function reveal(hash, timeoutMs = 4000) {
+    const id = decodeURIComponent(String(hash || '').replace(/^#/, ''));
+    if (!id) return;
+    const started = Date.now();
+    (function attempt() {
+      const el = d.getElementById(id);
+      if (!el) {
+        if (Date.now() - started < timeoutMs) setTimeout(attempt, 100);
+        return;
+      }
+      // Pricing FAQ: the anchor is the accordion header; open its answer
+      const toggle = el.querySelector('[data-bs-toggle="collapse"].collapsed');
+      if (toggle) toggle.click();
+      el.scrollIntoView({ behavior: w.matchMedia('(prefers-reduced-motion: reduce)').matches ? 'auto' : 'smooth', block: 'start' });
+      el.classList.add('bm-search-target');
+      setTimeout(() => el.classList.remove('bm-search-target'), 2000);
+    })();
+  }
+
+  // ---------- header widget ----------
+  function attach(inputId, listId) {
+    const input = d.getElementById(inputId);
+    const list = d.getElementById(listId);
+    if (!input || !list || input.dataset.bmSearch) return false;
+    input.dataset.bmSearch = '1';
+
+    let results = [];
+    let active = -1;
+    let seq = 0;
+    let timer = null;
+
+    const close = () => {
+      list.hidden = true;
+      input.setAttribute('aria-expanded', 'false');
+      input.removeAttribute('aria-activedescendant');
+      active = -1;
+    };
+
+    function setActive(i) {
+      const items = list.querySelectorAll('[role="option"]');
+      items.forEach((el, j) => el.setAttribute('aria-selected', String(j === i)));
+      active = i;
+      if (items[i]) {
+        input.setAttribute('aria-activedescendant', items[i].id);
+        items[i].scrollIntoView({ block: 'nearest' });
+      }
+    }
+
+    function render(query) {
+      if (!query.trim()) { list.innerHTML = ''; return close(); }
+      list.innerHTML = results.length
+        ? results.map((r, i) => `
+          <li role="option" id="${listId}-${i}" aria-selected="false">
+            <a class="bm-search-item" href="${escapeHtml(r.url)}" tabindex="-1">
+              <span class="bm-search-section">${escapeHtml(r.section)}</span>
+              <span class="bm-search-title">${r.titleHtml}</span>
+              <span class="bm-search-snippet">${r.snippetHtml}</span>
+            </a>${r.related.length ? `
+            <div class="bm-search-related">${escapeHtml(w.BioI18n.t('search.related', {}, 'See also'))}:
+              ${r.related.map((l) => `<a href="${escapeHtml(l.url)}" tabindex="-1">${escapeHtml(l.title)}</a>`).join(', ')}</div>` : ''}
+          </li>`).join('')
+        : `<li class="bm-search-empty" role="presentation">${escapeHtml(w.BioI18n.t('search.noResults', { query: query.trim() }, 'No results for “{query}”'))}</li>`;
+      list.setAttribute('aria-label', w.BioI18n.t('search.results', { count: results.length }, `${results.length} results`));
+      list.hidden = false;
+      input.setAttribute('aria-expanded', 'true');
+      active = -1;
+    }
+
+    async function run() {
+      const q = input.value;
+      const mine = ++seq;
+      let found = [];
+      try { found = await search(q); } catch { }
+      if (mine !== seq) return;                   // a newer keystroke already answered
+      results = found;
+      render(q);
+    }
+
+    function choose(i) {
+      const r = results[i];
+      if (!r) return;
+      close();
+      input.blur();
+      go(r.url);
+    }
+
+    input.addEventListener('focus', () => init().catch(() => { }), { once: true });
+    input.addEventListener('input', () => { clearTimeout(timer); timer = setTimeout(run, 60); });
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+        if (list.hidden || !results.length) return;
+        e.preventDefault();
+        const n = results.length;
+        setActive(e.key === 'ArrowDown' ? (active + 1) % n : (active - 1 + n) % n);
+      } else if (e.key === 'Enter') {
+        if (list.hidden || !results.length) return;
+        e.preventDefault();
+        choose(active < 0 ? 0 : active);
+      } else if (e.key === 'Escape') {
+        if (!list.hidden) { e.preventDefault(); close(); }
+        else input.value = '';
+      }
+    });
+    // Clicks: take over from Blazor's link interception so the anchor gets revealed too
+    list.addEventListener('click', (e) => {
+      const rel = e.target.closest('.bm-search-related a');
+      if (rel) {
+        e.preventDefault();
+        close();
+        input.blur();
+        go(rel.getAttribute('href'));
+        return;
+      }
+      const a = e.target.closest('a.bm-search-item');
+      if (!a) return;
+      e.preventDefault();
+      choose([...list.querySelectorAll('a.bm-search-item')].indexOf(a));
+    });
+    list.addEventListener('mousedown', (e) => e.preventDefault()); // keep focus so blur doesn't close first
+    input.addEventListener('blur', () => setTimeout(close, 100));
+    return true;
+  }
+
+  w.BioSearch = { init, search, attach, reveal, slugify };
+})(window, document);
@@ -0,0 +1,299 @@
+// Cross-tab session manager for shared clinical workstations.
+// - Persists { token, expiresAt, user } in sessionStorage (default) or IndexedDB
+// - BroadcastChannel keeps every tab in step: sign-in / token refresh / sign-out /
+//   activity; a new tab asks its siblings for the session (sessionStorage is per tab)
+// - Idle timeout with a countdown warning dialog; activity in any tab counts
+// - .NET: every registered DotNetObjectReference gets OnSessionChanged(session|null, reason)
+// API: configure(opts), init(dotNetRef?, opts?) -> session|null, get(), set(session),
+// signOut(reason?), touch(), removeDotNet(ref), isSignedIn()
+// opts: { storage: 'session' | 'indexeddb', idleMinutes = 15, warnSeconds = 60 }
+(function () {
+  const CHANNEL = 'biomaint-session';
+  const SS_KEY = 'bm_session';
+  const DB_NAME = 'biomaint-session';
+  const STORE = 'kv';
+
+  const cfg = { storage: 'session', idleMinutes: 15, warnSeconds: 60 };
+
+  const refs = new Set();       // DotNetObjectReferences (one per AuthService instance)
+  let session = null;
+  let loaded = null;            // Promise of the initial restore
+  let lastActivity = Date.now();
+  let idleTimer = null;
+  let tickTimer = null;
+  let dialog = null;
+  let activityBroadcastAt = 0;
+
+  const channel = ('BroadcastChannel' in window) ? new BroadcastChannel(CHANNEL) : null;
+
+  // ---------- persistence ----------
+  let dbPromise = null;
+  function openDb() {
+    if (dbPromise) return dbPromise;
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore(STORE);
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => { dbPromise = null; reject(req.error); };
+    });
+    return dbPromise;
+  }
+
+  async function idb(mode, fn) {
+    const db = await openDb();
+    return new Promise((resolve, reject) => {
+      const t = db.transaction(STORE, mode);
+      const req = fn(t.objectStore(STORE));
+      t.oncomplete = () => resolve(req ? req.result : undefined);
+      t.onerror = () => reject(t.error);
+    });
+  }
+
+  async function readStored() {
+    try {
+      if (cfg.storage === 'indexeddb') return (await idb('readonly', s => s.get('session'))) || null;
+      return JSON.parse(sessionStorage.getItem(SS_KEY) || 'null');
+    } catch { return null; }
+  }
+
+  async function writeStored(value) {
+    try {
+      if (cfg.storage === 'indexeddb') {
+        await idb('readwrite', s => value ? s.put(value, 'session') : s.delete('session'));
+      } else if (value) {
+        sessionStorage.setItem(SS_KEY, JSON.stringify(value));
+      } else {
+        sessionStorage.removeItem(SS_KEY);
+      }
+    } catch {}
+  }
+
+  const expired = (s) => !!(s && s.expiresAt && Date.parse(s.expiresAt) <= Date.now());
+
+  function normalize(s) {
+    if (!s || typeof s.token !== 'string' || !s.token) return null;
+    return { token: s.token, expiresAt: s.expiresAt || null, user: s.user ?? null };
+  }
+
+  // ---------- .NET bridge ----------
+  function notify(reason) {
+    refs.forEach(ref => {
+      // Disposed references reject: forget them
+      try { ref.invokeMethodAsync('OnSessionChanged', session, reason).catch(() => refs.delete(ref)); }
+      catch { refs.delete(ref); }
+    });
+    document.dispatchEvent(new CustomEvent('biosessionchange', { detail: { signedIn: !!session, reason } }));
+  }
+
+  // ---------- cross-tab ----------
+  function post(msg) { try { channel?.postMessage(msg); } catch {} }
+
+  if (channel) {
+    channel.onmessage = async (e) => {
+      const msg = e.data || {};
+      switch (msg.type) {
+        case 'hello':      // a new tab wants the current session
+          if (session) post({ type: 'sync', session, lastActivity });
+          break;
+        case 'sync':
+        case 'refresh':
+          if (!msg.session) break;
+          if (session && session.token === msg.session.token) break;
+          await adopt(normalize(msg.session), msg.type === 'sync' ? 'restored' : 'refreshed');
+          if (msg.lastActivity) lastActivity = Math.max(lastActivity, msg.lastActivity);
+          break;
+        case 'activity':
+          lastActivity = Math.max(lastActivity, msg.at || Date.now());
+          if (dialog?.open) closeWarning();
+          armIdle();
+          break;
+        case 'signout':
+          if (session) await clear(msg.reason || 'signout', false);
+          break;
+      }
+    };
+  }
+
+  async function adopt(s, reason) {
+    if (!s || expired(s)) return;
+    session = s;
+    await writeStored(s);
+    lastActivity = Date.now();
+    armIdle();
+    notify(reason);
+  }
+
+  async function clear(reason, broadcast) {
+    session = null;
+    stopIdle();
+    await writeStored(null);
+    if (broadcast) post({ type: 'signout', reason });
+    notify(reason);
+  }
+
+  // ---------- public ----------
+  function configure(opts) {
+    if (!opts) return;
+    if (opts.storage === 'indexeddb' && 'indexedDB' in window) cfg.storage = 'indexeddb';
+    else if (opts.storage === 'session') cfg.storage = 'session';
+    if (opts.idleMinutes >= 0) cfg.idleMinutes = Number(opts.idleMinutes);
+    if (opts.warnSeconds > 0) cfg.warnSeconds = Number(opts.warnSeconds);
+    if (session) armIdle();
+  }
+
+  // Restores (own storage first, then sibling tabs) and registers the .NET listener
+  async function init(dotNetRef, opts) {
+    configure(opts);
+    if (dotNetRef) refs.add(dotNetRef);
+
+    if (!loaded) {
+      loaded = (async () => {
+        const stored = normalize(await readStored());
+        if (stored && !expired(stored)) {
+          session = stored;
+          armIdle();
+          return;
+        }
+        if (stored) await writeStored(null);
+        if (!channel) return;
+        // Ask other tabs; a 'sync' reply arrives through onmessage
+        post({ type: 'hello' });
+        await new Promise(r => setTimeout(r, 150));
+      })();
+    }
+    await loaded;
+    return session;
+  }
+
+  function get() { return expired(session) ? null : session; }
+  const isSignedIn = () => !!get();
+
+  async function set(value) {
+    const s = normalize(value);
+    if (!s) return false;
+    const reason = session ? 'refreshed' : 'signed-in';
+    session = s;
+    await writeStored(s);
+    lastActivity = Date.now();
+    armIdle();
+    post({ type: 'refresh', session: s });
+    notify(reason);
+    return true;
+  }
+
+  async function signOut(reason) {
+    closeWarning();
+    await clear(reason || 'signout', true);
+  }
+
+  function removeDotNet(ref) { if (ref) refs.delete(ref); }
+
+  // ---------- idle tracking ----------
+  const idleMs = () => cfg.idleMinutes * 60000;
+  const warnMs = () => Math.min(cfg.warnSeconds * 1000, idleMs());
+
+  function touch() {
+    if (!session) return;
+    const now = Date.now();
+    if (dialog?.open) return;   // only the dialog's "Stay signed in" ends a warning
+    lastActivity = now;
+    // Share activity with other tabs at most every 15s
+    if (now - activityBroadcastAt > 15000) {
+      activityBroadcastAt = now;
+      post({ type: 'activity', at: now });
+      armIdle();
+    }
+  }
+
+  ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach(t =>
+    window.addEventListener(t, touch, { passive: true, capture: true }));
+  document.addEventListener('visibilitychange', () => { if (!document.hidden) checkIdle(); });
+
+  function stopIdle() {
+    clearTimeout(idleTimer);
+    clearInterval(tickTimer);
+    idleTimer = tickTimer = null;
+    closeWarning();
+  }
+
+  function armIdle() {
+    clearTimeout(idleTimer);
+    idleTimer = null;
+    if (!session || !idleMs()) return;
+    const untilWarn = lastActivity + idleMs() - warnMs() - Date.now();
+    idleTimer = setTimeout(checkIdle, Math.max(0, untilWarn));
+  }
+
+  function checkIdle() {
+    if (!session || !idleMs()) return;
+    if (expired(session)) { signOut('expired'); return; }
+    const left = lastActivity + idleMs() - Date.now();
+    if (left <= 0) { signOut('idle'); return; }
+    if (left <= warnMs()) showWarning();
+    else armIdle();
+  }
+
+  // ---------- warning dialog ----------
+  function buildDialog() {
+    const dlg = document.createElement('dialog');
+    dlg.className = 'bm-session-dialog';
+    dlg.setAttribute('aria-labelledby', 'bmSessionTitle');
+    dlg.setAttribute('aria-describedby', 'bmSessionText');
+    dlg.innerHTML = `
+      <h2 class="h5 mb-2" id="bmSessionTitle">Are you still there?</h2>
+      <p class="mb-3" id="bmSessionText">For your security you'll be signed out in
+        <strong class="bm-session-count" aria-live="polite"></strong>.</p>
+      <div class="d-flex gap-2 justify-content-end">
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-act="out">Sign out now</button>
+        <button type="button" class="btn btn-sm btn-primary" data-act="stay">Stay signed in</button>
+      </div>`;
+    dlg.addEventListener('click', (e) => {
+      const act = e.target.closest?.('[data-act]')?.dataset.act;
+      if (act === 'stay') stay();
+      if (act === 'out') signOut('user');
+    });
+    dlg.addEventListener('cancel', (e) => { e.preventDefault(); stay(); }); // Esc = stay
+    document.body.appendChild(dlg);
+    return dlg;
+  }
+
+  function stay() {
+    closeWarning();
+    activityBroadcastAt = 0;
+    lastActivity = Date.now();
+    touch();
+  }
+
+  function render() {
+    const left = Math.max(0, Math.ceil((lastActivity + idleMs() - Date.now()) / 1000));
+    const el = dialog?.querySelector('.bm-session-count');
+    if (el) el.textContent = `${Math.floor(left / 60)}:${String(left % 60).padStart(2, '0')}`;
+    if (left <= 0) signOut('idle');
+  }
+
+  function showWarning() {
+    if (!document.body) return;
+    dialog = dialog || buildDialog();
+    render();
+    if (!dialog.open) {
+      if (dialog.showModal) dialog.showModal(); else dialog.setAttribute('open', '');
+      dialog.querySelector('[data-act="stay"]')?.focus();
+    }
+    clearInterval(tickTimer);
+    tickTimer = setInterval(() => {
+      // Another tab saw activity: lastActivity moved forward
+      if (lastActivity + idleMs() - Date.now() > warnMs()) { closeWarning(); armIdle(); return; }
+      render();
+    }, 1000);
+  }
+
+  function closeWarning() {
+    clearInterval(tickTimer);
+    tickTimer = null;
+    if (!dialog) return;
+    if (dialog.close) { if (dialog.open) dialog.close(); }
+    else dialog.removeAttribute('open');
+  }
+
+  window.BioSession = { configure, init, get, set, signOut, touch, removeDotNet, isSignedIn };
+})();
@@ -0,0 +1,114 @@
+// Service worker registration + "update available" prompt.
+// API: register(url?), isUpdateAvailable(), applyUpdate(), checkForUpdate(),
+// getVersion(), onUpdate(cb), setDotNet(ref?)
+// Fires 'bioswupdate' on document when a new version is waiting.
+(function (w, d) {
+  'use strict';
+
+  const sw = navigator.serviceWorker;
+  const CHECK_EVERY_MS = 30 * 60 * 1000; // re-check on resume at most every 30 min
+
+  let registration = null;
+  let waiting = null;
+  let reloading = false;
+  let lastCheck = 0;
+  let dotnet = null;
+
+  function setDotNet(ref) {
+    dotnet = ref || null;
+    if (waiting) notify(); // subscriber arrived after the update was found
+  }
+
+  function notify() {
+    d.dispatchEvent(new CustomEvent('bioswupdate', { detail: { available: !!waiting } }));
+    if (dotnet && dotnet.invokeMethodAsync) {
+      try { dotnet.invokeMethodAsync('OnUpdateAvailable'); } catch { }
+    }
+  }
+
+  function setWaiting(worker) {
+    if (!worker || worker === waiting) return;
+    waiting = worker;
+    notify();
+  }
+
+  function track(reg) {
+    // Only an update if something already controls the page (not the first install)
+    if (reg.waiting && sw.controller) setWaiting(reg.waiting);
+
+    reg.addEventListener('updatefound', () => {
+      const nw = reg.installing;
+      if (!nw) return;
+      nw.addEventListener('statechange', () => {
+        if (nw.state === 'installed' && sw.controller) setWaiting(nw);
+      });
+    });
+  }
+
+  async function register(url = 'service-worker.js') {
+    if (!sw) return false;
+    try {
+      registration = await sw.register(url, { updateViaCache: 'none' });
+      lastCheck = Date.now();
+      track(registration);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async function checkForUpdate() {
+    if (!registration) return false;
+    lastCheck = Date.now();
+    try { await registration.update(); } catch { }
+    return !!waiting;
+  }
+
+  function applyUpdate() {
+    if (!waiting) return false;
+    reloading = true;
+    waiting.postMessage({ type: 'SKIP_WAITING' });
+    return true;
+  }
+
+  function getVersion(timeoutMs = 2000) {
+    return new Promise((resolve) => {
+      if (!sw || !sw.controller) return resolve('');
+      const done = (v) => { sw.removeEventListener('message', onMsg); clearTimeout(t); resolve(v); };
+      const onMsg = (e) => { if (e.data && e.data.type === 'VERSION') done(e.data.version || ''); };
+      const t = setTimeout(() => done(''), timeoutMs);
+      sw.addEventListener('message', onMsg);
+      sw.controller.postMessage({ type: 'GET_VERSION' });
+    });
+  }
+
+  function onUpdate(cb) {
+    if (typeof cb !== 'function') return () => { };
+    const handler = (e) => cb(e.detail);
+    d.addEventListener('bioswupdate', handler);
+    if (waiting) cb({ available: true });
+    return () => d.removeEventListener('bioswupdate', handler);
+  }
+
+  if (sw) {
+    // The new worker took over after applyUpdate(): reload once onto the new version
+    sw.addEventListener('controllerchange', () => {
+      if (!reloading) return;
+      reloading = false;
+      w.location.reload();
+    });
+
+    // Long-lived tabs (ward PCs) pick up deploys when they come back into view
+    d.addEventListener('visibilitychange', () => {
+      if (d.visibilityState === 'visible' && Date.now() - lastCheck > CHECK_EVERY_MS) checkForUpdate();
+    });
+
+    if (d.readyState === 'complete') register();
+    else w.addEventListener('load', () => register(), { once: true });
+  }
+
+  w.BioSW = {
+    register, isUpdateAvailable: () => !!waiting, applyUpdate, checkForUpdate,
+    getVersion, onUpdate, setDotNet
+  };
+})(window, document);
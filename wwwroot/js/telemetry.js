@@ -0,0 +1,189 @@
+// Client-side telemetry: Web Vitals + app events, batched and sent with sendBeacon.
+// - LCP, CLS, INP (PerformanceObserver; reported once when the page is hidden)
+// - Blazor boot: _framework/blazor.webassembly.js request start -> first render in #app
+// - Captcha outcomes (biocaptchastatus) and theme changes (biothemechange)
+// - Batches in memory; flushes on pagehide / hidden tab (sendBeacon) or when full
+// - Nothing is queued or sent without 'analytics' consent (BioConsent; standalone
+//   fallback key: bm_telemetry_consent), and never with Do-Not-Track / Global Privacy Control
+// API: configure({ endpoint, maxBatch }), track(name, props?), flush(), setConsent(bool),
+// getConsent(), isEnabled()
+(function () {
+  const CONSENT_KEY = 'bm_telemetry_consent';
+  const SESSION_KEY = 'bm_telemetry_sid';
+
+  const cfg = { endpoint: '/api/telemetry', maxBatch: 50 };
+  let queue = [];
+
+  // ---------- consent ----------
+  function dnt() {
+    const v = navigator.doNotTrack || window.doNotTrack || navigator.msDoNotTrack;
+    return v === '1' || v === 'yes' || navigator.globalPrivacyControl === true;
+  }
+
+  function getConsent() {
+    if (window.BioConsent) return window.BioConsent.has('analytics');
+    try { return localStorage.getItem(CONSENT_KEY) === 'granted'; } catch { return false; }
+  }
+
+  function setConsent(granted) {
+    if (window.BioConsent) window.BioConsent.update({ analytics: !!granted });
+    else { try { localStorage.setItem(CONSENT_KEY, granted ? 'granted' : 'denied'); } catch {} }
+    if (!granted) queue = [];
+  }
+
+  const isEnabled = () => getConsent() && !dnt();
+
+  // Revoking consent (here or in another tab) drops what this tab has buffered
+  window.addEventListener('storage', (e) => { if (e.key === CONSENT_KEY && !isEnabled()) queue = []; });
+  document.addEventListener('bioconsentchange', () => { if (!isEnabled()) queue = []; });
+
+  // ---------- queue ----------
+  function sessionId() {
+    try {
+      let id = sessionStorage.getItem(SESSION_KEY);
+      if (!id) {
+        id = (crypto.randomUUID && crypto.randomUUID()) || `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+        sessionStorage.setItem(SESSION_KEY, id);
+      }
+      return id;
+    } catch { return ''; }
+  }
+
+  function track(name, props) {
+    if (!name || !isEnabled()) return false;
+    queue.push({ name: String(name), props: props ?? null, t: Date.now(), path: location.pathname });
+    if (queue.length >= cfg.maxBatch) flush();
+    return true;
+  }
+
+  function flush() {
+    if (!queue.length) return true;
+    if (!isEnabled()) { queue = []; return false; }
+
+    const batch = queue;
+    queue = [];
+    const body = JSON.stringify({ session: sessionId(), sentAt: Date.now(), events: batch });
+
+    // text/plain keeps the beacon CORS-safelisted (no preflight); the body is JSON
+    try {
+      if (navigator.sendBeacon && navigator.sendBeacon(cfg.endpoint, new Blob([body], { type: 'text/plain;charset=UTF-8' }))) return true;
+    } catch {}
+    // Beacon refused (too large / unsupported): best-effort keepalive fetch
+    try {
+      fetch(cfg.endpoint, { method: 'POST', body, keepalive: true, credentials: 'omit', headers: { 'Content-Type': 'application/json' } })
+        .catch(() => {});
+      return true;
+    } catch { return false; }
+  }
+
+  function configure(opts) {
+    if (!opts) return;
+    if (typeof opts.endpoint === 'string' && opts.endpoint) cfg.endpoint = opts.endpoint;
+    if (opts.maxBatch > 0) cfg.maxBatch = Math.min(opts.maxBatch | 0, 500);
+  }
+
+  // ---------- Web Vitals ----------
+  const vitals = { lcp: null, cls: 0, inp: null };
+  let vitalsSent = false;
+
+  function observe(type, cb, extra) {
+    try {
+      if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return null;
+      const po = new PerformanceObserver((list) => cb(list.getEntries()));
+      po.observe(Object.assign({ type, buffered: true }, extra || {}));
+      return po;
+    } catch { return null; }
+  }
+
+  // LCP: last candidate before the first input / hide
+  const lcpObs = observe('largest-contentful-paint', (entries) => {
+    const last = entries[entries.length - 1];
+    if (last) vitals.lcp = Math.round(last.renderTime || last.startTime);
+  });
+  const stopLcp = () => { lcpObs?.disconnect(); };
+  ['keydown', 'pointerdown'].forEach(t => addEventListener(t, stopLcp, { once: true, capture: true }));
+
+  // CLS: largest session window (shifts < 1s apart, window <= 5s), excluding input-driven shifts
+  let sessionValue = 0, sessionStart = 0, sessionLast = 0;
+  observe('layout-shift', (entries) => {
+    for (const e of entries) {
+      if (e.hadRecentInput) continue;
+      if (sessionValue && e.startTime - sessionLast < 1000 && e.startTime - sessionStart < 5000) {
+        sessionValue += e.value;
+      } else {
+        sessionValue = e.value;
+        sessionStart = e.startTime;
+      }
+      sessionLast = e.startTime;
+      vitals.cls = Math.max(vitals.cls, sessionValue);
+    }
+  });
+
+  // INP: worst interaction latency, ignoring one outlier per 50 interactions (~p98)
+  const interactions = new Map(); // interactionId -> max duration
+  observe('event', (entries) => {
+    for (const e of entries) {
+      if (!e.interactionId) continue;
+      interactions.set(e.interactionId, Math.max(interactions.get(e.interactionId) || 0, e.duration));
+    }
+    const sorted = Array.from(interactions.values()).sort((a, b) => b - a);
+    const skip = Math.min(sorted.length - 1, Math.floor(interactions.size / 50));
+    vitals.inp = sorted.length ? Math.round(sorted[skip]) : null;
+  }, { durationThreshold: 40 });
+
+  function reportVitals() {
+    if (vitalsSent) return;
+    vitalsSent = true;
+    stopLcp();
+    track('web-vitals', {
+      lcp: vitals.lcp,
+      cls: Math.round(vitals.cls * 1000) / 1000,
+      inp: vitals.inp,
+      nav: performance.getEntriesByType?.('navigation')?.[0]?.type || null
+    });
+  }
+
+  // ---------- Blazor boot ----------
+  function watchBoot() {
+    const app = document.getElementById('app');
+    if (!app) return;
+    const mark = () => {
+      const script = (performance.getEntriesByType?.('resource') || [])
+        .find(r => /\/_framework\/blazor\.webassembly(\.[\w-]+)?\.js/.test(r.name));
+      const start = script ? script.startTime : 0;
+      const now = performance.now();
+      track('blazor-boot', { ms: Math.round(now - start), firstRenderAt: Math.round(now), scriptStart: Math.round(start) });
+    };
+    if (app.childElementCount) { mark(); return; }
+    const mo = new MutationObserver(() => {
+      if (!app.childElementCount) return;
+      mo.disconnect();
+      mark();
+    });
+    mo.observe(app, { childList: true });
+  }
+
+  if (document.readyState === 'loading') document.addEventListener('DOMContentLoaded', watchBoot, { once: true });
+  else watchBoot();
+
+  // ---------- app events ----------
+  document.addEventListener('biocaptchastatus', (e) => {
+    const d = e.detail || {};
+    if (d.status === 'token' || d.status === 'error' || d.status === 'expired') {
+      track('captcha', { elementId: d.elementId, status: d.status });
+    }
+  });
+
+  document.addEventListener('biothemechange', (e) => {
+    const d = e.detail || {};
+    track('theme', { mode: d.mode, effective: d.effective, contrast: d.effectiveContrast, palette: d.palette });
+  });
+
+  // ---------- flush triggers ----------
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState === 'hidden') { reportVitals(); flush(); }
+  });
+  addEventListener('pagehide', () => { reportVitals(); flush(); });
+
+  window.BioTelemetry = { configure, track, flush, setConsent, getConsent, isEnabled };
+})();
@@ -0,0 +1,227 @@
+// ==========================================================================
+// BioMaint theme core (shared by the pre-paint step and BioTheme)
+// - Loaded synchronously in <head> (before CSS) and paints immediately, so the
+//   first frame and the runtime (theme.js) use the same rules and colours
+// - Mode:     light | dark | auto | schedule         (key: biomaint-theme)
+// - Schedule: dark between start and end ("HH:MM", wraps midnight) in the user's
+//             timezone, light otherwise; stored in the prefs blob
+// - Contrast: auto | more | normal, auto follows prefers-contrast: more
+// - Palette:  brand accent + theme-color per organisation (key: biomaint-theme-prefs,
+//             stores the palette id and, for runtime-registered ones, its definition)
+// - Exposes: window.BioThemeCore { KEYS, PALETTES, DEFAULT_PALETTE, normalizeMode,
+//            normalizeContrast, normalizePalette, normalizeSchedule, readPrefs, writePrefs,
+//            resolve, paint, msUntilScheduleFlip }
+// Keep this file ES5-safe: it runs before anything else on old embedded browsers.
+// ==========================================================================
+
+(function (w, d) {
+  'use strict';
+
+  var KEYS = { mode: 'biomaint-theme', prefs: 'biomaint-theme-prefs' };
+  var DEFAULT_PALETTE = 'biomaint';
+  var DEFAULT_SCHEDULE = { start: '19:00', end: '07:00', timeZone: '' }; // night shift = dark
+
+  // Built-in palettes. themeColor = <meta name="theme-color"> per effective scheme.
+  var PALETTES = {
+    biomaint: {
+      label: 'BioMaint',
+      accent: '#10B981', accentHover: '#0EA371', accentContrast: '#ffffff',
+      themeColor: { light: '#10B981', dark: '#0b0f13' }
+    }
+  };
+
+  // High contrast overrides the palette's theme-color (pure surfaces)
+  var CONTRAST_THEME_COLOR = { light: '#ffffff', dark: '#000000' };
+
+  // CSS custom properties a palette drives (theme.css reads these)
+  var VARS = {
+    accent: ['--brand', '--accent'],
+    accentHover: ['--brand-600', '--accent-hover'],
+    accentContrast: ['--accent-contrast']
+  };
+
+  function mq(q) { try { return !!(w.matchMedia && w.matchMedia(q).matches); } catch (e) { return false; } }
+  // Preferences are 'functional' storage: BioConsent (consent.js) decides where they live
+  function store() { return w.BioConsent && w.BioConsent.storage; }
+  function get(k) {
+    try { return store() ? store().get(k) : w.localStorage.getItem(k); } catch (e) { return null; }
+  }
+  function put(k, v) {
+    try { if (store()) store().set(k, v); else w.localStorage.setItem(k, v); } catch (e) { }
+  }
+
+  function normalizeMode(v) { return (v === 'light' || v === 'dark' || v === 'auto' || v === 'schedule') ? v : 'auto'; }
+  function normalizeContrast(v) { return (v === 'more' || v === 'normal' || v === 'auto') ? v : 'auto'; }
+
+  var HEX = /^#(?:[0-9a-f]{3}|[0-9a-f]{6})$/i;
+  function isColor(v) {
+    if (typeof v !== 'string' || !v) return false;
+    try { if (w.CSS && w.CSS.supports) return w.CSS.supports('color', v); } catch (e) { }
+    return HEX.test(v);
+  }
+
+  // Validate a palette definition; returns a clean copy or null
+  function normalizePalette(def) {
+    if (!def || !isColor(def.accent)) return null;
+    var tc = def.themeColor;
+    if (typeof tc === 'string') tc = { light: tc, dark: tc };
+    tc = tc || {};
+    return {
+      label: typeof def.label === 'string' ? def.label : '',
+      accent: def.accent,
+      accentHover: isColor(def.accentHover) ? def.accentHover : def.accent,
+      accentContrast: isColor(def.accentContrast) ? def.accentContrast : '#ffffff',
+      themeColor: {
+        light: isColor(tc.light) ? tc.light : def.accent,
+        dark: isColor(tc.dark) ? tc.dark : PALETTES[DEFAULT_PALETTE].themeColor.dark
+      }
+    };
+  }
+
+  // ---------- schedule ----------
+  var HHMM = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+  function toMinutes(v) { var m = HHMM.exec(v || ''); return m ? (+m[1]) * 60 + (+m[2]) : null; }
+
+  function validTimeZone(tz) {
+    if (!tz) return false;
+    try { new Intl.DateTimeFormat('en-US', { timeZone: tz }); return true; } catch (e) { return false; }
+  }
+
+  // { start, end, timeZone } with "HH:MM" times; timeZone '' = the browser's own
+  function normalizeSchedule(s) {
+    s = s || {};
+    return {
+      start: toMinutes(s.start) !== null ? s.start : DEFAULT_SCHEDULE.start,
+      end: toMinutes(s.end) !== null ? s.end : DEFAULT_SCHEDULE.end,
+      timeZone: validTimeZone(s.timeZone) ? s.timeZone : ''
+    };
+  }
+
+  // Minutes since midnight (fractional) in the schedule's timezone
+  function nowMinutes(tz, now) {
+    now = now || new Date();
+    try {
+      var parts = new Intl.DateTimeFormat('en-GB', {
+        timeZone: tz || undefined, hour: '2-digit', minute: '2-digit', second: '2-digit', hourCycle: 'h23'
+      }).formatToParts(now);
+      var v = {};
+      for (var i = 0; i < parts.length; i++) v[parts[i].type] = +parts[i].value;
+      return (v.hour % 24) * 60 + v.minute + v.second / 60;
+    } catch (e) {
+      return now.getHours() * 60 + now.getMinutes() + now.getSeconds() / 60;
+    }
+  }
+
+  function scheduledScheme(s, now) {
+    var start = toMinutes(s.start), end = toMinutes(s.end), m = nowMinutes(s.timeZone, now);
+    if (start === end) return 'light';
+    var dark = start < end ? (m >= start && m < end) : (m >= start || m < end);
+    return dark ? 'dark' : 'light';
+  }
+
+  // Milliseconds until the next start/end boundary (for the flip timer)
+  function msUntilScheduleFlip(schedule, now) {
+    var s = normalizeSchedule(schedule);
+    var m = nowMinutes(s.timeZone, now);
+    var best = Infinity;
+    var marks = [toMinutes(s.start), toMinutes(s.end)];
+    for (var i = 0; i < marks.length; i++) {
+      var delta = (marks[i] - m + 1440) % 1440;
+      if (delta <= 0) delta += 1440;
+      if (delta < best) best = delta;
+    }
+    return Math.max(1000, Math.ceil(best * 60000));
+  }
+
+  // { mode, contrast, palette, paletteDef, schedule }
+  function readPrefs() {
+    var p = {};
+    try { p = JSON.parse(get(KEYS.prefs) || '{}') || {}; } catch (e) { p = {}; }
+    var palette = typeof p.palette === 'string' && p.palette ? p.palette : DEFAULT_PALETTE;
+    return {
+      mode: normalizeMode(get(KEYS.mode)),
+      contrast: normalizeContrast(p.contrast),
+      palette: palette,
+      paletteDef: PALETTES[palette] ? null : normalizePalette(p.paletteDef),
+      schedule: normalizeSchedule(p.schedule)
+    };
+  }
+
+  // Mode keeps its own key (older builds read it); the rest lives in one JSON blob
+  function writePrefs(prefs) {
+    put(KEYS.mode, normalizeMode(prefs.mode));
+    var out = { contrast: normalizeContrast(prefs.contrast), palette: prefs.palette || DEFAULT_PALETTE };
+    if (prefs.paletteDef && !PALETTES[out.palette]) out.paletteDef = prefs.paletteDef;
+    if (prefs.schedule) out.schedule = normalizeSchedule(prefs.schedule);
+    put(KEYS.prefs, JSON.stringify(out));
+  }
+
+  // prefs -> what actually gets painted
+  function resolve(prefs) {
+    var p = prefs || readPrefs();
+    var scheme = (p.mode === 'light' || p.mode === 'dark') ? p.mode
+      : p.mode === 'schedule' ? scheduledScheme(p.schedule || normalizeSchedule())
+      : (mq('(prefers-color-scheme: dark)') ? 'dark' : 'light');
+    var contrast = p.contrast === 'auto' ? (mq('(prefers-contrast: more)') ? 'more' : 'normal') : p.contrast;
+
+    var id = p.palette;
+    var pal = PALETTES[id] || p.paletteDef;
+    if (!pal) { id = DEFAULT_PALETTE; pal = PALETTES[id]; }
+
+    return {
+      mode: p.mode,
+      effective: scheme,
+      contrast: p.contrast,
+      effectiveContrast: contrast,
+      palette: id,
+      schedule: p.schedule || normalizeSchedule(),
+      colors: pal,
+      themeColor: contrast === 'more' ? CONTRAST_THEME_COLOR[scheme] : pal.themeColor[scheme]
+    };
+  }
+
+  function paint(resolved) {
+    var r = resolved || resolve();
+    var root = d.documentElement;
+
+    root.setAttribute('data-bs-theme', r.effective);
+    try { root.style.colorScheme = r.effective; } catch (e) { }
+
+    if (r.effectiveContrast === 'more') root.setAttribute('data-contrast', 'more');
+    else root.removeAttribute('data-contrast');
+
+    // Default palette = stylesheet values; others override via inline custom properties
+    root.setAttribute('data-palette', r.palette);
+    var custom = r.palette !== DEFAULT_PALETTE;
+    for (var k in VARS) {
+      if (!VARS.hasOwnProperty(k)) continue;
+      for (var i = 0; i < VARS[k].length; i++) {
+        if (custom) root.style.setProperty(VARS[k][i], r.colors[k]);
+        else root.style.removeProperty(VARS[k][i]);
+      }
+    }
+
+    var meta = d.querySelector("meta[name='theme-color']");
+    if (meta) meta.setAttribute('content', r.themeColor);
+    return r;
+  }
+
+  w.BioThemeCore = {
+    KEYS: KEYS,
+    PALETTES: PALETTES,
+    DEFAULT_PALETTE: DEFAULT_PALETTE,
+    normalizeMode: normalizeMode,
+    normalizeContrast: normalizeContrast,
+    normalizePalette: normalizePalette,
+    normalizeSchedule: normalizeSchedule,
+    readPrefs: readPrefs,
+    writePrefs: writePrefs,
+    resolve: resolve,
+    paint: paint,
+    msUntilScheduleFlip: msUntilScheduleFlip
+  };
+
+  // Pre-paint (avoid FOUC)
+  try { paint(); } catch (e) { }
+
+})(window, document);
@@ -1,95 +1,171 @@
 // ==========================================================================
 // BioMaint Theme + UI (single file)
-// - Light/Dark/Auto with persistence (key: biomaint-theme)
+// - Light/Dark/Auto/Schedule with persistence (key: biomaint-theme); schedule
+//   flips dark/light at start/end times (shift hours) with a re-armed timer
+// - High contrast (auto via prefers-contrast: more) + brand palettes registered
+//   at runtime (key: biomaint-theme-prefs); rules shared with the pre-paint
+//   through theme-core.js
 // - Updates <meta name="theme-color">
 // - Reacts to OS changes (with Safari fallback)
-// - Sets data-bs-theme on <html>
+// - Sets data-bs-theme / data-contrast / data-palette on <html>
 // - Cross-tab sync via storage
-// - UI wiring: sticky header, burger sync, testimonials arrows, reveal-on-scroll,
+// - UI wiring: sticky header, burger sync, testimonials carousel, reveal-on-scroll,
 //   smooth in-page anchors (auto-close mobile menu), optional logos marquee,
 //   theme button (icon + cycle)
-// - Exposes: window.BioTheme { init, set, getSaved, getEffective, cycle, onChange }
+// - Exposes: window.BioTheme { init, set, getSaved, getEffective, cycle, onChange,
+//              setSchedule, getSchedule, setContrast, getContrast, getEffectiveContrast,
+//              registerPalette, setPalette, getPalette, getPalettes }
 //            window.BioUI    { init }
 // ==========================================================================
 
 (function (w, d) {
   'use strict';
 
-  const KEY = 'biomaint-theme';
+  // Shared rules/colours live in theme-core.js (also used for the pre-paint in <head>)
+  const core = w.BioThemeCore;
+  if (!core) return;
+
+  const { KEYS } = core;
   let inited = false;
+  let flipTimer = null;   // schedule mode: fires at the next start/end boundary
+  const registered = {};  // runtime palettes: id -> normalized definition
 
   // ---------- helpers ----------
   const hasMM = !!w.matchMedia;
   const mqDark = hasMM ? w.matchMedia('(prefers-color-scheme: dark)') : null;
   const mqLight = hasMM ? w.matchMedia('(prefers-color-scheme: light)') : null;
-  const prefersDark = () => !!(mqDark && mqDark.matches);
+  const mqContrast = hasMM ? w.matchMedia('(prefers-contrast: more)') : null;
 
-  const safeGetItem = (k) => { try { return w.localStorage.getItem(k); } catch { return null; } };
-  const safeSetItem = (k, v) => { try { w.localStorage.setItem(k, v); } catch { } };
-  const normalize = (v) => (v === 'light' || v === 'dark' || v === 'auto') ? v : 'auto';
+  const paletteDef = (id) => core.PALETTES[id] || registered[id] || null;
 
   // ---------- core ----------
-  function resolve(mode) {
-    if (mode === 'light' || mode === 'dark') return mode;
-    return prefersDark() ? 'dark' : 'light'; // auto
+  function apply() {
+    const r = core.paint(core.resolve(core.readPrefs()));
+    armSchedule(r);
+    d.dispatchEvent(new CustomEvent('biothemechange', { detail: detailOf(r) }));
+  }
+
+  // Re-check at least every 30 min so DST shifts / clock changes / sleep self-heal
+  function armSchedule(r) {
+    clearTimeout(flipTimer);
+    flipTimer = null;
+    if (r.mode !== 'schedule') return;
+    const ms = Math.min(core.msUntilScheduleFlip(r.schedule), 30 * 60 * 1000);
+    flipTimer = setTimeout(() => {
+      flipTimer = null;
+      const next = core.resolve();
+      if (next.effective !== r.effective || next.mode !== r.mode) apply();
+      else armSchedule(next);
+    }, ms);
+  }
+
+  function detailOf(r) {
+    return {
+      mode: r.mode, effective: r.effective,
+      contrast: r.contrast, effectiveContrast: r.effectiveContrast,
+      palette: r.palette,
+      schedule: r.mode === 'schedule' ? Object.assign({}, r.schedule) : null
+    };
   }
 
-  function setAttrs(effective) {
-    d.documentElement.setAttribute('data-bs-theme', effective);
-    try { d.documentElement.style.colorScheme = effective; } catch { }
+  function update(patch) {
+    core.writePrefs(Object.assign(core.readPrefs(), patch));
+    apply();
+  }
+
+  function getSaved() { return core.readPrefs().mode; }
+  function getEffective() { return core.resolve().effective; }
+  function set(mode) { update({ mode: core.normalizeMode(mode) }); }
+
+  // schedule: { start: 'HH:MM', end: 'HH:MM', timeZone?: IANA name } -> dark from start to end
+  // (e.g. 19:00 -> 07:00). Switches to schedule mode unless { activate: false }.
+  function setSchedule(schedule, { activate = true } = {}) {
+    const patch = { schedule: core.normalizeSchedule(Object.assign({}, core.readPrefs().schedule, schedule)) };
+    if (activate) patch.mode = 'schedule';
+    update(patch);
+    return patch.schedule;
+  }
 
-    const meta = d.querySelector("meta[name='theme-color']");
-    if (meta) meta.setAttribute('content', effective === 'dark' ? '#0a0a0a' : '#10a37f');
+  function getSchedule() { return Object.assign({}, core.readPrefs().schedule); }
+
+  function getContrast() { return core.readPrefs().contrast; }
+  function getEffectiveContrast() { return core.resolve().effectiveContrast; }
+  function setContrast(c) { update({ contrast: core.normalizeContrast(c) }); }
+
+  // ---------- palettes ----------
+  // def: { label?, accent, accentHover?, accentContrast?, themeColor?: '#hex' | { light, dark } }
+  function registerPalette(id, def) {
+    if (typeof id !== 'string' || !/^[a-z0-9][a-z0-9_-]{0,39}$/i.test(id) || core.PALETTES[id]) return false;
+    const clean = core.normalizePalette(def);
+    if (!clean) return false;
+    registered[id] = clean;
+    // Re-registering the saved palette refreshes its persisted copy (used by the pre-paint)
+    if (core.readPrefs().palette === id) update({ palette: id, paletteDef: clean });
+    return true;
   }
 
-  function apply(mode) {
-    const effective = resolve(mode);
-    setAttrs(effective);
-    d.dispatchEvent(new CustomEvent('biothemechange', { detail: { mode, effective } }));
+  function setPalette(id) {
+    const def = paletteDef(id);
+    if (!def) return false;
+    update({ palette: id, paletteDef: core.PALETTES[id] ? null : def });
+    return true;
   }
 
-  function getSaved() { return normalize(safeGetItem(KEY)) || 'auto'; }
-  function getEffective() { return resolve(getSaved()); }
-  function set(mode) { const m = normalize(mode); safeSetItem(KEY, m); apply(m); }
+  function getPalette() { return core.resolve().palette; }
+
+  function getPalettes() {
+    const all = Object.assign({}, core.PALETTES, registered);
+    return Object.keys(all).map(id => ({ id, label: all[id].label || id, accent: all[id].accent }));
+  }
 
   function init() {
     if (inited) return;
     inited = true;
 
-    // initial paint (avoid FOUC)
-    apply(getSaved());
+    // initial paint (theme-core already painted; this also announces the state)
+    apply();
 
-    // react to OS changes in Auto
-    const reactIfAuto = () => { if (getSaved() === 'auto') apply('auto'); };
-    mqDark?.addEventListener?.('change', reactIfAuto);
-    mqLight?.addEventListener?.('change', reactIfAuto);
-    mqDark?.addListener?.(reactIfAuto);   // Safari fallback
-    mqLight?.addListener?.(reactIfAuto);
+    // react to OS changes while following the system
+    const reactIfAuto = () => { const p = core.readPrefs(); if (p.mode === 'auto' || p.contrast === 'auto') apply(); };
+    for (const m of [mqDark, mqLight, mqContrast]) {
+      if (!m) continue;
+      if (m.addEventListener) m.addEventListener('change', reactIfAuto);
+      else m.addListener?.(reactIfAuto);   // Safari fallback
+    }
 
-    // when tab becomes visible (mobile/app resume)
+    // when tab becomes visible (mobile/app resume): timers may have been throttled
+    // or frozen, so re-evaluate and re-arm the schedule flip
     d.addEventListener('visibilitychange', () => {
-      if (d.visibilityState === 'visible' && getSaved() === 'auto') {
-        (w.queueMicrotask || Promise.resolve().then.bind(Promise.resolve()))(() => apply('auto'));
+      if (d.visibilityState === 'visible') {
+        (w.queueMicrotask || Promise.resolve().then.bind(Promise.resolve()))(() => {
+          if (core.readPrefs().mode === 'schedule') apply();
+          else reactIfAuto();
+        });
       }
     });
 
     // cross-tab sync
-    w.addEventListener('storage', (e) => { if (e.key === KEY) apply(getSaved()); });
+    w.addEventListener('storage', (e) => { if (e.key === KEYS.mode || e.key === KEYS.prefs) apply(); });
 
     // fire init event for listeners
-    d.dispatchEvent(new CustomEvent('biothemeinit', { detail: { mode: getSaved(), effective: getEffective() } }));
+    d.dispatchEvent(new CustomEvent('biothemeinit', { detail: detailOf(core.resolve()) }));
   }
 
   function cycle() {
     const cur = getSaved();
-    const next = cur === 'light' ? 'dark' : (cur === 'dark' ? 'auto' : 'light');
+    const order = ['light', 'dark', 'auto', 'schedule'];
+    const next = order[(order.indexOf(cur) + 1) % order.length];
     set(next);
     return next;
   }
 
   // public API
   w.BioTheme = {
-    init, set, getSaved, getEffective, cycle, onChange: (cb) => {
+    init, set, getSaved, getEffective, cycle,
+    setSchedule, getSchedule,
+    setContrast, getContrast, getEffectiveContrast,
+    registerPalette, setPalette, getPalette, getPalettes,
+    onChange: (cb) => {
       if (typeof cb !== 'function') return () => { };
       const handler = (e) => cb(e.detail);
       d.addEventListener('biothemechange', handler);
@@ -111,6 +187,7 @@
   const $ = (sel, root = d) => root.querySelector(sel);
   const $$ = (sel, root = d) => Array.from(root.querySelectorAll(sel));
   const hasBootstrap = () => !!w.bootstrap;
+  const hasMM = !!w.matchMedia;
 
   // Run an initializer once a selector exists; also works for nodes added later
   function whenReady(selector, initFn, { once = true } = {}) {
@@ -165,16 +242,231 @@
     });
   }
 
+  // Testimonials carousel: prev/next, arrow keys, swipe, dots, autoplay, live announcements.
+  // Options (on #testiTrack): data-autoplay="7000" (ms, 0 = off), data-loop="true"
+  // Live carousels: track -> dispose(); Blazor drops tracks on navigation without telling us
+  const carousels = new Map();
+
+  function sweepCarousels() {
+    carousels.forEach((dispose, track) => { if (!track.isConnected) dispose(); });
+  }
+
   function initTestimonials() {
-    whenReady('#testiTrack', () => {
-      const track = $('#testiTrack');
-      const prev = $('#tPrev');
-      const next = $('#tNext');
-      if (!(track && prev && next)) return;
-      const step = () => Math.min(track.clientWidth * 0.9, 600);
-      prev.addEventListener('click', () => track.scrollBy({ left: -step(), behavior: 'smooth' }));
-      next.addEventListener('click', () => track.scrollBy({ left: step(), behavior: 'smooth' }));
-    });
+    // Blazor re-creates the section on navigation, so keep watching for new tracks
+    whenReady('#testiTrack', (track) => {
+      sweepCarousels();
+      if (track.dataset.init) return;
+      track.dataset.init = '1';
+
+      const section = track.closest('section') || d;
+      const prev = $('#tPrev', section);
+      const next = $('#tNext', section);
+      const slides = $$('.testi-card', track);
+      if (!slides.length) return;
+
+      const loop = track.dataset.loop === 'true';
+      const interval = Math.max(0, parseInt(track.dataset.autoplay || '7000', 10) || 0);
+      const mqReduce = hasMM ? w.matchMedia('(prefers-reduced-motion: reduce)') : null;
+      const reduced = () => !!(mqReduce && mqReduce.matches);
+
+      let active = 0;
+      let timer = null;
+      let userPaused = false;                   // pause button
+      const holds = new Set();                  // hover / focus / hidden
+
+      // ---------- a11y scaffolding ----------
+      const heading = $('.testi-head', section);
+      if (heading && !heading.id) heading.id = 'testiHead';
+      track.setAttribute('role', 'region');
+      track.setAttribute('aria-roledescription', 'carousel');
+      if (heading) track.setAttribute('aria-labelledby', heading.id);
+      else track.setAttribute('aria-label', 'Testimonials');
+      track.tabIndex = 0;
+
+      slides.forEach((s, i) => {
+        s.id = s.id || `testiSlide${i + 1}`;
+        s.setAttribute('role', 'group');
+        s.setAttribute('aria-roledescription', 'slide');
+        s.setAttribute('aria-label', `${i + 1} of ${slides.length}`);
+      });
+
+      const live = d.createElement('div');
+      live.className = 'visually-hidden';
+      live.setAttribute('aria-live', 'polite');
+      live.setAttribute('aria-atomic', 'true');
+
+      const dots = d.createElement('div');
+      dots.className = 'testi-dots';
+      dots.setAttribute('role', 'tablist');
+      dots.setAttribute('aria-label', 'Choose testimonial');
+      const dotBtns = slides.map((s, i) => {
+        const b = d.createElement('button');
+        b.type = 'button';
+        b.className = 'testi-dot';
+        b.setAttribute('role', 'tab');
+        b.setAttribute('aria-controls', s.id);
+        b.setAttribute('aria-label', `Testimonial ${i + 1}`);
+        b.addEventListener('click', () => { goTo(i); });
+        dots.appendChild(b);
+        return b;
+      });
+      track.after(dots, live);
+
+      // Pause/play toggle (WCAG 2.2.2) when autoplay is on
+      let playBtn = null;
+      if (interval && prev?.parentElement) {
+        playBtn = d.createElement('button');
+        playBtn.type = 'button';
+        playBtn.className = 'ctrl-btn';
+        playBtn.id = 'tPlay';
+        playBtn.innerHTML = '<i aria-hidden="true"></i>';
+        playBtn.addEventListener('click', () => {
+          userPaused = !userPaused;
+          sync();
+        });
+        prev.parentElement.insertBefore(playBtn, next || null);
+      }
+
+      // ---------- movement ----------
+      function goTo(i, { announce = true, focus = false } = {}) {
+        const n = slides.length;
+        const idx = loop ? (i + n) % n : Math.min(Math.max(i, 0), n - 1);
+        const slide = slides[idx];
+        track.scrollTo({
+          left: slide.offsetLeft - track.offsetLeft,
+          behavior: reduced() ? 'auto' : 'smooth'
+        });
+        setActive(idx, announce);
+        if (focus) dotBtns[idx].focus();
+      }
+
+      function setActive(idx, announce) {
+        if (idx === active && dotBtns[idx].getAttribute('aria-selected') === 'true') return;
+        active = idx;
+        dotBtns.forEach((b, i) => {
+          const on = i === idx;
+          b.classList.toggle('active', on);
+          b.setAttribute('aria-selected', on ? 'true' : 'false');
+          b.tabIndex = on ? 0 : -1;
+        });
+        if (!loop) {
+          if (prev) prev.disabled = idx === 0;
+          if (next) next.disabled = idx === slides.length - 1;
+        }
+        if (announce) {
+          const name = $('.testi-user strong', slides[idx])?.textContent?.trim();
+          live.textContent = `Testimonial ${idx + 1} of ${slides.length}${name ? `: ${name}` : ''}`;
+        }
+      }
+
+      prev?.addEventListener('click', () => goTo(active - 1));
+      next?.addEventListener('click', () => goTo(active + 1));
+
+      // Keyboard: on the track and the dot list
+      const onKey = (e) => {
+        const fromDots = dots.contains(e.target);
+        let to = null;
+        if (e.key === 'ArrowLeft') to = active - 1;
+        else if (e.key === 'ArrowRight') to = active + 1;
+        else if (e.key === 'Home') to = 0;
+        else if (e.key === 'End') to = slides.length - 1;
+        if (to === null) return;
+        e.preventDefault();
+        goTo(to, { focus: fromDots });
+      };
+      track.addEventListener('keydown', onKey);
+      dots.addEventListener('keydown', onKey);
+
+      // Swipe (touch/pen; horizontal only, vertical page scroll stays native)
+      let sx = 0, sy = 0, swiping = false;
+      track.addEventListener('pointerdown', (e) => {
+        if (e.pointerType === 'mouse') return;
+        swiping = true; sx = e.clientX; sy = e.clientY;
+      }, { passive: true });
+      track.addEventListener('pointerup', (e) => {
+        if (!swiping) return;
+        swiping = false;
+        const dx = e.clientX - sx, dy = e.clientY - sy;
+        if (Math.abs(dx) > 40 && Math.abs(dx) > Math.abs(dy)) goTo(active + (dx < 0 ? 1 : -1));
+      }, { passive: true });
+      track.addEventListener('pointercancel', () => { swiping = false; }, { passive: true });
+      track.style.touchAction = 'pan-y';
+
+      // Snap-aware tracking: the left-most mostly-visible slide is the active one
+      // (covers trackpad/scrollbar scrolling that bypasses goTo)
+      let io = null;
+      try {
+        const ratios = new Map();
+        io = new IntersectionObserver((entries) => {
+          for (const e of entries) ratios.set(e.target, e.intersectionRatio);
+          const idx = slides.findIndex(s => (ratios.get(s) || 0) >= 0.6);
+          if (idx >= 0 && idx !== active) setActive(idx, false);
+        }, { root: track, threshold: [0, 0.6, 1] });
+        slides.forEach(s => io.observe(s));
+      } catch { }
+
+      // ---------- autoplay ----------
+      function playing() {
+        return !!interval && !userPaused && !reduced() && holds.size === 0;
+      }
+
+      function sync() {
+        clearInterval(timer);
+        timer = null;
+        const on = playing();
+        if (on) {
+          timer = setInterval(() => {
+            if (!track.isConnected) { dispose(); return; }
+            // Autoplay rewinds at the end even without looping
+            goTo(active + 1 < slides.length ? active + 1 : 0, { announce: false });
+          }, interval);
+        }
+        // Rotating content should not spam screen readers
+        live.setAttribute('aria-live', on ? 'off' : 'polite');
+        if (playBtn) {
+          const paused = userPaused || reduced();
+          playBtn.firstElementChild.className = paused ? 'bi bi-play-fill' : 'bi bi-pause-fill';
+          playBtn.setAttribute('aria-label', paused ? 'Start automatic slide show' : 'Stop automatic slide show');
+          playBtn.disabled = reduced();
+        }
+      }
+
+      const hold = (why, on) => { on ? holds.add(why) : holds.delete(why); sync(); };
+      const wrap = track.closest('.testi-wrap') || track;
+      wrap.addEventListener('mouseenter', () => hold('hover', true));
+      wrap.addEventListener('mouseleave', () => hold('hover', false));
+      section.addEventListener('focusin', () => hold('focus', true));
+      section.addEventListener('focusout', (e) => {
+        if (!section.contains(e.relatedTarget)) hold('focus', false);
+      });
+
+      // Document / media-query listeners outlive the section: kept so dispose() can remove them
+      const onVisibility = () => {
+        if (!track.isConnected) { dispose(); return; }
+        hold('hidden', d.hidden);
+      };
+      const onReduce = () => {
+        if (!track.isConnected) { dispose(); return; }
+        sync();
+      };
+      d.addEventListener('visibilitychange', onVisibility);
+      if (mqReduce?.addEventListener) mqReduce.addEventListener('change', onReduce);
+      else mqReduce?.addListener?.(onReduce); // Safari < 14
+
+      function dispose() {
+        clearInterval(timer);
+        timer = null;
+        io?.disconnect();
+        d.removeEventListener('visibilitychange', onVisibility);
+        if (mqReduce?.removeEventListener) mqReduce.removeEventListener('change', onReduce);
+        else mqReduce?.removeListener?.(onReduce);
+        carousels.delete(track);
+      }
+      carousels.set(track, dispose);
+
+      setActive(0, false);
+      sync();
+    }, { once: false });
   }
 
   // Reveal-on-scroll that keeps watching for future .reveal nodes
@@ -218,6 +510,7 @@
       if (!target) return;
 
       e.preventDefault();
+      // Lands below the sticky header via scroll-padding-top (--bm-header-h, measured by toc.js)
       target.scrollIntoView({ behavior: 'smooth', block: 'start' });
 
       const menu = $('#navbarNav');
@@ -225,7 +518,8 @@
         const collapse = bootstrap.Collapse.getOrCreateInstance(menu);
         collapse.hide();
       }
-      if (history.pushState) history.pushState(null, '', id);
+      // Path-relative: a bare '#id' would resolve against <base href="/">
+      if (history.pushState) history.pushState(null, '', `${location.pathname}${location.search}${id}`);
     });
   }
 
@@ -252,12 +546,21 @@
       const curIcon = root.querySelector('#themeCurIcon');
       const curLabel = root.querySelector('#themeCurLabel');
       const items = menu ? Array.from(menu.querySelectorAll('[data-mode]')) : [];
+      const contrastItem = menu ? menu.querySelector('[data-contrast-toggle]') : null;
+      const scheduleHint = menu ? menu.querySelector('[data-schedule-hint]') : null;
 
       // Icon mapping by SELECTED MODE (not effective)
       const ICON_BY_MODE = {
         light: 'bi bi-sun',
         dark: 'bi bi-moon-stars',
-        auto: 'bi bi-circle-half'
+        auto: 'bi bi-circle-half',
+        schedule: 'bi bi-clock-history'
+      };
+      const LABEL_BY_MODE = { light: 'Light', dark: 'Dark', auto: 'Auto', schedule: 'Schedule' };
+      // Translated through BioI18n (theme.* in content/ui.json) when it is loaded
+      const label = (mode) => {
+        const en = LABEL_BY_MODE[mode] || LABEL_BY_MODE.auto;
+        return window.BioI18n ? window.BioI18n.t(`theme.${mode}`, null, en) : en;
       };
 
       const render = () => {
@@ -266,10 +569,15 @@
 
         // Button face reflects the chosen MODE
         if (curIcon) curIcon.className = `${ICON_BY_MODE[mode]} me-2`;
-        if (curLabel) curLabel.textContent = (mode === 'auto') ? 'Auto' : (mode === 'dark' ? 'Dark' : 'Light');
+        if (curLabel) curLabel.textContent = label(mode);
 
         menuBtn.dataset.mode = mode;
-        menuBtn.title = `Theme: ${mode} (effective ${eff})`;
+        const sched = window.BioTheme?.getSchedule?.();
+        const hours = sched ? `${sched.start}–${sched.end}` : '';
+        menuBtn.title = mode === 'schedule'
+          ? window.BioI18n.t('theme.titleSchedule', { hours, effective: label(eff) }, 'Theme: dark {hours} (effective {effective})')
+          : window.BioI18n.t('theme.title', { mode: label(mode), effective: label(eff) }, 'Theme: {mode} (effective {effective})');
+        if (scheduleHint) scheduleHint.textContent = hours;
         menuBtn.setAttribute('aria-label', menuBtn.title);
 
         // Highlight active item
@@ -278,17 +586,29 @@
           el.classList.toggle('active', active);
           el.setAttribute('aria-checked', active ? 'true' : 'false');
         }
+
+        // High contrast reflects the effective state (OS preference included)
+        if (contrastItem) {
+          const more = (window.BioTheme?.getEffectiveContrast?.() || 'normal') === 'more';
+          contrastItem.classList.toggle('active', more);
+          contrastItem.setAttribute('aria-checked', more ? 'true' : 'false');
+        }
       };
 
       if (menu) {
         menu.addEventListener('click', (e) => {
-          const btn = e.target.closest('[data-mode]');
+          const btn = e.target.closest('[data-mode], [data-contrast-toggle]');
           if (!btn) return;
           e.preventDefault();
           e.stopPropagation();
 
-          const m = btn.getAttribute('data-mode');
-          if (m) window.BioTheme?.set?.(m);           // persists + dispatches event
+          if (btn.hasAttribute('data-contrast-toggle')) {
+            const more = window.BioTheme?.getEffectiveContrast?.() === 'more';
+            window.BioTheme?.setContrast?.(more ? 'normal' : 'more');
+          } else {
+            const m = btn.getAttribute('data-mode');
+            if (m) window.BioTheme?.set?.(m);         // persists + dispatches event
+          }
           if (window.bootstrap) {
             const dd = bootstrap.Dropdown.getOrCreateInstance(menuBtn);
             dd.hide();
@@ -298,6 +618,7 @@
 
       document.addEventListener('biothemeinit', render);
       document.addEventListener('biothemechange', render);
+      document.addEventListener('biolocalechange', render);
       render();
     }, { once: false });
   }
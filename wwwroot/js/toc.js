@@ -0,0 +1,329 @@
+// ==========================================================================
+// BioMaint table of contents + scrollspy + deep links (legal and other long-form pages)
+// - Markup: <div data-toc="#tocNav" [data-toc-headings="h2"]> holds the headings; the TOC list
+//   is rendered into the (empty) element the selector names. Blazor renders these late and
+//   swaps content on navigation, so containers are picked up / rebuilt by a MutationObserver
+// - Headings without an id get one (BioSearch.slugify, de-duplicated)
+// - Scrollspy: IntersectionObserver below the sticky header marks the current section
+//   (.active + aria-current) in the TOC
+// - Offsets: the sticky header's height is measured into --bm-header-h on <html>, which
+//   drives scroll-padding-top, so every in-page jump (ours, theme.js, search reveal, the
+//   browser's own) lands below the header
+// - Each heading gets a "copy link" button (clipboard, falls back to a prompt)
+// - Deep links: /legal/privacy#data-collection is scrolled to once the section exists, and
+//   held there while late content above it settles (until the reader scrolls themselves)
+// API: window.BioToc { scan(), scrollTo(idOrElement, { smooth, focus, push }), headerHeight() }
+// ==========================================================================
+
+(function (w, d) {
+  'use strict';
+
+  const HEADER = 'header, .bm-header, .navbar.sticky-top';
+  const SETTLE_MS = 1500;        // keep a deep-linked section in place while content loads above it
+  const WAIT_MS = 10000;         // give up on a hash whose section never renders
+
+  const instances = new Map();   // container -> { nav, headings, io, activeId }
+  let headerH = 0;
+  let pending = null;            // { id, until } deep link waiting for its section
+  let settle = null;             // { el, until } section being held in place
+  let lastHref = '';
+
+  const reduceMotion = () => !!w.matchMedia && w.matchMedia('(prefers-reduced-motion: reduce)').matches;
+
+  const escapeHtml = (s) => String(s).replace(/[&<>"']/g, (c) =>
+    ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+
+  const hashId = (hash) => {
+    try { return decodeURIComponent(String(hash || '').replace(/^#/, '')); } catch { return ''; }
+  };
+
+  // Heading text without our copy button
+  function labelOf(h) {
+    let text = '';
+    h.childNodes.forEach((n) => {
+      if (n.nodeType === 1 && n.classList.contains('bm-toc-copy')) return;
+      text += n.textContent;
+    });
+    return text.replace(/\s+/g, ' ').trim();
+  }
+
+  // ---------- header offset ----------
+  function measureHeader() {
+    const el = d.querySelector(HEADER);
+    const pos = el ? getComputedStyle(el).position : '';
+    const h = el && (pos === 'sticky' || pos === 'fixed') ? Math.round(el.getBoundingClientRect().height) : 0;
+    if (h === headerH) return;
+    headerH = h;
+    d.documentElement.style.setProperty('--bm-header-h', `${h}px`);
+    // The spy's band starts under the header: rebuild observers with the new margin
+    instances.forEach((inst) => observe(inst));
+  }
+
+  function watchHeader() {
+    let observed = null;
+    const ro = 'ResizeObserver' in w ? new ResizeObserver(measureHeader) : null;
+    const bind = () => {
+      const el = d.querySelector(HEADER);
+      if (el === observed) return;
+      if (ro && observed) ro.unobserve(observed);
+      observed = el;
+      if (ro && el) ro.observe(el);
+      measureHeader();
+    };
+    bind();
+    w.addEventListener('resize', measureHeader, { passive: true });
+    return bind;
+  }
+
+  // ---------- scrolling ----------
+  function scrollTo(target, { smooth = true, focus = false, push = false } = {}) {
+    const el = typeof target === 'string' ? d.getElementById(hashId(target)) : target;
+    if (!el) return false;
+    const top = el.getBoundingClientRect().top + w.scrollY - headerH - 12;
+    w.scrollTo({ top: Math.max(0, top), behavior: smooth && !reduceMotion() ? 'smooth' : 'auto' });
+    if (focus) {
+      if (!el.hasAttribute('tabindex')) el.setAttribute('tabindex', '-1');
+      el.focus({ preventScroll: true });
+    }
+    // Path-relative: a bare '#id' would resolve against <base href="/">
+    if (push && el.id) history.pushState(history.state, '', `${location.pathname}${location.search}#${encodeURIComponent(el.id)}`);
+    return true;
+  }
+
+  // A deep link waits for Blazor to render its section, then is held in place briefly
+  function checkPending() {
+    if (!pending) return;
+    const el = d.getElementById(pending.id);
+    if (!el) {
+      if (Date.now() > pending.until) pending = null;
+      return;
+    }
+    pending = null;
+    scrollTo(el, { smooth: false });
+    settle = { el, until: Date.now() + SETTLE_MS };
+  }
+
+  function holdSettled() {
+    if (!settle) return;
+    if (Date.now() > settle.until || !settle.el.isConnected) { settle = null; return; }
+    scrollTo(settle.el, { smooth: false });
+  }
+
+  function releaseSettle() { settle = null; pending = null; }
+
+  function onLocation() {
+    if (location.href === lastHref) return;
+    lastHref = location.href;
+    const id = hashId(location.hash);
+    pending = id ? { id, until: Date.now() + WAIT_MS } : null;
+    checkPending();
+  }
+
+  // ---------- copy link ----------
+  async function copyLink(h, btn) {
+    const url = `${location.origin}${location.pathname}${location.search}#${encodeURIComponent(h.id)}`;
+    let ok = false;
+    try {
+      await navigator.clipboard.writeText(url);
+      ok = true;
+    } catch {
+      w.prompt(w.BioI18n.t('toc.copy', { title: labelOf(h) }, 'Copy link to “{title}”'), url);
+    }
+    if (!ok) return;
+    const icon = btn.querySelector('.bi');
+    btn.classList.add('copied');
+    icon?.classList.replace('bi-link-45deg', 'bi-check2');
+    btn.setAttribute('aria-label', w.BioI18n.t('toc.copied', {}, 'Link copied'));
+    clearTimeout(btn._bmTimer);
+    btn._bmTimer = setTimeout(() => {
+      btn.classList.remove('copied');
+      icon?.classList.replace('bi-check2', 'bi-link-45deg');
+      btn.setAttribute('aria-label', w.BioI18n.t('toc.copy', { title: labelOf(h) }, 'Copy link to “{title}”'));
+    }, 2000);
+  }
+
+  function ensureCopyButton(h) {
+    let btn = h.querySelector(':scope > .bm-toc-copy');
+    if (!btn) {
+      btn = d.createElement('button');
+      btn.type = 'button';
+      btn.className = 'bm-toc-copy';
+      btn.innerHTML = '<i class="bi bi-link-45deg" aria-hidden="true"></i>';
+      btn.addEventListener('click', (e) => {
+        e.preventDefault();
+        copyLink(h, btn);
+      });
+      h.appendChild(btn);
+    }
+    if (!btn.classList.contains('copied')) btn.setAttribute('aria-label', w.BioI18n.t('toc.copy', { title: labelOf(h) }, 'Copy link to “{title}”'));
+  }
+
+  // ---------- TOC + scrollspy ----------
+  function collect(container) {
+    const selector = container.getAttribute('data-toc-headings') || 'h2';
+    const used = new Set();
+    const headings = [];
+    container.querySelectorAll(selector).forEach((h) => {
+      const label = labelOf(h);
+      if (!label) return;
+      let id = h.id;
+      if (!id || used.has(id)) {
+        const base = w.BioSearch.slugify(label) || 'section';
+        id = base;
+        for (let i = 2; used.has(id) || (d.getElementById(id) && d.getElementById(id) !== h); i++) id = `${base}-${i}`;
+        h.id = id;
+      }
+      used.add(id);
+      headings.push(h);
+    });
+    return headings;
+  }
+
+  function render(inst) {
+    const { nav, headings } = inst;
+    if (!nav) return;
+    nav.hidden = headings.length < 2;
+    if (!nav.getAttribute('aria-label')) nav.setAttribute('aria-label', w.BioI18n.t('toc.title', {}, 'On this page'));
+    const title = `<p class="bm-toc-title" data-i18n="toc.title">${escapeHtml(w.BioI18n.t('toc.title', {}, 'On this page'))}</p>`;
+    const items = headings.map((h) => {
+      const href = `${location.pathname}${location.search}#${encodeURIComponent(h.id)}`;
+      return `<li><a class="bm-toc-link" href="${escapeHtml(href)}" data-toc-id="${escapeHtml(h.id)}">${escapeHtml(labelOf(h))}</a></li>`;
+    });
+    nav.innerHTML = `${title}<ol class="bm-toc-list">${items.join('')}</ol>`;
+    inst.activeId = null;
+    spy(inst);
+  }
+
+  // Current section: the last heading that has reached the band under the header
+  function spy(inst) {
+    if (!inst.nav || !inst.headings.length) return;
+    const line = headerH + 24;
+    let current = inst.headings[0];
+    for (const h of inst.headings) {
+      if (h.getBoundingClientRect().top <= line) current = h;
+      else break;
+    }
+    // Scrolled to the very bottom: the last short section can never reach the line
+    if (w.innerHeight + w.scrollY >= d.documentElement.scrollHeight - 2) current = inst.headings[inst.headings.length - 1];
+    if (current.id === inst.activeId) return;
+    inst.activeId = current.id;
+    inst.nav.querySelectorAll('.bm-toc-link').forEach((a) => {
+      const on = a.getAttribute('data-toc-id') === current.id;
+      a.classList.toggle('active', on);
+      if (on) a.setAttribute('aria-current', 'location');
+      else a.removeAttribute('aria-current');
+    });
+  }
+
+  function observe(inst) {
+    inst.io?.disconnect();
+    inst.io = null;
+    if (!('IntersectionObserver' in w) || !inst.headings.length) return;
+    // Fires whenever a heading crosses the top 40% of the viewport below the header
+    inst.io = new IntersectionObserver(() => spy(inst), { rootMargin: `-${headerH}px 0px -60% 0px`, threshold: [0, 1] });
+    inst.headings.forEach((h) => inst.io.observe(h));
+  }
+
+  function onNavClick(e) {
+    const a = e.target.closest?.('a.bm-toc-link');
+    if (!a || e.button !== 0 || e.metaKey || e.ctrlKey || e.shiftKey || e.altKey) return;
+    // Handled here so Blazor's router and theme.js's anchor handler leave it alone
+    e.preventDefault();
+    e.stopPropagation();
+    releaseSettle();
+    if (scrollTo(a.getAttribute('data-toc-id'), { focus: true, push: true })) lastHref = location.href;
+  }
+
+  function sync(container) {
+    let inst = instances.get(container);
+    const navSel = container.getAttribute('data-toc');
+    const nav = navSel ? d.querySelector(navSel) : null;
+    const headings = collect(container);
+
+    if (!inst) {
+      inst = { nav: null, headings: [], io: null, activeId: null };
+      instances.set(container, inst);
+    }
+    if (nav !== inst.nav) {
+      inst.nav?.removeEventListener('click', onNavClick);
+      nav?.addEventListener('click', onNavClick);
+      inst.nav = nav;
+      inst.rendered = null;
+    }
+
+    headings.forEach(ensureCopyButton);
+
+    // Rebuild only when the section list (ids + labels) actually changed
+    const sig = headings.map((h) => `${h.id}\u0001${labelOf(h)}`).join('\u0002') + `\u0003${location.pathname}`;
+    const changed = sig !== inst.rendered || headings.some((h, i) => h !== inst.headings[i]);
+    inst.headings = headings;
+    if (!changed) return;
+    inst.rendered = sig;
+    render(inst);
+    observe(inst);
+  }
+
+  function scan() {
+    instances.forEach((inst, container) => {
+      if (container.isConnected) return;
+      inst.io?.disconnect();
+      inst.nav?.removeEventListener('click', onNavClick);
+      instances.delete(container);
+    });
+    d.querySelectorAll('[data-toc]').forEach(sync);
+  }
+
+  // ---------- boot ----------
+  function init() {
+    const bindHeader = watchHeader();
+    let queued = false;
+    const tick = () => {
+      queued = false;
+      bindHeader();
+      scan();
+      onLocation();
+      checkPending();
+      holdSettled();
+    };
+
+    // Blazor renders, re-renders and navigates without page loads: batch DOM changes per frame
+    new MutationObserver((muts) => {
+      // Our own TOC/button writes don't need another pass
+      if (muts.every(ours)) return;
+      if (queued) return;
+      queued = true;
+      requestAnimationFrame(tick);
+    }).observe(d.body, { childList: true, subtree: true, characterData: true });
+
+    w.addEventListener('scroll', () => instances.forEach(spy), { passive: true });
+    w.addEventListener('hashchange', onLocation);
+    w.addEventListener('popstate', () => requestAnimationFrame(onLocation));
+    ['wheel', 'touchstart', 'keydown', 'pointerdown'].forEach((t) =>
+      w.addEventListener(t, releaseSettle, { passive: true, capture: true }));
+
+    // Fonts/images shifting layout above the deep-linked section
+    if (d.fonts?.ready) d.fonts.ready.then(holdSettled);
+    w.addEventListener('load', holdSettled);
+
+    // Labels follow the UI language
+    d.addEventListener('biolocalechange', () => instances.forEach((inst) => {
+      inst.headings.forEach(ensureCopyButton);
+      inst.nav?.removeAttribute('aria-label');
+      render(inst);
+    }));
+
+    tick();
+  }
+
+  function ours(m) {
+    for (const inst of instances.values()) if (inst.nav && inst.nav.contains(m.target)) return true;
+    if (m.target.closest?.('.bm-toc-copy')) return true;
+    return m.removedNodes.length === 0 && m.addedNodes.length > 0 &&
+      [...m.addedNodes].every((n) => n.classList?.contains('bm-toc-copy'));
+  }
+
+  w.BioToc = { scan, scrollTo, headerHeight: () => headerH };
+
+  if (d.readyState === 'loading') d.addEventListener('DOMContentLoaded', init, { once: true });
+  else init();
+})(window, document);
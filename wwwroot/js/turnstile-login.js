@@ -1,65 +1,105 @@
-// Robust Turnstile wrapper with cooldown, visibility & offline guards.
-// API: init(siteKey, elementId, dotNetRef?), getResponse(), getOrWaitToken(ms),
-// reset(), destroy(), setDotNet(ref?)
+// Robust captcha wrapper with cooldown, visibility & offline guards.
+// Provider-agnostic: Turnstile (default), hCaptcha or the local stub, via
+// BioCaptchaProviders (captcha-providers.js); the vendor script is loaded on demand.
+// Manages several widgets at once (Login, Signup, ForgotPassword, Contact...),
+// keyed by host element id; each has its own backoff, callbacks and token waiters.
+// API: init(siteKey, elementId, dotNetRef?, options?), getResponse(elementId?),
+// getOrWaitToken(elementId?, ms?), reset(elementId?), destroy(elementId?),
+// setDotNet(ref?, elementId?)
+// options: { provider = 'turnstile', action, cData, stub, statusMethod = 'OnCaptchaStatus' }
+// elementId may be omitted when only one widget exists (legacy single-widget calls).
 (function () {
-  let widgetId = null;
-  let rendering = false;
-  let dotnet = null;
-
   // Backoff after errors to avoid blink loops
-  let backoffMs = 3000;           // starts at 3s
+  const backoffStart = 3000;      // starts at 3s
   const backoffMax = 30000;       // caps at 30s
   const backoffResetMs = 20000;   // if no errors for 20s, shrink backoff
 
-  let lastErrorAt = 0;
+  const widgets = new Map();      // elementId -> widget state
+
   let online  = navigator.onLine;
   let visible = !document.hidden;
 
-  // A single pending reset timer (avoid multiple concurrent resets)
-  let pendingResetTimer = null;
-
-  // Visibility / connectivity
-  window.addEventListener('online',  () => { online = true;  tryResume(); });
-  window.addEventListener('offline', () => { online = false; cancelPendingReset(); });
+  // Visibility / connectivity (applies to every widget)
+  window.addEventListener('online',  () => { online = true;  widgets.forEach(tryResume); });
+  window.addEventListener('offline', () => { online = false; widgets.forEach(cancelPendingReset); });
   document.addEventListener('visibilitychange', () => {
     visible = !document.hidden;
-    if (visible) tryResume(); else cancelPendingReset();
+    widgets.forEach(visible ? tryResume : cancelPendingReset);
   });
 
-  function setDotNet(ref) { dotnet = ref || null; }
-  function notify(evt) {
-    if (dotnet && dotnet.invokeMethodAsync) {
-      try { dotnet.invokeMethodAsync('OnCaptchaStatus', evt); } catch {}
-    }
+  function create(elementId) {
+    return {
+      elementId,
+      siteKey: '',
+      provider: null,
+      widgetId: null,
+      rendering: false,
+      dotnet: null,
+      options: {},
+      token: '',
+      waiters: [],           // pending getOrWaitToken resolvers
+      observer: null,
+      backoffMs: backoffStart,
+      lastErrorAt: 0,
+      pendingResetTimer: null, // a single pending reset timer per widget
+      shrinkTimer: null
+    };
   }
 
-  function waitForTurnstile(maxMs = 8000) {
-    return new Promise((resolve, reject) => {
-      if (window.turnstile) return resolve();
-      let elapsed = 0;
-      const iv = setInterval(() => {
-        if (window.turnstile) { clearInterval(iv); resolve(); }
-        elapsed += 50;
-        if (elapsed >= maxMs) { clearInterval(iv); reject(new Error("Turnstile API not loaded")); }
-      }, 50);
-    });
+  // Resolve a widget by id; with no id, fall back to the only (or most recent) one
+  function lookup(elementId) {
+    if (elementId) return widgets.get(elementId) || null;
+    let last = null;
+    widgets.forEach(w => { last = w; });
+    return last;
+  }
+
+  function setDotNet(ref, elementId) {
+    const w = lookup(elementId);
+    if (w) w.dotnet = ref || null;
+  }
+
+  function notify(w, evt) {
+    document.dispatchEvent(new CustomEvent('biocaptchastatus', { detail: { elementId: w.elementId, status: evt } }));
+    if (w.dotnet && w.dotnet.invokeMethodAsync) {
+      try { w.dotnet.invokeMethodAsync(w.options.statusMethod || 'OnCaptchaStatus', evt); } catch {}
+    }
   }
 
-  function getResponse() {
-    if (!window.turnstile || widgetId === null) return "";
-    try { return turnstile.getResponse(widgetId) || ""; } catch { return ""; }
+  // ---------- tokens ----------
+  function getResponse(elementId) {
+    const w = lookup(elementId);
+    if (!w || !w.provider || w.widgetId === null) return "";
+    try { return w.provider.getResponse(w.widgetId) || w.token || ""; } catch { return w.token || ""; }
   }
 
-  async function getOrWaitToken(timeoutMs = 7000) {
-    const start = Date.now();
-    let tok = getResponse();
-    if (tok) return tok;
-    while (Date.now() - start < timeoutMs) {
-      await new Promise(r => setTimeout(r, 150));
-      tok = getResponse();
-      if (tok) return tok;
+  function settleWaiters(w, tok) {
+    const waiters = w.waiters;
+    w.waiters = [];
+    for (const waiter of waiters) {
+      clearTimeout(waiter.timer);
+      waiter.resolve(tok);
     }
-    return "";
+  }
+
+  // getOrWaitToken(elementId?, timeoutMs?) — legacy getOrWaitToken(timeoutMs) still works
+  function getOrWaitToken(elementId, timeoutMs = 7000) {
+    if (typeof elementId === 'number') { timeoutMs = elementId; elementId = undefined; }
+    const w = lookup(elementId);
+    if (!w) return Promise.resolve("");
+
+    const tok = getResponse(w.elementId);
+    if (tok) return Promise.resolve(tok);
+
+    // Resolved by the provider callback, or "" on timeout
+    return new Promise(resolve => {
+      const waiter = { resolve, timer: null };
+      waiter.timer = setTimeout(() => {
+        w.waiters = w.waiters.filter(x => x !== waiter);
+        resolve("");
+      }, timeoutMs);
+      w.waiters.push(waiter);
+    });
   }
 
   // Only render when host element is actually laid out
@@ -78,127 +118,156 @@
     }
   }
 
-  async function renderInto(el, siteKey) {
+  async function renderInto(w, el) {
     await whenVisible(el);
+    if (!widgets.has(w.elementId)) return; // destroyed while waiting
     ensureMinHeight(el);
 
-    const base = { sitekey: siteKey, theme: 'auto', appearance: 'always' };
+    const base = { sitekey: w.siteKey, theme: 'auto' };
+    if (w.options.action) base.action = w.options.action;
+    if (w.options.cData) base.cData = w.options.cData;
+    if (w.options.stub) base.stub = w.options.stub;
+
     const handlers = {
-      callback: () => { shrinkBackoff(); cancelPendingReset(); notify('token'); },
-      'expired-callback': () => notify('expired'),
-      'error-callback': onError
+      callback: (tok) => {
+        w.token = tok || "";
+        shrinkBackoff(w); cancelPendingReset(w);
+        settleWaiters(w, w.token);
+        notify(w, 'token');
+      },
+      'expired-callback': () => { w.token = ""; notify(w, 'expired'); },
+      'error-callback': () => onError(w)
     };
 
-    try {
-      widgetId = turnstile.render(el, Object.assign({}, base, handlers, {
-        size: 'flexible',
-        retry: 'never' // we handle retries/backoff ourselves
-      }));
-      el.classList.add('cf-flex');
-    } catch {
-      widgetId = turnstile.render(el, Object.assign({}, base, handlers, {
-        size: 'normal',
-        retry: 'never'
-      }));
-      el.classList.remove('cf-flex');
-    }
-    notify('rendered');
+    // Adapters disable vendor auto-retry; we handle retries/backoff ourselves
+    w.widgetId = w.provider.render(el, Object.assign({}, base, handlers));
+    notify(w, 'rendered');
   }
 
-  async function init(siteKey, elementId, dotNetRef) {
-    if (rendering) return;
-    rendering = true;
-    try {
-      setDotNet(dotNetRef);
+  async function init(siteKey, elementId, dotNetRef, options) {
+    const existing = widgets.get(elementId);
+    if (existing && existing.rendering) return;
 
-      const el = document.getElementById(elementId);
-      if (!el) return;
+    const el = document.getElementById(elementId);
+    if (!el) return;
 
-      if (!online) return; // wait for connectivity
-      await waitForTurnstile();
+    // Re-init (route back, etc.): drop the previous instance for this host only
+    if (existing) removeWidget(existing);
+
+    const w = create(elementId);
+    w.siteKey = siteKey;
+    w.dotnet = dotNetRef || null;
+    w.options = Object.assign({}, options || {});
+    w.provider = window.BioCaptchaProviders?.get(w.options.provider) || null;
+    widgets.set(elementId, w);
 
-      // Remove existing (route back, etc.)
-      if (widgetId !== null) {
-        try { turnstile.remove(widgetId); } catch {}
-        widgetId = null;
+    if (!w.provider) { notify(w, 'error'); return; }
+
+    w.rendering = true;
+    try {
+      if (!online) return; // wait for connectivity
+      try {
+        await w.provider.load();
+      } catch {
+        notify(w, 'error');
+        return;
       }
+      if (widgets.get(elementId) !== w) return;
 
       // If not in viewport yet, render once it is (prevents 300031)
       if ('IntersectionObserver' in window) {
-        const obs = new IntersectionObserver((entries) => {
+        w.observer = new IntersectionObserver((entries) => {
           const e = entries[0];
           if (e && e.isIntersecting) {
-            obs.disconnect();
-            renderInto(el, siteKey);
+            w.observer.disconnect();
+            w.observer = null;
+            renderInto(w, el);
           }
         }, { root: null, threshold: 0 });
-        obs.observe(el);
+        w.observer.observe(el);
       } else {
-        await renderInto(el, siteKey);
+        await renderInto(w, el);
       }
     } finally {
-      rendering = false;
+      w.rendering = false;
     }
   }
 
-  function scheduleReset() {
-    cancelPendingReset();
-    pendingResetTimer = setTimeout(() => {
-      pendingResetTimer = null;
-      if (!online || !visible || widgetId === null || !window.turnstile) return;
-      try { turnstile.reset(widgetId); notify('reset'); } catch {}
-    }, backoffMs);
+  // ---------- backoff ----------
+  function scheduleReset(w) {
+    cancelPendingReset(w);
+    w.pendingResetTimer = setTimeout(() => {
+      w.pendingResetTimer = null;
+      if (!online || !visible || w.widgetId === null || !w.provider) return;
+      try { w.provider.reset(w.widgetId); w.token = ""; notify(w, 'reset'); } catch {}
+    }, w.backoffMs);
   }
 
-  function cancelPendingReset() {
-    if (pendingResetTimer !== null) {
-      clearTimeout(pendingResetTimer);
-      pendingResetTimer = null;
+  function cancelPendingReset(w) {
+    if (w.pendingResetTimer !== null) {
+      clearTimeout(w.pendingResetTimer);
+      w.pendingResetTimer = null;
     }
   }
 
-  function tryResume() {
+  function tryResume(w) {
     // If we had recent errors and the page became visible/online again,
     // schedule a gentle reset using the current backoff.
-    if (Date.now() - lastErrorAt < backoffResetMs && widgetId !== null) {
-      scheduleReset();
+    if (Date.now() - w.lastErrorAt < backoffResetMs && w.widgetId !== null) {
+      scheduleReset(w);
     }
   }
 
-  function onError() {
-    notify('error');
-    lastErrorAt = Date.now();
+  function onError(w) {
+    w.token = "";
+    notify(w, 'error');
+    w.lastErrorAt = Date.now();
 
     // Exponential backoff (up to backoffMax)
-    scheduleReset();
-    backoffMs = Math.min(backoffMs * 2, backoffMax);
+    scheduleReset(w);
+    w.backoffMs = Math.min(w.backoffMs * 2, backoffMax);
 
     // If errors stop for a while, shrink backoff automatically
-    setTimeout(() => {
-      if (Date.now() - lastErrorAt >= backoffResetMs) backoffMs = 3000;
+    clearTimeout(w.shrinkTimer);
+    w.shrinkTimer = setTimeout(() => {
+      if (Date.now() - w.lastErrorAt >= backoffResetMs) w.backoffMs = backoffStart;
     }, backoffResetMs + 200);
   }
 
-  function shrinkBackoff() {
+  function shrinkBackoff(w) {
     // Successful callback: relax backoff
-    backoffMs = 3000;
+    w.backoffMs = backoffStart;
   }
 
-  function reset() {
-    cancelPendingReset();
-    if (widgetId !== null && window.turnstile) {
-      try { turnstile.reset(widgetId); } catch {}
+  // ---------- lifecycle ----------
+  function reset(elementId) {
+    const w = lookup(elementId);
+    if (!w) return;
+    cancelPendingReset(w);
+    w.token = "";
+    if (w.widgetId !== null && w.provider) {
+      try { w.provider.reset(w.widgetId); } catch {}
     }
-    notify('reset');
+    notify(w, 'reset');
   }
 
-  function destroy() {
-    cancelPendingReset();
-    if (widgetId !== null && window.turnstile) {
-      try { turnstile.remove(widgetId); } catch {}
+  function removeWidget(w) {
+    cancelPendingReset(w);
+    clearTimeout(w.shrinkTimer);
+    if (w.observer) { w.observer.disconnect(); w.observer = null; }
+    if (w.widgetId !== null && w.provider) {
+      try { w.provider.remove(w.widgetId); } catch {}
     }
-    widgetId = null;
-    notify('destroy');
+    w.widgetId = null;
+    settleWaiters(w, "");
+    widgets.delete(w.elementId);
+  }
+
+  function destroy(elementId) {
+    const w = lookup(elementId);
+    if (!w) return;
+    removeWidget(w);
+    notify(w, 'destroy');
   }
 
   window.BioMaintLogin = { init, getResponse, getOrWaitToken, reset, destroy, setDotNet };
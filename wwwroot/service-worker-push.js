@@ -0,0 +1,106 @@
+// Push notifications for both service workers (importScripts'd by service-worker.js and
+// service-worker.published.js).
+// - 'push': payload JSON { kind: 'assignment'|'pm-due'|..., title, body, url?, workOrderId?,
+//   assetId?, priority?, tag? } -> notification with actions
+// - 'notificationclick': focuses an open app tab and routes it in-app (PUSH_NAVIGATE message),
+//   otherwise opens a new window on the route
+// - { type: 'PUSH_STUB', payload } message: same path as a real push (local stand-in, BioPush.simulate)
+// - 'pushsubscriptionchange': resubscribes and tells open tabs so they re-register with the API
+const PUSH_ICON = '/icon-192.png';
+const APP_ROOT = '/app/';
+
+function workOrderUrl(data) {
+  if (data.url) return data.url;
+  if (data.assetId) return `/app/work-orders?assetId=${encodeURIComponent(data.assetId)}`;
+  return '/app/work-orders';
+}
+
+function notificationFor(data) {
+  const kind = data.kind || 'info';
+  const title = data.title
+    || (kind === 'assignment' ? 'New work order assigned' : kind === 'pm-due' ? 'Preventive maintenance due' : 'BioMaint');
+
+  const actions = [];
+  if (kind === 'assignment' && data.workOrderId) actions.push({ action: 'accept', title: 'Accept' });
+  if (data.workOrderId || data.assetId || data.url) actions.push({ action: 'open', title: 'Open work order' });
+
+  const urgent = data.priority === 'Critical' || data.priority === 'High';
+  return {
+    title,
+    options: {
+      body: data.body || '',
+      icon: data.icon || PUSH_ICON,
+      badge: PUSH_ICON,
+      // One notification per work order: a reassignment replaces the earlier one
+      tag: data.tag || (data.workOrderId ? `wo-${data.workOrderId}` : `${kind}-${Date.now()}`),
+      renotify: !!(data.tag || data.workOrderId),
+      requireInteraction: urgent,
+      timestamp: data.timestamp ? Date.parse(data.timestamp) || Date.now() : Date.now(),
+      actions: actions.slice(0, (self.Notification && Notification.maxActions) || 2),
+      data: { ...data, kind, openUrl: workOrderUrl(data) }
+    }
+  };
+}
+
+function showPush(data) {
+  const n = notificationFor(data || {});
+  return self.registration.showNotification(n.title, n.options);
+}
+
+function readPayload(event) {
+  if (!event.data) return {};
+  try { return event.data.json(); }
+  catch { return { body: event.data.text() }; }
+}
+
+self.addEventListener('push', (event) => event.waitUntil(showPush(readPayload(event))));
+
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'PUSH_STUB') event.waitUntil(showPush(event.data.payload));
+});
+
+// ---------- clicks ----------
+self.addEventListener('notificationclick', (event) => {
+  const data = event.notification.data || {};
+  event.notification.close();
+
+  let url = data.openUrl || APP_ROOT;
+  // Accepting needs the signed-in tab (the token never reaches the worker): the notifications page
+  // shows the work order and accepts it on the user's click
+  if (event.action === 'accept' && data.workOrderId) {
+    url = `/app/notifications?accept=${encodeURIComponent(data.workOrderId)}`;
+  }
+  event.waitUntil(focusOrOpen(new URL(url, self.location.origin).href, event.action || 'open', data));
+});
+
+async function focusOrOpen(url, action, data) {
+  const all = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  const origin = self.location.origin;
+  const tabs = all.filter((c) => c.url.startsWith(origin));
+  // Prefer a tab already inside the app, then the most recently focused one
+  const tab = tabs.find((c) => new URL(c.url).pathname.startsWith(APP_ROOT)) || tabs[0];
+
+  if (tab) {
+    const focused = await tab.focus().catch(() => tab);
+    (focused || tab).postMessage({ type: 'PUSH_NAVIGATE', url, action, kind: data.kind, workOrderId: data.workOrderId || null });
+    return;
+  }
+  await self.clients.openWindow(url);
+}
+
+// ---------- subscription rotation ----------
+self.addEventListener('pushsubscriptionchange', (event) => {
+  event.waitUntil((async () => {
+    let sub = event.newSubscription;
+    if (!sub && event.oldSubscription) {
+      try {
+        sub = await self.registration.pushManager.subscribe({
+          userVisibleOnly: true,
+          applicationServerKey: event.oldSubscription.options.applicationServerKey
+        });
+      } catch { sub = null; }
+    }
+    const all = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    all.forEach((c) => c.postMessage({ type: 'PUSH_SUBSCRIPTION_CHANGED', subscription: sub ? sub.toJSON() : null }));
+  })());
+});
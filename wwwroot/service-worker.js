@@ -0,0 +1,12 @@
+// BioMaint service worker (development).
+// Intentionally does not cache, so local edits show up on reload.
+// The published build swaps in service-worker.published.js (see WebApp.csproj).
+// Push notifications: service-worker-push.js (shared with the published worker).
+self.importScripts('./service-worker-push.js');
+
+self.addEventListener('install', () => { });
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()));
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') self.skipWaiting();
+});
+self.addEventListener('fetch', () => { });
@@ -0,0 +1,134 @@
+// BioMaint service worker (published build).
+// - Precaches the Blazor boot resources, css, js and content JSON listed in
+//   service-worker-assets.js (generated on publish; its hash versions the caches)
+// - _framework/* and other shell files: cache-first
+// - content/*.json and content/{locale}/*.json: stale-while-revalidate
+// - Navigations: network (with timeout) -> cached index.html -> offline.html
+// - New versions wait until the page sends { type: 'SKIP_WAITING' } (BioSW.applyUpdate)
+// - Push notifications: service-worker-push.js
+self.importScripts('./service-worker-assets.js', './service-worker-push.js');
+
+const VERSION = self.assetsManifest.version;
+const CACHE_PREFIX = 'biomaint-';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${VERSION}`;
+const CONTENT_CACHE = `${CACHE_PREFIX}content-${VERSION}`;
+const NAV_TIMEOUT_MS = 4000;
+
+// Paths are relative to the SW scope (same as assetsManifest urls)
+// English bundles sit in content/, translations in content/{locale}/ (BioI18n)
+const CONTENT = /^content\/(?:[^/]+\/)?[^/]+\.json$/;
+
+const PRECACHE_INCLUDE = [
+  /^_framework\//,
+  /^css\//,
+  /^js\//,
+  CONTENT,
+  /^assets\//,
+  /^index\.html$/,
+  /^offline\.html$/,
+  /^manifest\.json$/,
+  /^appsettings\.json$/
+];
+const PRECACHE_EXCLUDE = [/\.(br|gz)$/, /\.map$/, /^service-worker\.js$/];
+
+const isContent = (path) => CONTENT.test(path);
+
+function scopePath(url) {
+  const base = new URL(self.registration.scope).pathname;
+  return url.pathname.startsWith(base) ? url.pathname.slice(base.length) : url.pathname;
+}
+
+// ---------- lifecycle ----------
+self.addEventListener('install', (event) => event.waitUntil(precache()));
+self.addEventListener('activate', (event) => event.waitUntil(cleanup()));
+
+self.addEventListener('message', (event) => {
+  const type = event.data && event.data.type;
+  if (type === 'SKIP_WAITING') self.skipWaiting();
+  if (type === 'GET_VERSION' && event.source) event.source.postMessage({ type: 'VERSION', version: VERSION });
+});
+
+async function precache() {
+  const assets = self.assetsManifest.assets.filter((a) =>
+    PRECACHE_INCLUDE.some((p) => p.test(a.url)) && !PRECACHE_EXCLUDE.some((p) => p.test(a.url)));
+
+  const shell = await caches.open(SHELL_CACHE);
+  const content = await caches.open(CONTENT_CACHE);
+
+  await Promise.all(assets.map((a) => {
+    const req = new Request(a.url, { integrity: a.hash, cache: 'no-cache' });
+    return (isContent(a.url) ? content : shell).add(req);
+  }));
+}
+
+async function cleanup() {
+  const keep = new Set([SHELL_CACHE, CONTENT_CACHE]);
+  const keys = await caches.keys();
+  await Promise.all(keys
+    .filter((k) => k.startsWith(CACHE_PREFIX) && !keep.has(k))
+    .map((k) => caches.delete(k)));
+  await self.clients.claim();
+}
+
+// ---------- fetch ----------
+self.addEventListener('fetch', (event) => {
+  const req = event.request;
+  if (req.method !== 'GET') return;
+
+  const url = new URL(req.url);
+  if (url.origin !== self.location.origin) return; // CDN, Turnstile, API: untouched
+
+  const path = scopePath(url);
+
+  if (req.mode === 'navigate' && !/\.[a-z0-9]+$/i.test(path)) {
+    event.respondWith(navigate(req));
+  } else if (isContent(path)) {
+    event.respondWith(staleWhileRevalidate(req, event));
+  } else {
+    event.respondWith(cacheFirst(req));
+  }
+});
+
+async function cacheFirst(req) {
+  const shell = await caches.open(SHELL_CACHE);
+  const hit = await shell.match(req);
+  return hit || fetch(req);
+}
+
+async function staleWhileRevalidate(req, event) {
+  const cache = await caches.open(CONTENT_CACHE);
+  const hit = await cache.match(req, { ignoreSearch: true });
+
+  const refresh = fetch(req)
+    .then((resp) => {
+      if (resp && resp.ok) cache.put(req, resp.clone());
+      return resp;
+    })
+    .catch(() => null);
+
+  if (hit) {
+    event.waitUntil(refresh);
+    return hit;
+  }
+  return (await refresh) || Response.error();
+}
+
+function fetchWithTimeout(req, ms) {
+  return new Promise((resolve, reject) => {
+    const t = setTimeout(() => reject(new Error('timeout')), ms);
+    fetch(req).then(
+      (r) => { clearTimeout(t); resolve(r); },
+      (e) => { clearTimeout(t); reject(e); });
+  });
+}
+
+async function navigate(req) {
+  try {
+    return await fetchWithTimeout(req, NAV_TIMEOUT_MS);
+  } catch {
+    const shell = await caches.open(SHELL_CACHE);
+    return (await shell.match('index.html'))
+      || (await shell.match('offline.html'))
+      || Response.error();
+  }
+}